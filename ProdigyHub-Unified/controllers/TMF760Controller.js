@@ -6,6 +6,33 @@
 const CheckProductConfiguration = require('../src/models/CheckProductConfiguration');
 const QueryProductConfiguration = require('../src/models/QueryProductConfiguration');
 const { v4: uuidv4 } = require('uuid');
+const pricingEngine = require('../src/services/pricingEngine');
+
+// Configuration prices come from the catalog pricing engine, using the selected
+// characteristic values; a configuration without a known offering has no prices
+const priceConfiguration = async (productConfiguration) => {
+  const productOffering = productConfiguration?.productOffering;
+  if (!productOffering?.id) return [];
+
+  const characteristic = (productConfiguration.configurationCharacteristic || []).flatMap(char =>
+    (char.configurationCharacteristicValue || [])
+      .filter(value => value.isSelected)
+      .map(value => ({ name: char.name || value.characteristicValue?.name, value: value.characteristicValue?.value })));
+
+  const { item } = await pricingEngine.calculatePrices(
+    [{ id: productConfiguration.id, productOffering, characteristic }],
+    { skipUnknown: true }
+  );
+  if (item.length === 0) return [];
+
+  return item[0].itemPrice.map(line => ({
+    '@type': 'ConfigurationPrice',
+    name: line.name,
+    priceType: line.priceType,
+    productOfferingPrice: { ...line.productOfferingPrice, '@type': 'ProductOfferingPrice' },
+    price: line.price
+  }));
+};
 
 class TMF760Controller {
   
@@ -29,7 +56,7 @@ class TMF760Controller {
       if (configData.instantSync) {
         configData.state = 'done';
         
-        configData.checkProductConfigurationItem = configData.checkProductConfigurationItem.map(item => {
+        configData.checkProductConfigurationItem = await Promise.all(configData.checkProductConfigurationItem.map(async item => {
           let isValid = true;
           let stateReasons = [];
 
@@ -50,8 +77,13 @@ class TMF760Controller {
             }
           }
 
+          const productConfiguration = item.productConfiguration?.productOffering?.id
+            ? { ...item.productConfiguration, configurationPrice: await priceConfiguration(item.productConfiguration) }
+            : item.productConfiguration;
+
           return {
             ...item,
+            productConfiguration,
             '@type': 'CheckProductConfigurationItem',
             contextItem: {
               '@type': 'ItemRef',
@@ -65,7 +97,7 @@ class TMF760Controller {
             state: isValid ? 'approved' : 'rejected',
             stateReason: stateReasons
           };
-        });
+        }));
       } else {
         configData.state = 'acknowledged';
         configData.checkProductConfigurationItem = configData.checkProductConfigurationItem.map(item => ({
@@ -214,8 +246,9 @@ class TMF760Controller {
         configData.state = 'done';
         
         // Generate computed configuration items based on request items
-        configData.computedProductConfigurationItem = configData.requestProductConfigurationItem.map((requestItem, index) => {
+        configData.computedProductConfigurationItem = await Promise.all(configData.requestProductConfigurationItem.map(async (requestItem, index) => {
           const computedId = (parseInt(requestItem.id) + 1).toString().padStart(2, '0');
+          const configurationPrice = await priceConfiguration(requestItem.productConfiguration);
           
           return {
             '@type': 'QueryProductConfigurationItem',
@@ -278,35 +311,10 @@ class TMF760Controller {
                   }
                 }]
               }],
-              configurationPrice: [{
-                '@type': 'ConfigurationPrice',
-                name: 'Product price',
-                priceType: 'oneTimeCharge',
-                productOfferingPrice: {
-                  id: '1747',
-                  href: `${process.env.BASE_URL || 'http://localhost:3000'}/productOfferingPrice/1747`,
-                  name: 'One time charge',
-                  '@referredType': 'ProductOfferingPrice',
-                  '@type': 'ProductOfferingPrice'
-                },
-                price: {
-                  taxRate: 22,
-                  '@type': 'Price',
-                  dutyFreeAmount: {
-                    unit: 'USD',
-                    value: 100,
-                    '@type': 'Money'
-                  },
-                  taxIncludedAmount: {
-                    unit: 'USD',
-                    value: 122,
-                    '@type': 'Money'
-                  }
-                }
-              }]
+              configurationPrice
             }
           };
-        });
+        }));
       }
 
       const configuration = new QueryProductConfiguration(configData);
@@ -0,0 +1,48 @@
+// Map catalog lifecycleStatus values from before the TMF620 lifecycle workflow
+//
+// Entities used to default to 'Active' and are now created 'In Study'. Documents
+// stored without a lifecycleStatus would therefore read as 'In Study' and could no
+// longer be ordered, while 'Active' ones are treated as launched with their core
+// fields locked. This maps both explicitly to 'Launched'. Run with --dry-run to
+// only count the documents that would change.
+require('dotenv').config();
+const database = require('./src/config/database');
+
+const LEGACY_STATUS_MAP = [
+  { filter: { lifecycleStatus: 'Active' }, status: 'Launched', label: "'Active'" },
+  { filter: { lifecycleStatus: { $in: [null, ''] } }, status: 'Launched', label: 'no lifecycleStatus' }
+];
+
+const CATALOG_MODELS = ['ProductCatalog', 'Category', 'ProductSpecification', 'ProductOffering', 'ProductOfferingPrice'];
+
+async function migrateLifecycleStatus() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await database.connect();
+    const models = require('./src/models/AllTMFModels');
+
+    for (const modelName of CATALOG_MODELS) {
+      const Model = models[modelName];
+
+      for (const { filter, status, label } of LEGACY_STATUS_MAP) {
+        if (dryRun) {
+          const count = await Model.countDocuments(filter);
+          console.log(`${modelName}: ${count} with ${label} would become '${status}'`);
+        } else {
+          const result = await Model.updateMany(filter, { $set: { lifecycleStatus: status } });
+          console.log(`${modelName}: ${result.modifiedCount} with ${label} set to '${status}'`);
+        }
+      }
+    }
+
+    console.log(dryRun ? 'Dry run complete, nothing changed' : '✅ Lifecycle statuses migrated');
+  } catch (error) {
+    console.error('Error migrating lifecycle statuses:', error);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+migrateLifecycleStatus();
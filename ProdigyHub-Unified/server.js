@@ -7,6 +7,29 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
 const database = require('./src/config/database');
+const hubDeliveryService = require('./src/services/hubDeliveryService');
+const { parseHubQuery } = require('./src/services/hubQueryFilter');
+const eventRetention = require('./src/services/eventRetention');
+const orderEvents = require('./src/api/tmf622/utils/orderEvents');
+const orderCancellation = require('./src/api/tmf622/utils/orderCancellation');
+const orderStateMachine = require('./src/api/tmf622/utils/orderStateMachine');
+const orderPricing = require('./src/api/tmf622/utils/orderPricing');
+const orderValidation = require('./src/api/tmf622/utils/orderValidation');
+const orderFulfillment = require('./src/api/tmf622/utils/orderFulfillment');
+const sltQualificationService = require('./src/services/sltQualificationService');
+const qualificationWorker = require('./src/services/qualificationWorker');
+const sltQualificationController = require('./src/api/tmf679/controllers/sltQualificationController');
+const catalogExportService = require('./src/services/catalogExportService');
+const catalogImportService = require('./src/services/catalogImportService');
+const catalogVersioning = require('./src/services/catalogVersioning');
+const catalogLifecycle = require('./src/services/catalogLifecycleService');
+const catalogReferences = require('./src/services/catalogReferences');
+const categoryTree = require('./src/services/categoryTree');
+const catalogBundles = require('./src/services/catalogBundles');
+const pricingEngine = require('./src/services/pricingEngine');
+const productLifecycle = require('./src/services/productLifecycleService');
+const productRelationships = require('./src/services/productRelationships');
+const partySummaryService = require('./src/services/partySummaryService');
 const app = express();
 
 // Collection fix utility function
@@ -161,8 +184,9 @@ app.use((req, res, next) => {
 // Compression
 app.use(compression());
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing - SLT bulk job uploads are parsed by their route with config.sltBulk.uploadLimit
+const jsonParser = express.json({ limit: '10mb' });
+app.use((req, res, next) => (req.path === '/api/slt/bulkJobs' ? next() : jsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging
@@ -219,12 +243,134 @@ const handleError = (res, error, operation = 'operation') => {
     });
   }
   
+  if (error.name === 'VersionConflictError') {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: error.message
+    });
+  }
+  
+  if (error.name === 'LifecycleError') {
+    return res.status(error.status).json({
+      error: error.status === 409 ? 'Conflict' : 'Unprocessable Entity',
+      message: error.message,
+      currentStatus: error.currentStatus,
+      requestedStatus: error.requestedStatus,
+      allowedStatuses: error.allowedStatuses,
+      lockedFields: error.lockedFields,
+      details: error.details
+    });
+  }
+  
+  if (['ReferenceIntegrityError', 'BundleValidationError', 'PriceCalculationError'].includes(error.name)) {
+    return res.status(error.status).json({
+      error: error.status === 409 ? 'Conflict' : 'Unprocessable Entity',
+      message: error.message,
+      details: error.details,
+      referencedBy: error.referencedBy
+    });
+  }
+  
+  if (error.name === 'OrderValidationError') {
+    return res.status(422).json({
+      '@type': 'Error',
+      error: 'Unprocessable Entity',
+      code: 'INVALID_PRODUCT_ORDER_ITEM',
+      reason: 'Product order items failed catalog or qualification validation',
+      message: error.message,
+      status: '422',
+      details: error.details
+    });
+  }
+  
+  if (error.name === 'StateTransitionError') {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: error.message,
+      currentState: error.currentState,
+      requestedState: error.requestedState,
+      allowedStates: error.allowedStates,
+      productOrderItemId: error.productOrderItemId
+    });
+  }
+  
   res.status(500).json({
     error: 'Internal Server Error',
     message: error.message
   });
 };
 
+// Shared hub registration for TMF620, TMF637 and TMF688 listeners.
+// The subscription query is parsed once here and stored alongside the hub.
+const registerHub = async (req, res, domain = null) => {
+  try {
+    const { Hub } = require('./src/models/AllTMFModels');
+    const hubData = {
+      ...req.body,
+      '@type': 'Hub'
+    };
+    
+    if (!hubData.callback) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'callback is required'
+      });
+    }
+    
+    const callbackProblem = hubDeliveryService.getCallbackProblem(hubData.callback);
+    if (callbackProblem) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: callbackProblem
+      });
+    }
+    
+    try {
+      hubData.queryFilter = parseHubQuery(hubData.query);
+    } catch (queryError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: queryError.message
+      });
+    }
+    
+    if (domain) {
+      hubData.domain = domain;
+    }
+    
+    const hub = new Hub(hubData);
+    await hub.save();
+    
+    const response = hub.toObject();
+    delete response.queryFilter;
+    
+    res.status(201).location(hub.href).json(response);
+  } catch (error) {
+    handleError(res, error, 'create hub');
+  }
+};
+
+const unregisterHub = async (req, res, domain = null) => {
+  try {
+    const { Hub } = require('./src/models/AllTMFModels');
+    const filter = { id: req.params.id };
+    
+    if (domain) {
+      filter.domain = domain;
+    }
+    
+    const hub = await Hub.findOneAndDelete(filter);
+    
+    if (!hub) {
+      return res.status(404).json({ error: 'Hub not found' });
+    }
+    
+    res.status(204).send();
+  } catch (error) {
+    handleError(res, error, 'delete hub');
+  }
+};
+
 // ===================================
 // TMF620 CONTROLLER IMPLEMENTATION
 // ===================================
@@ -281,14 +427,19 @@ class TMF620Controller {
   async createCategory(req, res) {
     try {
       const { Category } = require('./src/models/AllTMFModels');
-      const categoryData = {
+      const categoryData = await catalogLifecycle.validateCatalogCreate('Category', {
         ...req.body,
         '@type': 'Category'
-      };
+      });
+      await catalogReferences.assertReferencesExist('category', categoryData);
       
       const category = new Category(categoryData);
+      category.set(await categoryTree.prepareTreeUpdate({ id: category.id }, { ...categoryData, parentId: categoryData.parentId || null }));
       await category.save();
       
+      // Keep the parent's subCategory and the listed children's parentId in line
+      await categoryTree.syncTree(null, category.toObject());
+      
       res.status(201).json(category);
     } catch (error) {
       handleError(res, error, 'create category');
@@ -301,9 +452,16 @@ class TMF620Controller {
       const { id } = req.params;
       const updates = { ...req.body, lastUpdate: new Date() };
       
+      const current = await Category.findOne({ id }).lean();
+      if (!current) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      await catalogLifecycle.validateCatalogUpdate('Category', current, updates);
+      await catalogReferences.assertReferencesExist('category', updates);
+      
       const category = await Category.findOneAndUpdate(
         { id },
-        { $set: updates },
+        { $set: await categoryTree.prepareTreeUpdate(current, updates) },
         { new: true, runValidators: true }
       );
       
@@ -311,6 +469,8 @@ class TMF620Controller {
         return res.status(404).json({ error: 'Category not found' });
       }
       
+      await categoryTree.syncTree(current, category.toObject());
+      
       res.json(category);
     } catch (error) {
       handleError(res, error, 'update category');
@@ -322,18 +482,120 @@ class TMF620Controller {
       const { Category } = require('./src/models/AllTMFModels');
       const { id } = req.params;
       
+      if (!(await Category.exists({ id }))) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      
+      // Referenced categories stay unless the caller asks to remove the references too
+      await catalogReferences.releaseReferences('category', id, { cascade: req.query.cascade === 'true' });
+      
       const category = await Category.findOneAndDelete({ id });
       
       if (!category) {
         return res.status(404).json({ error: 'Category not found' });
       }
       
+      await categoryTree.detachCategory(category.toObject());
+      
       res.status(204).send();
     } catch (error) {
       handleError(res, error, 'delete category');
     }
   }
 
+  async getCategorySubtree(req, res) {
+    try {
+      const { id } = req.params;
+      const depth = req.query.depth !== undefined ? parseInt(req.query.depth) : undefined;
+      
+      if (depth !== undefined && (Number.isNaN(depth) || depth < 0)) {
+        return res.status(400).json({ error: 'Validation Error', message: 'depth must be a non-negative integer' });
+      }
+      
+      const tree = await categoryTree.getSubtree(id, depth);
+      
+      if (!tree) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      
+      res.json(tree);
+    } catch (error) {
+      handleError(res, error, 'get category subtree');
+    }
+  }
+
+  async getCategoryAncestors(req, res) {
+    try {
+      const ancestors = await categoryTree.getAncestors(req.params.id);
+      
+      if (!ancestors) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      
+      res.json(ancestors);
+    } catch (error) {
+      handleError(res, error, 'get category ancestors');
+    }
+  }
+
+  async moveCategory(req, res) {
+    try {
+      const { parentId = null } = req.body || {};
+      
+      if (parentId !== null && typeof parentId !== 'string') {
+        return res.status(400).json({ error: 'Validation Error', message: 'parentId must be a category id or null' });
+      }
+      
+      const category = await categoryTree.moveCategory(req.params.id, parentId);
+      
+      if (!category) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      
+      res.json(category);
+    } catch (error) {
+      handleError(res, error, 'move category');
+    }
+  }
+
+  async getCategoryProductOfferings(req, res) {
+    try {
+      const { Category, ProductOffering } = require('./src/models/AllTMFModels');
+      const { id } = req.params;
+      const { fields, limit = 20, offset = 0, includeDescendants = 'true', ...filters } = req.query;
+      
+      if (!(await Category.exists({ id }))) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      
+      const categoryIds = includeDescendants === 'false'
+        ? [id]
+        : [id, ...await categoryTree.getDescendantIds(id)];
+      const filter = { ...filters, 'category.id': { $in: categoryIds } };
+      
+      let query = ProductOffering.find(filter);
+      
+      if (fields) {
+        const fieldList = fields.split(',').map(f => f.trim()).join(' ');
+        query = query.select(`${fieldList} @type id href`);
+      }
+      
+      const [offerings, total] = await Promise.all([
+        query
+          .limit(parseInt(limit))
+          .skip(parseInt(offset))
+          .sort({ createdAt: -1 }),
+        ProductOffering.countDocuments(filter)
+      ]);
+      
+      res.set('X-Total-Count', String(total));
+      res.set('X-Result-Count', String(offerings.length));
+      res.json(offerings);
+    } catch (error) {
+      handleError(res, error, 'get category product offerings');
+    }
+  }
+
   async getProductSpecifications(req, res) {
     try {
       const { ProductSpecification } = require('./src/models/AllTMFModels');
@@ -363,6 +625,10 @@ class TMF620Controller {
       const { id } = req.params;
       const { fields } = req.query;
       
+      if (req.query.version !== undefined) {
+        return this.getCatalogEntityVersion(req, res, 'ProductSpecification');
+      }
+      
       let query = ProductSpecification.findOne({ id });
       
       if (fields) {
@@ -385,10 +651,10 @@ class TMF620Controller {
   async createProductSpecification(req, res) {
     try {
       const { ProductSpecification } = require('./src/models/AllTMFModels');
-      const specData = {
+      const specData = await catalogLifecycle.validateCatalogCreate('ProductSpecification', {
         ...req.body,
         '@type': 'ProductSpecification'
-      };
+      });
       
       const spec = new ProductSpecification(specData);
       await spec.save();
@@ -428,6 +694,10 @@ class TMF620Controller {
       const { id } = req.params;
       const { fields } = req.query;
       
+      if (req.query.version !== undefined) {
+        return this.getCatalogEntityVersion(req, res, 'ProductOffering');
+      }
+      
       let query = ProductOffering.findOne({ id });
       
       if (fields) {
@@ -455,12 +725,14 @@ async createProductOffering(req, res) {
     const { ProductOffering } = require('./src/models/AllTMFModels');
     
     // Create offering with ALL incoming data preserved
-    const offeringData = {
+    let offeringData = await catalogLifecycle.validateCatalogCreate('ProductOffering', {
       ...req.body,  // This spreads ALL fields from the request
       '@type': 'ProductOffering',
       lastUpdate: new Date(),
       updatedAt: new Date()
-    };
+    });
+    await catalogReferences.assertReferencesExist('productOffering', offeringData);
+    offeringData = await catalogBundles.validateBundle(offeringData);
     
     console.log('📦 Saving ALL data to MongoDB:', JSON.stringify(offeringData, null, 2));
     
@@ -479,15 +751,12 @@ async createProductOffering(req, res) {
 
 async updateProductSpecification(req, res) {
   try {
-    const { ProductSpecification } = require('./src/models/AllTMFModels');
     const { id } = req.params;
-    const updates = { ...req.body, lastUpdate: new Date() };
     
-    const spec = await ProductSpecification.findOneAndUpdate(
-      { id },
-      { $set: updates },
-      { new: true, runValidators: true }
-    );
+    // Each PATCH archives the current document and produces a new version
+    const spec = await catalogVersioning.updateVersioned('ProductSpecification', id, req.body, {
+      beforeUpdate: (current) => catalogLifecycle.validateCatalogUpdate('ProductSpecification', current, req.body)
+    });
     
     if (!spec) {
       return res.status(404).json({ error: 'ProductSpecification not found' });
@@ -504,12 +773,22 @@ async deleteProductSpecification(req, res) {
     const { ProductSpecification } = require('./src/models/AllTMFModels');
     const { id } = req.params;
     
+    if (!(await ProductSpecification.exists({ id }))) {
+      return res.status(404).json({ error: 'ProductSpecification not found' });
+    }
+    
+    // Referenced entities stay unless the caller asks to remove the references too
+    await catalogReferences.releaseReferences('productSpecification', id, { cascade: req.query.cascade === 'true' });
+    
     const spec = await ProductSpecification.findOneAndDelete({ id });
     
     if (!spec) {
       return res.status(404).json({ error: 'ProductSpecification not found' });
     }
     
+    // Keep the last version resolvable for orders that reference it
+    await catalogVersioning.archiveVersion('ProductSpecification', spec.toObject());
+    
     res.status(204).send();
   } catch (error) {
     handleError(res, error, 'delete product specification');
@@ -520,26 +799,25 @@ async updateProductOffering(req, res) {
   try {
     console.log('📝 Backend updating with ALL data:', JSON.stringify(req.body, null, 2));
     
-    const { ProductOffering } = require('./src/models/AllTMFModels');
     const { id } = req.params;
     
     const updates = { 
       ...req.body,
-      lastUpdate: new Date(),
       updatedAt: new Date()
     };
     
     console.log('📦 Updating MongoDB with ALL fields:', JSON.stringify(updates, null, 2));
     
-    const offering = await ProductOffering.findOneAndUpdate(
-      { id },
-      { $set: updates },
-      { 
-        new: true, 
-        runValidators: true,
-        strict: false
+    await catalogReferences.assertReferencesExist('productOffering', updates);
+    
+    // Each PATCH archives the current document and produces a new version
+    const offering = await catalogVersioning.updateVersioned('ProductOffering', id, updates, {
+      strict: false,
+      beforeUpdate: async (current) => {
+        await catalogLifecycle.validateCatalogUpdate('ProductOffering', current, updates);
+        await catalogBundles.validateBundleUpdate(current, updates);
       }
-    );
+    });
     
     if (!offering) {
       return res.status(404).json({ error: 'ProductOffering not found' });
@@ -554,17 +832,48 @@ async updateProductOffering(req, res) {
   }
 }
 
+async expandProductOffering(req, res) {
+  try {
+    const quantity = req.query.quantity !== undefined ? Number(req.query.quantity) : 1;
+    
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'Validation Error', message: 'quantity must be a positive integer' });
+    }
+    
+    // Full child tree with each node's prices rolled up into its parent
+    const bundle = await catalogBundles.expandBundle(req.params.id, quantity);
+    
+    if (!bundle) {
+      return res.status(404).json({ error: 'ProductOffering not found' });
+    }
+    
+    res.json(bundle);
+  } catch (error) {
+    handleError(res, error, 'expand product offering');
+  }
+}
+
 async deleteProductOffering(req, res) {
   try {
     const { ProductOffering } = require('./src/models/AllTMFModels');
     const { id } = req.params;
     
+    if (!(await ProductOffering.exists({ id }))) {
+      return res.status(404).json({ error: 'ProductOffering not found' });
+    }
+    
+    // Referenced entities stay unless the caller asks to remove the references too
+    await catalogReferences.releaseReferences('productOffering', id, { cascade: req.query.cascade === 'true' });
+    
     const offering = await ProductOffering.findOneAndDelete({ id });
     
     if (!offering) {
       return res.status(404).json({ error: 'ProductOffering not found' });
     }
     
+    // Keep the last version resolvable for orders that reference it
+    await catalogVersioning.archiveVersion('ProductOffering', offering.toObject());
+    
     res.status(204).send();
   } catch (error) {
     handleError(res, error, 'delete product offering');
@@ -601,6 +910,10 @@ async getProductOfferingPriceById(req, res) {
     const { id } = req.params;
     const { fields } = req.query;
     
+    if (req.query.version !== undefined) {
+      return this.getCatalogEntityVersion(req, res, 'ProductOfferingPrice');
+    }
+    
     let query = ProductOfferingPrice.findOne({ id });
     
     if (fields) {
@@ -623,10 +936,10 @@ async getProductOfferingPriceById(req, res) {
 async createProductOfferingPrice(req, res) {
   try {
     const { ProductOfferingPrice } = require('./src/models/AllTMFModels');
-    const priceData = {
+    const priceData = await catalogLifecycle.validateCatalogCreate('ProductOfferingPrice', {
       ...req.body,
       '@type': 'ProductOfferingPrice'
-    };
+    });
     
     const price = new ProductOfferingPrice(priceData);
     await price.save();
@@ -639,15 +952,12 @@ async createProductOfferingPrice(req, res) {
 
 async updateProductOfferingPrice(req, res) {
   try {
-    const { ProductOfferingPrice } = require('./src/models/AllTMFModels');
     const { id } = req.params;
-    const updates = { ...req.body, lastUpdate: new Date() };
     
-    const price = await ProductOfferingPrice.findOneAndUpdate(
-      { id },
-      { $set: updates },
-      { new: true, runValidators: true }
-    );
+    // Each PATCH archives the current document and produces a new version
+    const price = await catalogVersioning.updateVersioned('ProductOfferingPrice', id, req.body, {
+      beforeUpdate: (current) => catalogLifecycle.validateCatalogUpdate('ProductOfferingPrice', current, req.body)
+    });
     
     if (!price) {
       return res.status(404).json({ error: 'ProductOfferingPrice not found' });
@@ -664,18 +974,63 @@ async deleteProductOfferingPrice(req, res) {
     const { ProductOfferingPrice } = require('./src/models/AllTMFModels');
     const { id } = req.params;
     
+    if (!(await ProductOfferingPrice.exists({ id }))) {
+      return res.status(404).json({ error: 'ProductOfferingPrice not found' });
+    }
+    
+    // Referenced entities stay unless the caller asks to remove the references too
+    await catalogReferences.releaseReferences('productOfferingPrice', id, { cascade: req.query.cascade === 'true' });
+    
     const price = await ProductOfferingPrice.findOneAndDelete({ id });
     
     if (!price) {
       return res.status(404).json({ error: 'ProductOfferingPrice not found' });
     }
     
+    // Keep the last version resolvable for orders that reference it
+    await catalogVersioning.archiveVersion('ProductOfferingPrice', price.toObject());
+    
     res.status(204).send();
   } catch (error) {
     handleError(res, error, 'delete product offering price');
   }
 }
 
+// GET .../{id}?version= for versioned catalog entities
+async getCatalogEntityVersion(req, res, entityType) {
+  try {
+    const { id } = req.params;
+    const { fields, version } = req.query;
+    
+    const entity = await catalogVersioning.resolveVersion(entityType, id, version);
+    
+    if (!entity) {
+      return res.status(404).json({ error: `${entityType} ${id} version ${version} not found` });
+    }
+    
+    res.json(fields ? applyFieldSelection(entity, fields) : entity);
+  } catch (error) {
+    handleError(res, error, `get ${entityType} version`);
+  }
+}
+
+// GET .../{id}/versions - history of a versioned catalog entity, current version last
+async listCatalogEntityVersions(req, res, entityType) {
+  try {
+    const { id } = req.params;
+    
+    const versions = await catalogVersioning.listVersions(entityType, id);
+    
+    if (!versions) {
+      return res.status(404).json({ error: `${entityType} not found` });
+    }
+    
+    res.json(versions);
+  } catch (error) {
+    handleError(res, error, `list ${entityType} versions`);
+  }
+}
+
 async getProductCatalogs(req, res) {
   try {
     const { ProductCatalog } = require('./src/models/AllTMFModels');
@@ -727,10 +1082,11 @@ async getProductCatalogById(req, res) {
 async createProductCatalog(req, res) {
   try {
     const { ProductCatalog } = require('./src/models/AllTMFModels');
-    const catalogData = {
+    const catalogData = await catalogLifecycle.validateCatalogCreate('ProductCatalog', {
       ...req.body,
       '@type': 'ProductCatalog'
-    };
+    });
+    await catalogReferences.assertReferencesExist('productCatalog', catalogData);
     
     const catalog = new ProductCatalog(catalogData);
     await catalog.save();
@@ -747,6 +1103,13 @@ async updateProductCatalog(req, res) {
     const { id } = req.params;
     const updates = { ...req.body, lastUpdate: new Date() };
     
+    const current = await ProductCatalog.findOne({ id }).lean();
+    if (!current) {
+      return res.status(404).json({ error: 'ProductCatalog not found' });
+    }
+    await catalogLifecycle.validateCatalogUpdate('ProductCatalog', current, updates);
+    await catalogReferences.assertReferencesExist('productCatalog', updates);
+    
     const catalog = await ProductCatalog.findOneAndUpdate(
       { id },
       { $set: updates },
@@ -779,6 +1142,277 @@ async deleteProductCatalog(req, res) {
     handleError(res, error, 'delete product catalog');
   }
 }
+
+async calculatePrice(req, res) {
+  try {
+    const { item } = req.body || {};
+    
+    if (!Array.isArray(item) || item.length === 0) {
+      return res.status(400).json({ error: 'Validation Error', message: 'item must be a non-empty array of items to price' });
+    }
+    
+    const result = await pricingEngine.calculatePrices(item);
+    
+    res.json({
+      calculationDate: new Date().toISOString(),
+      ...result,
+      '@type': 'PriceCalculation'
+    });
+  } catch (error) {
+    handleError(res, error, 'calculate price');
+  }
+}
+
+async getCatalogIntegrity(req, res) {
+  try {
+    // Scans every catalog entity for references to entities that no longer exist
+    const report = await catalogReferences.scanCatalog();
+    res.json(report);
+  } catch (error) {
+    handleError(res, error, 'scan catalog references');
+  }
+}
+
+async getExportJobs(req, res) {
+  try {
+    const { ExportJob } = require('./src/models/AllTMFModels');
+    const { fields, limit = 20, offset = 0, ...filters } = req.query;
+    
+    let query = ExportJob.find(filters);
+    
+    if (fields) {
+      const fieldList = fields.split(',').map(f => f.trim()).join(' ');
+      query = query.select(`${fieldList} @type id href`);
+    }
+    
+    const jobs = await query
+      .limit(parseInt(limit))
+      .skip(parseInt(offset))
+      .sort({ createdAt: -1 });
+    
+    res.json(jobs);
+  } catch (error) {
+    handleError(res, error, 'get export jobs');
+  }
+}
+
+async getExportJobById(req, res) {
+  try {
+    const { ExportJob } = require('./src/models/AllTMFModels');
+    const { id } = req.params;
+    const { fields } = req.query;
+    
+    let query = ExportJob.findOne({ id });
+    
+    if (fields) {
+      const fieldList = fields.split(',').map(f => f.trim()).join(' ');
+      query = query.select(`${fieldList} @type id href`);
+    }
+    
+    const job = await query;
+    
+    if (!job) {
+      return res.status(404).json({ error: 'ExportJob not found' });
+    }
+    
+    res.json(job);
+  } catch (error) {
+    handleError(res, error, 'get export job by ID');
+  }
+}
+
+async createExportJob(req, res) {
+  try {
+    const { ExportJob } = require('./src/models/AllTMFModels');
+    const { id, href, status, url, errorLog, completionDate, ...jobData } = req.body;
+    
+    // Reject malformed queries up front rather than failing the job later
+    try {
+      catalogExportService.parseExportQuery(jobData.query, jobData.path);
+    } catch (queryError) {
+      if (queryError.status !== 400) throw queryError;
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: queryError.message
+      });
+    }
+    
+    const job = new ExportJob({
+      ...jobData,
+      status: 'NotStarted',
+      '@type': 'ExportJob'
+    });
+    await job.save();
+    
+    // The export runs in the background; clients poll the job for its status
+    setImmediate(() => catalogExportService.runExportJob(job.id).catch(error => {
+      console.error(`❌ Export job ${job.id} could not run:`, error.message);
+    }));
+    
+    res.status(201).json(job);
+  } catch (error) {
+    handleError(res, error, 'create export job');
+  }
+}
+
+async getExportJobContent(req, res) {
+  try {
+    const { ExportJob } = require('./src/models/AllTMFModels');
+    const { id } = req.params;
+    
+    const job = await ExportJob.findOne({ id });
+    
+    if (!job) {
+      return res.status(404).json({ error: 'ExportJob not found' });
+    }
+    
+    if (job.status !== 'Succeeded') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `ExportJob is ${job.status}; content is available once it has Succeeded`
+      });
+    }
+    
+    const fileName = catalogExportService.getExportFileName(job);
+    res.type(job.contentType).download(catalogExportService.getExportFilePath(job), fileName, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Export file not found' });
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'get export job content');
+  }
+}
+
+async deleteExportJob(req, res) {
+  try {
+    const { ExportJob } = require('./src/models/AllTMFModels');
+    const { id } = req.params;
+    
+    const job = await ExportJob.findOneAndDelete({ id });
+    
+    if (!job) {
+      return res.status(404).json({ error: 'ExportJob not found' });
+    }
+    
+    await catalogExportService.removeExportFile(job);
+    
+    res.status(204).send();
+  } catch (error) {
+    handleError(res, error, 'delete export job');
+  }
+}
+
+async getImportJobs(req, res) {
+  try {
+    const { ImportJob } = require('./src/models/AllTMFModels');
+    const { fields, limit = 20, offset = 0, ...filters } = req.query;
+    
+    let query = ImportJob.find(filters);
+    
+    if (fields) {
+      const fieldList = fields.split(',').map(f => f.trim()).join(' ');
+      query = query.select(`${fieldList} @type id href`);
+    }
+    
+    const jobs = await query
+      .limit(parseInt(limit))
+      .skip(parseInt(offset))
+      .sort({ createdAt: -1 });
+    
+    res.json(jobs);
+  } catch (error) {
+    handleError(res, error, 'get import jobs');
+  }
+}
+
+async getImportJobById(req, res) {
+  try {
+    const { ImportJob } = require('./src/models/AllTMFModels');
+    const { id } = req.params;
+    const { fields } = req.query;
+    
+    let query = ImportJob.findOne({ id });
+    
+    if (fields) {
+      const fieldList = fields.split(',').map(f => f.trim()).join(' ');
+      query = query.select(`${fieldList} @type id href`);
+    }
+    
+    const job = await query;
+    
+    if (!job) {
+      return res.status(404).json({ error: 'ImportJob not found' });
+    }
+    
+    res.json(job);
+  } catch (error) {
+    handleError(res, error, 'get import job by ID');
+  }
+}
+
+async createImportJob(req, res) {
+  try {
+    const { ImportJob } = require('./src/models/AllTMFModels');
+    const { id, href, status, errorLog, completionDate, summary, ...jobData } = req.body;
+    
+    // ?dryRun=true validates and resolves references without writing
+    if (req.query.dryRun !== undefined) {
+      jobData.dryRun = req.query.dryRun === 'true';
+    }
+    
+    try {
+      catalogImportService.validateImportSource(jobData);
+    } catch (sourceError) {
+      if (sourceError.status !== 400) throw sourceError;
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: sourceError.message
+      });
+    }
+    
+    const job = new ImportJob({
+      ...jobData,
+      status: 'NotStarted',
+      '@type': 'ImportJob'
+    });
+    await job.save();
+    
+    // The import runs in the background; clients poll the job for its status and errorLog
+    setImmediate(() => catalogImportService.runImportJob(job.id).catch(error => {
+      console.error(`❌ Import job ${job.id} could not run:`, error.message);
+    }));
+    
+    res.status(201).json(job);
+  } catch (error) {
+    handleError(res, error, 'create import job');
+  }
+}
+
+async deleteImportJob(req, res) {
+  try {
+    const { ImportJob } = require('./src/models/AllTMFModels');
+    const { id } = req.params;
+    
+    const job = await ImportJob.findOneAndDelete({ id });
+    
+    if (!job) {
+      return res.status(404).json({ error: 'ImportJob not found' });
+    }
+    
+    res.status(204).send();
+  } catch (error) {
+    handleError(res, error, 'delete import job');
+  }
+}
+
+async createHub(req, res) {
+  return registerHub(req, res, 'productCatalog');
+}
+
+async deleteHub(req, res) {
+  return unregisterHub(req, res, 'productCatalog');
+}
 }
 
 // ===================================
@@ -857,14 +1491,13 @@ class TMF637Controller {
       const newProduct = {
         name: this.ensureString(data.name, 'Default Product Name'),
         description: this.ensureString(data.description, 'Default product description'),
-        status: this.ensureString(data.status, 'created'),
+        status: productLifecycle.initialStatus(data.status),
         
         creationDate: timestamp,
         lastUpdate: timestamp,
         startDate: this.ensureString(data.startDate, timestamp),
-        terminationDate: this.ensureString(data.terminationDate, ''),
+        terminationDate: data.terminationDate || undefined,
         
-        isBundle: Boolean(data.isBundle),
         isCustomerVisible: data.isCustomerVisible !== undefined ? Boolean(data.isCustomerVisible) : true,
         productSerialNumber: this.ensureString(data.productSerialNumber, ''),
         
@@ -875,7 +1508,6 @@ class TMF637Controller {
         relatedParty: Array.isArray(data.relatedParty) ? data.relatedParty : [],
         productCharacteristic: Array.isArray(data.productCharacteristic) ? data.productCharacteristic : [],
         productPrice: Array.isArray(data.productPrice) ? data.productPrice : [],
-        productRelationship: Array.isArray(data.productRelationship) ? data.productRelationship : [],
         place: Array.isArray(data.place) ? data.place : [],
         productOrderItem: Array.isArray(data.productOrderItem) ? data.productOrderItem : [],
         realizingResource: Array.isArray(data.realizingResource) ? data.realizingResource : [],
@@ -911,69 +1543,185 @@ class TMF637Controller {
         };
       }
 
-      const product = new Product(newProduct);
-      await product.save();
-      
-      res.status(201).json(product);
+      // Relationships must point at existing products; bundled components make the product a bundle
+      const relationships = await productRelationships.prepareRelationships(null, data.productRelationship);
+      newProduct.productRelationship = relationships.productRelationship;
+      newProduct.isBundle = relationships.isBundle;
+
+      const product = new Product(newProduct);
+      await product.save();
+      
+      res.status(201).json(product);
+    } catch (error) {
+      handleError(res, error, 'create product');
+    }
+  }
+
+  async updateProduct(req, res) {
+    try {
+      const { Product } = require('./src/models/AllTMFModels');
+      const productId = req.params.id;
+      // The status history is maintained by the server; status itself goes through the lifecycle checks
+      const { status, statusChangeReason, statusChange, statusChangeDate, ...changes } = req.body;
+      
+      const updatedProduct = {
+        ...changes,
+        lastUpdate: new Date().toISOString()
+      };
+
+      updatedProduct.name = this.ensureString(updatedProduct.name, 'Updated Product Name');
+      updatedProduct.description = this.ensureString(updatedProduct.description, 'Updated description');
+      updatedProduct.productSerialNumber = this.ensureString(updatedProduct.productSerialNumber, '');
+
+      if (changes.productRelationship !== undefined) {
+        Object.assign(updatedProduct, await productRelationships.prepareRelationships(productId, changes.productRelationship));
+      }
+
+      const product = status !== undefined
+        ? await productLifecycle.changeProductStatus(productId, status, {
+          reason: statusChangeReason,
+          actor: orderStateMachine.resolveActor(req)
+        }, updatedProduct)
+        : await Product.findOneAndUpdate(
+          { id: productId },
+          { $set: updatedProduct },
+          { new: true, runValidators: true }
+        );
+      
+      if (!product) {
+        return res.status(404).json({ 
+          error: 'Product not found',
+          message: `Product with id ${productId} does not exist`
+        });
+      }
+
+      res.status(200).json(product);
+    } catch (error) {
+      handleError(res, error, 'update product');
+    }
+  }
+
+  async deleteProduct(req, res) {
+    try {
+      const { Product } = require('./src/models/AllTMFModels');
+      const productId = req.params.id;
+      
+      if (!(await Product.exists({ id: productId }))) {
+        return res.status(404).json({ 
+          error: 'Product not found',
+          message: `Product with id ${productId} does not exist`
+        });
+      }
+
+      // Throws ReferenceIntegrityError (409) while live products rely on this one
+      await productRelationships.assertNoDependents([productId]);
+      
+      const product = await Product.findOneAndDelete({ id: productId });
+      
+      if (!product) {
+        return res.status(404).json({ 
+          error: 'Product not found',
+          message: `Product with id ${productId} does not exist`
+        });
+      }
+
+      await productRelationships.unlinkProduct(productId);
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'delete product');
+    }
+  }
+
+  async suspendProduct(req, res) {
+    return this.applyStatusOperation(req, res, 'suspend');
+  }
+
+  async resumeProduct(req, res) {
+    return this.applyStatusOperation(req, res, 'resume');
+  }
+
+  async terminateProduct(req, res) {
+    return this.applyStatusOperation(req, res, 'terminate');
+  }
+
+  async applyStatusOperation(req, res, operation) {
+    try {
+      const productId = req.params.id;
+      const { statusChangeReason, reason } = req.body || {};
+
+      // Throws LifecycleError (409) when the product's status does not allow the operation,
+      // ReferenceIntegrityError (409) when a termination would strand products relying on it
+      const product = await productLifecycle.applyStatusOperation(productId, operation, {
+        reason: statusChangeReason || reason,
+        actor: orderStateMachine.resolveActor(req)
+      }, { cascade: req.query.cascade === 'true' });
+
+      if (!product) {
+        return res.status(404).json({ 
+          error: 'Product not found',
+          message: `Product with id ${productId} does not exist`
+        });
+      }
+
+      res.status(200).json(product);
     } catch (error) {
-      handleError(res, error, 'create product');
+      handleError(res, error, `${operation} product`);
     }
   }
 
-  async updateProduct(req, res) {
+  async getProductComponents(req, res) {
     try {
-      const { Product } = require('./src/models/AllTMFModels');
       const productId = req.params.id;
+      const depth = req.query.depth !== undefined ? parseInt(req.query.depth) : undefined;
       
-      const updatedProduct = {
-        ...req.body,
-        lastUpdate: new Date().toISOString()
-      };
-
-      updatedProduct.name = this.ensureString(updatedProduct.name, 'Updated Product Name');
-      updatedProduct.description = this.ensureString(updatedProduct.description, 'Updated description');
-      updatedProduct.status = this.ensureString(updatedProduct.status, 'active');
-      updatedProduct.productSerialNumber = this.ensureString(updatedProduct.productSerialNumber, '');
-      updatedProduct.terminationDate = this.ensureString(updatedProduct.terminationDate, '');
-
-      const product = await Product.findOneAndUpdate(
-        { id: productId },
-        { $set: updatedProduct },
-        { new: true, runValidators: true }
-      );
+      if (depth !== undefined && (Number.isNaN(depth) || depth < 0)) {
+        return res.status(400).json({ error: 'Validation Error', message: 'depth must be a non-negative integer' });
+      }
       
-      if (!product) {
+      const tree = await productRelationships.getComponentTree(productId, depth);
+      
+      if (!tree) {
         return res.status(404).json({ 
           error: 'Product not found',
           message: `Product with id ${productId} does not exist`
         });
       }
 
-      res.status(200).json(product);
+      res.json(tree);
     } catch (error) {
-      handleError(res, error, 'update product');
+      handleError(res, error, 'get product components');
     }
   }
 
-  async deleteProduct(req, res) {
+  async getProductDependents(req, res) {
     try {
-      const { Product } = require('./src/models/AllTMFModels');
       const productId = req.params.id;
       
-      const product = await Product.findOneAndDelete({ id: productId });
+      const dependents = await productRelationships.getDependents(productId, {
+        liveOnly: req.query.includeClosed !== 'true'
+      });
       
-      if (!product) {
+      if (!dependents) {
         return res.status(404).json({ 
           error: 'Product not found',
           message: `Product with id ${productId} does not exist`
         });
       }
 
-      res.status(204).send();
+      res.set('X-Total-Count', dependents.length);
+      res.json(dependents);
     } catch (error) {
-      handleError(res, error, 'delete product');
+      handleError(res, error, 'get product dependents');
     }
   }
+
+  async createHub(req, res) {
+    return registerHub(req, res, 'productInventory');
+  }
+
+  async deleteHub(req, res) {
+    return unregisterHub(req, res, 'productInventory');
+  }
 }
 
 // Create controller instances
@@ -1041,9 +1789,22 @@ class TMF679Controller {
         '@type': 'CheckProductOfferingQualification'
       };
       
+      // Instant qualifications are answered in the response; the rest go to the worker
+      if (qualificationData.instantSyncQualification) {
+        Object.assign(qualificationData, await sltQualificationService.qualifyCheckProductOfferingQualification(qualificationData));
+      } else {
+        qualificationData.state = 'acknowledged';
+        qualificationData.expectedQualificationCompletionDate = qualificationWorker.expectedCompletionDate(qualificationData);
+      }
+      
       const qualification = new CheckProductOfferingQualification(qualificationData);
       await qualification.save();
       
+      if (!qualificationData.instantSyncQualification) {
+        await qualificationWorker.enqueue('CheckProductOfferingQualification', qualification);
+      }
+      qualificationWorker.emitStateChange('CheckProductOfferingQualification', qualification);
+      
       res.status(201).json(qualification);
     } catch (error) {
       handleError(res, error, 'create check qualification');
@@ -1106,14 +1867,87 @@ class TMF679Controller {
         '@type': 'QueryProductOfferingQualification'
       };
       
+      if (qualificationData.instantSyncQualification) {
+        Object.assign(qualificationData, await sltQualificationService.qualifyQueryProductOfferingQualification(qualificationData));
+      } else {
+        qualificationData.state = 'acknowledged';
+        qualificationData.expectedQualificationCompletionDate = qualificationWorker.expectedCompletionDate(qualificationData);
+      }
+      
       const qualification = new QueryProductOfferingQualification(qualificationData);
       await qualification.save();
       
+      if (!qualificationData.instantSyncQualification) {
+        await qualificationWorker.enqueue('QueryProductOfferingQualification', qualification);
+      }
+      qualificationWorker.emitStateChange('QueryProductOfferingQualification', qualification);
+      
       res.status(201).json(qualification);
     } catch (error) {
       handleError(res, error, 'create query qualification');
     }
   }
+
+  async updateCheckQualification(req, res) {
+    return this.updateQualification(req, res, 'CheckProductOfferingQualification');
+  }
+
+  async updateQueryQualification(req, res) {
+    return this.updateQualification(req, res, 'QueryProductOfferingQualification');
+  }
+
+  // Clients may only move a qualification to cancelled; the worker owns every other state
+  async updateQualification(req, res, qualificationType) {
+    try {
+      const Model = require('./src/models/AllTMFModels')[qualificationType];
+      const { id } = req.params;
+      const { id: _id, href, '@type': _type, creationDate, ...updates } = req.body;
+      
+      // Results, items and expiry come from the qualification engine and are never client-writable
+      const writableFields = ['state', 'description', 'note'];
+      const readOnly = Object.keys(updates).filter(field => !writableFields.includes(field));
+      if (readOnly.length > 0) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Only ${writableFields.join(', ')} can be updated; read-only fields: ${readOnly.join(', ')}`
+        });
+      }
+      
+      if (updates.state !== undefined && updates.state !== 'cancelled') {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: "state can only be set to 'cancelled'"
+        });
+      }
+      
+      const qualification = await Model.findOne({ id });
+      if (!qualification) {
+        return res.status(404).json({ error: `${qualificationType} not found` });
+      }
+      
+      const cancelling = updates.state === 'cancelled' && qualification.state !== 'cancelled';
+      if (cancelling && !['acknowledged', 'inProgress'].includes(qualification.state)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Cannot cancel a qualification in state '${qualification.state}'`,
+          currentState: qualification.state,
+          requestedState: 'cancelled'
+        });
+      }
+      
+      qualification.set(updates);
+      await qualification.save();
+      
+      if (cancelling) {
+        await qualificationWorker.cancel(id);
+        qualificationWorker.emitStateChange(qualificationType, qualification);
+      }
+      
+      res.json(qualification);
+    } catch (error) {
+      handleError(res, error, `update ${qualificationType}`);
+    }
+  }
   // Add these methods to TMF679Controller class:
 
 async deleteCheckQualification(req, res) {
@@ -1161,9 +1995,38 @@ class TMF622Controller {
         '@type': 'ProductOrder'
       };
       
+      // New orders and their items always start as acknowledged; later moves go through PATCH
+      orderData.state = 'acknowledged';
+      orderData.stateChange = [];
+      if (Array.isArray(orderData.productOrderItem)) {
+        orderData.productOrderItem = orderData.productOrderItem.map(item => ({ ...item, state: 'acknowledged' }));
+      }
+      
+      // Offerings, characteristics and qualifications of the submitted items
+      await orderValidation.validateOrderItems(orderData.productOrderItem);
+      
+      // Bundles get child items for their bundled offerings
+      orderData.productOrderItem = await catalogBundles.expandOrderItems(orderData.productOrderItem);
+      
+      // Only launched offerings can be added to orders
+      await catalogLifecycle.assertOrderableOfferings(orderData.productOrderItem);
+      
+      // Pin the catalog version each item was ordered against
+      await catalogVersioning.pinOfferingVersions(orderData.productOrderItem);
+      
+      // Prices always come from the catalog; client prices that differ are flagged
+      const pricing = await orderPricing.priceOrderItems(orderData.productOrderItem, orderData.orderTotalPrice);
+      orderData.productOrderItem = pricing.productOrderItem;
+      orderData.orderTotalPrice = pricing.orderTotalPrice;
+      orderData.priceDiscrepancy = pricing.priceDiscrepancy;
+      if (pricing.priceDiscrepancy.length > 0) {
+        orderData.note = [...(orderData.note || []), orderPricing.discrepancyNote(pricing.priceDiscrepancy)];
+      }
+      
       const order = new ProductOrder(orderData);
       await order.save();
       
+      orderEvents.emitProductOrderEvent('ProductOrderCreateEvent', order);
       res.status(201).json(order);
     } catch (error) {
       handleError(res, error, 'create product order');
@@ -1222,18 +2085,61 @@ class TMF622Controller {
     try {
       const { ProductOrder } = require('./src/models/AllTMFModels');
       const { id } = req.params;
-      const updates = { ...req.body, lastUpdate: new Date() };
+      const { stateChange, stateChangeReason, ...changes } = req.body;
       
-      const order = await ProductOrder.findOneAndUpdate(
-        { id },
-        { $set: updates },
+      const previousOrder = await ProductOrder.findOne({ id }).lean();
+      
+      if (!previousOrder) {
+        return res.status(404).json({ error: 'ProductOrder not found' });
+      }
+      
+      // Throws StateTransitionError (409) for illegal order or item state changes
+      const statePlan = orderStateMachine.planStateUpdate(previousOrder, changes, {
+        actor: orderStateMachine.resolveActor(req),
+        reason: stateChangeReason
+      });
+      
+      const updates = { ...changes, state: statePlan.state, lastUpdate: new Date() };
+      if (statePlan.productOrderItem) {
+        updates.productOrderItem = statePlan.productOrderItem;
+      }
+      if (statePlan.state === 'completed' && previousOrder.state !== 'completed') {
+        updates.completionDate = new Date();
+      }
+      
+      const update = { $set: updates };
+      if (statePlan.stateChange.length > 0) {
+        update.$push = { stateChange: { $each: statePlan.stateChange } };
+      }
+      
+      // Only the request that moves the state we checked wins; a concurrent change gets a 409
+      let order = await ProductOrder.findOneAndUpdate(
+        { id, state: previousOrder.state },
+        update,
         { new: true, runValidators: true }
       );
       
       if (!order) {
-        return res.status(404).json({ error: 'ProductOrder not found' });
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `ProductOrder ${id} changed state concurrently; retry the request`,
+          currentState: previousOrder.state,
+          requestedState: statePlan.state
+        });
+      }
+      
+      // Delivered items are provisioned in the TMF637 inventory once the transition is
+      // claimed, then the items are written back pointing at their products
+      if (orderFulfillment.shouldFulfill(previousOrder.state, statePlan.state)) {
+        const fulfillment = await orderFulfillment.fulfillOrder(order.toObject());
+        const fulfillmentUpdate = { $set: { productOrderItem: fulfillment.productOrderItem } };
+        if (fulfillment.note.length > 0) {
+          fulfillmentUpdate.$push = { note: { $each: fulfillment.note } };
+        }
+        order = await ProductOrder.findOneAndUpdate({ id }, fulfillmentUpdate, { new: true, runValidators: true }) || order;
       }
       
+      orderEvents.emitProductOrderUpdateEvents(previousOrder, order, changes);
       res.json(order);
     } catch (error) {
       handleError(res, error, 'update product order');
@@ -1251,6 +2157,7 @@ class TMF622Controller {
         return res.status(404).json({ error: 'ProductOrder not found' });
       }
       
+      orderEvents.emitProductOrderEvent('ProductOrderDeleteEvent', order);
       res.status(204).send();
     } catch (error) {
       handleError(res, error, 'delete product order');
@@ -1259,16 +2166,23 @@ class TMF622Controller {
 
   async createCancelProductOrder(req, res) {
     try {
-      const { CancelProductOrder } = require('./src/models/AllTMFModels');
-      const cancelData = {
-        ...req.body,
-        '@type': 'CancelProductOrder'
-      };
+      if (!req.body.productOrder?.id) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'productOrder.id is required'
+        });
+      }
       
-      const cancelOrder = new CancelProductOrder(cancelData);
-      await cancelOrder.save();
+      // Throws StateTransitionError (409) when the target order cannot be cancelled
+      const { cancelOrder } = await orderCancellation.requestCancellation(req.body, {
+        actor: orderStateMachine.resolveActor(req)
+      });
       
+      orderEvents.emitCancelProductOrderEvent('CancelProductOrderCreateEvent', cancelOrder);
       res.status(201).json(cancelOrder);
+      
+      // The request is answered as acknowledged; processing continues in the background
+      orderCancellation.processCancellation(cancelOrder.id);
     } catch (error) {
       handleError(res, error, 'create cancel product order');
     }
@@ -1376,14 +2290,19 @@ class TMF688Controller {
   async createEvent(req, res) {
     try {
       const { Event } = require('./src/models/AllTMFModels');
+      const { expiresAt, ...body } = req.body;
       const eventData = {
-        ...req.body,
+        ...body,
+        eventTime: body.eventTime || new Date(),
         '@type': 'Event'
       };
+      eventData.expiresAt = await eventRetention.getExpiresAt(eventData);
       
       const event = new Event(eventData);
       await event.save();
       
+      hubDeliveryService.dispatchEvent(event);
+      
       res.status(201).json(event);
     } catch (error) {
       handleError(res, error, 'create event');
@@ -1394,7 +2313,18 @@ class TMF688Controller {
     try {
       const { Event } = require('./src/models/AllTMFModels');
       const { id } = req.params;
-      const updates = req.body;
+      const { expiresAt, ...updates } = req.body;
+      
+      const current = await Event.findOne({ id }).lean();
+      
+      if (!current) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      
+      // Moving an event in time or to another topic changes when it expires
+      if (['eventTime', 'eventType', 'domain'].some(field => updates[field] !== undefined)) {
+        updates.expiresAt = await eventRetention.getExpiresAt({ ...current, ...updates });
+      }
       
       const event = await Event.findOneAndUpdate(
         { id },
@@ -1478,44 +2408,11 @@ class TMF688Controller {
   }
 
   async createHub(req, res) {
-    try {
-      const { Hub } = require('./src/models/AllTMFModels');
-      const hubData = {
-        ...req.body,
-        '@type': 'Hub'
-      };
-      
-      if (!hubData.callback) {
-        return res.status(400).json({
-          error: 'Validation Error',
-          message: 'callback is required'
-        });
-      }
-      
-      const hub = new Hub(hubData);
-      await hub.save();
-      
-      res.status(201).json(hub);
-    } catch (error) {
-      handleError(res, error, 'create hub');
-    }
+    return registerHub(req, res);
   }
 
   async deleteHub(req, res) {
-    try {
-      const { Hub } = require('./src/models/AllTMFModels');
-      const { id } = req.params;
-      
-      const hub = await Hub.findOneAndDelete({ id });
-      
-      if (!hub) {
-        return res.status(404).json({ error: 'Hub not found' });
-      }
-      
-      res.status(204).send();
-    } catch (error) {
-      handleError(res, error, 'delete hub');
-    }
+    return unregisterHub(req, res);
   }
 
   async getAllTopics(req, res) {
@@ -1584,12 +2481,55 @@ class TMF688Controller {
       const topic = new Topic(topicData);
       await topic.save();
       
+      if (topic.retentionDays) {
+        await eventRetention.applyTopicRetention(topic.name);
+      }
+      
       res.status(201).json(topic);
     } catch (error) {
       handleError(res, error, 'create topic');
     }
   }
 
+  async updateTopic(req, res) {
+    try {
+      const { Topic } = require('./src/models/AllTMFModels');
+      const { id } = req.params;
+      const updates = { ...req.body };
+      delete updates._id;
+      delete updates.id;
+      
+      if (updates.name === '' || updates.name === null) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'name is required'
+        });
+      }
+      
+      const previous = await Topic.findOne({ id }).lean();
+      
+      if (!previous) {
+        return res.status(404).json({ error: 'Topic not found' });
+      }
+      
+      // A null retentionDays removes the topic's own retention
+      const { retentionDays, ...fields } = updates;
+      const update = retentionDays === null
+        ? { $set: fields, $unset: { retentionDays: 1 } }
+        : { $set: retentionDays === undefined ? fields : { ...fields, retentionDays } };
+      
+      const topic = await Topic.findOneAndUpdate({ id }, update, { new: true, runValidators: true });
+      
+      if (topic.name !== previous.name || topic.retentionDays !== previous.retentionDays) {
+        await eventRetention.applyTopicRetention([previous.name, topic.name]);
+      }
+      
+      res.json(topic);
+    } catch (error) {
+      handleError(res, error, 'update topic');
+    }
+  }
+
   async deleteTopic(req, res) {
     try {
       const { Topic } = require('./src/models/AllTMFModels');
@@ -1601,17 +2541,135 @@ class TMF688Controller {
         return res.status(404).json({ error: 'Topic not found' });
       }
       
+      if (topic.retentionDays) {
+        await eventRetention.applyTopicRetention(topic.name);
+      }
+      
       res.status(204).send();
     } catch (error) {
       handleError(res, error, 'delete topic');
     }
   }
+
+  async getDeadLetters(req, res) {
+    try {
+      const { DeadLetterEvent } = require('./src/models/AllTMFModels');
+      const { fields, limit = 20, offset = 0, ...filters } = req.query;
+      
+      let query = DeadLetterEvent.find(filters);
+      
+      if (fields) {
+        const fieldList = fields.split(',').map(f => f.trim()).join(' ');
+        query = query.select(`${fieldList} @type id href`);
+      }
+      
+      const deadLetters = await query
+        .limit(parseInt(limit))
+        .skip(parseInt(offset))
+        .sort({ createdAt: -1 });
+      
+      res.json(deadLetters);
+    } catch (error) {
+      handleError(res, error, 'get dead letters');
+    }
+  }
+
+  async getDeadLetterById(req, res) {
+    try {
+      const { DeadLetterEvent } = require('./src/models/AllTMFModels');
+      const { id } = req.params;
+      
+      const deadLetter = await DeadLetterEvent.findOne({ id });
+      
+      if (!deadLetter) {
+        return res.status(404).json({ error: 'DeadLetterEvent not found' });
+      }
+      
+      res.json(deadLetter);
+    } catch (error) {
+      handleError(res, error, 'get dead letter by ID');
+    }
+  }
+
+  async replayDeadLetter(req, res) {
+    try {
+      const { DeadLetterEvent } = require('./src/models/AllTMFModels');
+      const { id } = req.params;
+      
+      const deadLetter = await DeadLetterEvent.findOne({ id });
+      
+      if (!deadLetter) {
+        return res.status(404).json({ error: 'DeadLetterEvent not found' });
+      }
+      
+      if (deadLetter.status === 'replayed') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'DeadLetterEvent has already been replayed'
+        });
+      }
+      
+      const result = await hubDeliveryService.replayDeadLetter(deadLetter);
+      
+      res.status(result.status === 'delivered' ? 200 : 502).json(deadLetter);
+    } catch (error) {
+      handleError(res, error, 'replay dead letter');
+    }
+  }
+
+  async deleteDeadLetter(req, res) {
+    try {
+      const { DeadLetterEvent } = require('./src/models/AllTMFModels');
+      const { id } = req.params;
+      
+      const deadLetter = await DeadLetterEvent.findOneAndDelete({ id });
+      
+      if (!deadLetter) {
+        return res.status(404).json({ error: 'DeadLetterEvent not found' });
+      }
+      
+      res.status(204).send();
+    } catch (error) {
+      handleError(res, error, 'delete dead letter');
+    }
+  }
+}
+
+// Party Summary Controller (customer 360 view across TMF637, TMF622, TMF679 and TMF688)
+class PartySummaryController {
+  async getPartySummary(req, res) {
+    try {
+      const { partyId } = req.params;
+      const { limit = 20, offset = 0, recentDays } = req.query;
+      const options = {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        recentDays: recentDays !== undefined ? parseInt(recentDays) : undefined
+      };
+      
+      if (Number.isNaN(options.limit) || options.limit < 1 || options.limit > 100) {
+        return res.status(400).json({ error: 'Validation Error', message: 'limit must be an integer between 1 and 100' });
+      }
+      if (Number.isNaN(options.offset) || options.offset < 0) {
+        return res.status(400).json({ error: 'Validation Error', message: 'offset must be a non-negative integer' });
+      }
+      if (options.recentDays !== undefined && (Number.isNaN(options.recentDays) || options.recentDays < 1)) {
+        return res.status(400).json({ error: 'Validation Error', message: 'recentDays must be a positive integer' });
+      }
+      
+      const summary = await partySummaryService.getPartySummary(partyId, options);
+      res.json(summary);
+    } catch (error) {
+      handleError(res, error, 'get party summary');
+    }
+  }
 }
 
 // Create controller instances
 const tmf679Controller = new TMF679Controller();
 const tmf622Controller = new TMF622Controller();
 const tmf688Controller = new TMF688Controller();
+const partySummaryController = new PartySummaryController();
 
 // ===================================
 // MAIN ROUTES & HEALTH CHECK
@@ -1637,6 +2695,8 @@ app.get('/', (req, res) => {
       productQualification: '/productOfferingQualification/v5/*',
       productOrdering: '/productOrderingManagement/v4/*',
       eventManagement: '/tmf-api/event/v4/*',
+      partySummary: '/tmf-api/party/{partyId}/summary',
+      sltQualification: '/api/slt/*',
       productConfiguration: '/tmf-api/productConfigurationManagement/v5/*'
     },
     storage: 'MongoDB',
@@ -1714,6 +2774,7 @@ app.get('/debug/storage', async (req, res) => {
       counts.events = await models.Event.countDocuments();
       counts.hubs = await models.Hub.countDocuments();
       counts.topics = await models.Topic.countDocuments();
+      counts.deadletterevents = await models.DeadLetterEvent.countDocuments();
       
       // TMF760 models from separate implementation
       try {
@@ -1764,11 +2825,16 @@ app.post('/productCatalogManagement/v5/category', (req, res) => tmf620Controller
 app.get('/productCatalogManagement/v5/category/:id', (req, res) => tmf620Controller.getCategoryById(req, res));
 app.patch('/productCatalogManagement/v5/category/:id', (req, res) => tmf620Controller.updateCategory(req, res));
 app.delete('/productCatalogManagement/v5/category/:id', (req, res) => tmf620Controller.deleteCategory(req, res));
+app.get('/productCatalogManagement/v5/category/:id/subtree', (req, res) => tmf620Controller.getCategorySubtree(req, res));
+app.get('/productCatalogManagement/v5/category/:id/ancestors', (req, res) => tmf620Controller.getCategoryAncestors(req, res));
+app.post('/productCatalogManagement/v5/category/:id/move', (req, res) => tmf620Controller.moveCategory(req, res));
+app.get('/productCatalogManagement/v5/category/:id/productOffering', (req, res) => tmf620Controller.getCategoryProductOfferings(req, res));
 
 // Product Specifications
 app.get('/productCatalogManagement/v5/productSpecification', (req, res) => tmf620Controller.getProductSpecifications(req, res));
 app.post('/productCatalogManagement/v5/productSpecification', (req, res) => tmf620Controller.createProductSpecification(req, res));
 app.get('/productCatalogManagement/v5/productSpecification/:id', (req, res) => tmf620Controller.getProductSpecificationById(req, res));
+app.get('/productCatalogManagement/v5/productSpecification/:id/versions', (req, res) => tmf620Controller.listCatalogEntityVersions(req, res, 'ProductSpecification'));
 app.patch('/productCatalogManagement/v5/productSpecification/:id', (req, res) => tmf620Controller.updateProductSpecification(req, res));
 app.delete('/productCatalogManagement/v5/productSpecification/:id', (req, res) => tmf620Controller.deleteProductSpecification(req, res));
 
@@ -1776,6 +2842,8 @@ app.delete('/productCatalogManagement/v5/productSpecification/:id', (req, res) =
 app.get('/productCatalogManagement/v5/productOffering', (req, res) => tmf620Controller.getProductOfferings(req, res));
 app.post('/productCatalogManagement/v5/productOffering', (req, res) => tmf620Controller.createProductOffering(req, res));
 app.get('/productCatalogManagement/v5/productOffering/:id', (req, res) => tmf620Controller.getProductOfferingById(req, res));
+app.get('/productCatalogManagement/v5/productOffering/:id/expand', (req, res) => tmf620Controller.expandProductOffering(req, res));
+app.get('/productCatalogManagement/v5/productOffering/:id/versions', (req, res) => tmf620Controller.listCatalogEntityVersions(req, res, 'ProductOffering'));
 app.patch('/productCatalogManagement/v5/productOffering/:id', (req, res) => tmf620Controller.updateProductOffering(req, res));
 app.delete('/productCatalogManagement/v5/productOffering/:id', (req, res) => tmf620Controller.deleteProductOffering(req, res));
 
@@ -1783,6 +2851,7 @@ app.delete('/productCatalogManagement/v5/productOffering/:id', (req, res) => tmf
 app.get('/productCatalogManagement/v5/productOfferingPrice', (req, res) => tmf620Controller.getProductOfferingPrices(req, res));
 app.post('/productCatalogManagement/v5/productOfferingPrice', (req, res) => tmf620Controller.createProductOfferingPrice(req, res));
 app.get('/productCatalogManagement/v5/productOfferingPrice/:id', (req, res) => tmf620Controller.getProductOfferingPriceById(req, res));
+app.get('/productCatalogManagement/v5/productOfferingPrice/:id/versions', (req, res) => tmf620Controller.listCatalogEntityVersions(req, res, 'ProductOfferingPrice'));
 app.patch('/productCatalogManagement/v5/productOfferingPrice/:id', (req, res) => tmf620Controller.updateProductOfferingPrice(req, res));
 app.delete('/productCatalogManagement/v5/productOfferingPrice/:id', (req, res) => tmf620Controller.deleteProductOfferingPrice(req, res));
 
@@ -1793,16 +2862,23 @@ app.get('/productCatalogManagement/v5/productCatalog/:id', (req, res) => tmf620C
 app.patch('/productCatalogManagement/v5/productCatalog/:id', (req, res) => tmf620Controller.updateProductCatalog(req, res));
 app.delete('/productCatalogManagement/v5/productCatalog/:id', (req, res) => tmf620Controller.deleteProductCatalog(req, res));
 
+// Price calculation
+app.post('/productCatalogManagement/v5/priceCalculation', (req, res) => tmf620Controller.calculatePrice(req, res));
+
+// Catalog reference integrity scan
+app.get('/productCatalogManagement/v5/catalogIntegrity', (req, res) => tmf620Controller.getCatalogIntegrity(req, res));
+
 // Import/Export Jobs (if needed)
-app.get('/productCatalogManagement/v5/importJob', (req, res) => tmf620Controller.getImportJobs ? tmf620Controller.getImportJobs(req, res) : res.status(501).json({error: 'Not implemented'}));
-app.post('/productCatalogManagement/v5/importJob', (req, res) => tmf620Controller.createImportJob ? tmf620Controller.createImportJob(req, res) : res.status(501).json({error: 'Not implemented'}));
-app.get('/productCatalogManagement/v5/importJob/:id', (req, res) => tmf620Controller.getImportJobById ? tmf620Controller.getImportJobById(req, res) : res.status(501).json({error: 'Not implemented'}));
-app.delete('/productCatalogManagement/v5/importJob/:id', (req, res) => tmf620Controller.deleteImportJob ? tmf620Controller.deleteImportJob(req, res) : res.status(501).json({error: 'Not implemented'}));
+app.get('/productCatalogManagement/v5/importJob', (req, res) => tmf620Controller.getImportJobs(req, res));
+app.post('/productCatalogManagement/v5/importJob', (req, res) => tmf620Controller.createImportJob(req, res));
+app.get('/productCatalogManagement/v5/importJob/:id', (req, res) => tmf620Controller.getImportJobById(req, res));
+app.delete('/productCatalogManagement/v5/importJob/:id', (req, res) => tmf620Controller.deleteImportJob(req, res));
 
-app.get('/productCatalogManagement/v5/exportJob', (req, res) => tmf620Controller.getExportJobs ? tmf620Controller.getExportJobs(req, res) : res.status(501).json({error: 'Not implemented'}));
-app.post('/productCatalogManagement/v5/exportJob', (req, res) => tmf620Controller.createExportJob ? tmf620Controller.createExportJob(req, res) : res.status(501).json({error: 'Not implemented'}));
-app.get('/productCatalogManagement/v5/exportJob/:id', (req, res) => tmf620Controller.getExportJobById ? tmf620Controller.getExportJobById(req, res) : res.status(501).json({error: 'Not implemented'}));
-app.delete('/productCatalogManagement/v5/exportJob/:id', (req, res) => tmf620Controller.deleteExportJob ? tmf620Controller.deleteExportJob(req, res) : res.status(501).json({error: 'Not implemented'}));
+app.get('/productCatalogManagement/v5/exportJob', (req, res) => tmf620Controller.getExportJobs(req, res));
+app.post('/productCatalogManagement/v5/exportJob', (req, res) => tmf620Controller.createExportJob(req, res));
+app.get('/productCatalogManagement/v5/exportJob/:id', (req, res) => tmf620Controller.getExportJobById(req, res));
+app.get('/productCatalogManagement/v5/exportJob/:id/content', (req, res) => tmf620Controller.getExportJobContent(req, res));
+app.delete('/productCatalogManagement/v5/exportJob/:id', (req, res) => tmf620Controller.deleteExportJob(req, res));
 
 // TMF620 Hub Management
 app.post('/productCatalogManagement/v5/hub', (req, res) => tmf620Controller.createHub ? tmf620Controller.createHub(req, res) : res.status(501).json({error: 'Not implemented'}));
@@ -1814,6 +2890,11 @@ app.post('/tmf-api/product', (req, res) => tmf637Controller.createProduct(req, r
 app.get('/tmf-api/product/:id', (req, res) => tmf637Controller.getProductById(req, res));
 app.patch('/tmf-api/product/:id', (req, res) => tmf637Controller.updateProduct(req, res));
 app.delete('/tmf-api/product/:id', (req, res) => tmf637Controller.deleteProduct(req, res));
+app.post('/tmf-api/product/:id/suspend', (req, res) => tmf637Controller.suspendProduct(req, res));
+app.post('/tmf-api/product/:id/resume', (req, res) => tmf637Controller.resumeProduct(req, res));
+app.post('/tmf-api/product/:id/terminate', (req, res) => tmf637Controller.terminateProduct(req, res));
+app.get('/tmf-api/product/:id/components', (req, res) => tmf637Controller.getProductComponents(req, res));
+app.get('/tmf-api/product/:id/dependents', (req, res) => tmf637Controller.getProductDependents(req, res));
 
 // TMF637 Hub Management
 app.post('/tmf-api/hub', (req, res) => tmf637Controller.createHub ? tmf637Controller.createHub(req, res) : res.status(501).json({error: 'Not implemented'}));
@@ -1834,6 +2915,10 @@ app.get('/productOfferingQualification/v5/queryProductOfferingQualification/:id'
 app.patch('/productOfferingQualification/v5/queryProductOfferingQualification/:id', (req, res) => tmf679Controller.updateQueryQualification ? tmf679Controller.updateQueryQualification(req, res) : res.status(501).json({error: 'Not implemented'}));
 app.delete('/productOfferingQualification/v5/queryProductOfferingQualification/:id', (req, res) => tmf679Controller.deleteQueryQualification(req, res));
 
+// SLT location qualification (availability engine, coverage, packages and bulk checks)
+const sltQualificationRoutes = require('./src/api/tmf679/controllers/sltQualificationRoutes');
+app.use('/api/slt', sltQualificationRoutes);
+
 // TMF622 - Product Ordering Management
 // Product Orders
 app.get('/productOrderingManagement/v4/productOrder', (req, res) => tmf622Controller.getProductOrders(req, res));
@@ -1859,6 +2944,7 @@ app.delete('/tmf-api/event/v4/event/:id', (req, res) => tmf688Controller.deleteE
 app.get('/tmf-api/event/v4/topic', (req, res) => tmf688Controller.getAllTopics(req, res));
 app.post('/tmf-api/event/v4/topic', (req, res) => tmf688Controller.createTopic(req, res));
 app.get('/tmf-api/event/v4/topic/:id', (req, res) => tmf688Controller.getTopicById(req, res));
+app.patch('/tmf-api/event/v4/topic/:id', (req, res) => tmf688Controller.updateTopic(req, res));
 app.delete('/tmf-api/event/v4/topic/:id', (req, res) => tmf688Controller.deleteTopic(req, res));
 
 // Hubs
@@ -1867,6 +2953,15 @@ app.post('/tmf-api/event/v4/hub', (req, res) => tmf688Controller.createHub(req,
 app.get('/tmf-api/event/v4/hub/:id', (req, res) => tmf688Controller.getHubById(req, res));
 app.delete('/tmf-api/event/v4/hub/:id', (req, res) => tmf688Controller.deleteHub(req, res));
 
+// Dead Letters (notifications that exhausted their delivery retries)
+app.get('/tmf-api/event/v4/deadLetter', (req, res) => tmf688Controller.getDeadLetters(req, res));
+app.get('/tmf-api/event/v4/deadLetter/:id', (req, res) => tmf688Controller.getDeadLetterById(req, res));
+app.post('/tmf-api/event/v4/deadLetter/:id/replay', (req, res) => tmf688Controller.replayDeadLetter(req, res));
+app.delete('/tmf-api/event/v4/deadLetter/:id', (req, res) => tmf688Controller.deleteDeadLetter(req, res));
+
+// Party Summary (customer 360)
+app.get('/tmf-api/party/:partyId/summary', (req, res) => partySummaryController.getPartySummary(req, res));
+
 // TMF760 - Product Configuration Management (MongoDB-based routes)
 const tmf760Routes = require('./routes/tmf760Routes');
 app.use('/tmf-api/productConfigurationManagement/v5', tmf760Routes);
@@ -1882,7 +2977,9 @@ app.get('/productCatalogManagement/v5', (req, res) => {
       productSpecifications: '/productCatalogManagement/v5/productSpecification',
       productOfferings: '/productCatalogManagement/v5/productOffering',
       productOfferingPrices: '/productCatalogManagement/v5/productOfferingPrice',
-      productCatalogs: '/productCatalogManagement/v5/productCatalog'
+      productCatalogs: '/productCatalogManagement/v5/productCatalog',
+      priceCalculation: '/productCatalogManagement/v5/priceCalculation',
+      catalogIntegrity: '/productCatalogManagement/v5/catalogIntegrity'
     },
     storage: 'MongoDB'
   });
@@ -1935,7 +3032,8 @@ app.get('/tmf-api/event/v4', (req, res) => {
     endpoints: {
       events: '/tmf-api/event/v4/event',
       topics: '/tmf-api/event/v4/topic',
-      hubs: '/tmf-api/event/v4/hub'
+      hubs: '/tmf-api/event/v4/hub',
+      deadLetters: '/tmf-api/event/v4/deadLetter'
     },
     storage: 'MongoDB'
   });
@@ -2055,6 +3153,7 @@ app.use('*', (req, res) => {
       'TMF620': '/productCatalogManagement/v5/',
       'TMF637': '/tmf-api/product',
       'TMF679': '/productOfferingQualification/v5/',
+      'SLT': '/api/slt/',
       'TMF622': '/productOrderingManagement/v4/',
       'TMF688': '/tmf-api/event/v4/',
       'TMF760': '/tmf-api/productConfigurationManagement/v5/'
@@ -2085,6 +3184,22 @@ async function startServer() {
     const models = require('./src/models/AllTMFModels');
     console.log('✅ MongoDB Models: All TMF API models loaded');
     
+    // Process qualifications submitted with instantSyncQualification=false
+    qualificationWorker.start();
+    
+    // SLT qualification collections, sample data and interrupted bulk jobs
+    sltQualificationController.initialize().catch(error => {
+      console.error('❌ Failed to initialize SLT qualification service:', error.message);
+    });
+    
+    // Finish catalog exports and imports interrupted by a restart
+    catalogExportService.resumeExportJobs().catch(error => {
+      console.error('❌ Failed to resume export jobs:', error.message);
+    });
+    catalogImportService.resumeImportJobs().catch(error => {
+      console.error('❌ Failed to resume import jobs:', error.message);
+    });
+    
     // Start the server
     const server = app.listen(PORT, () => {
       console.log('\n' + '='.repeat(70));
@@ -2101,6 +3216,7 @@ async function startServer() {
       console.log('  • TMF679 - Product Qualification: /productOfferingQualification/v5');
       console.log('  • TMF688 - Event Management: /tmf-api/event/v4');
       console.log('  • TMF760 - Product Configuration: /tmf-api/productConfigurationManagement/v5');
+      console.log('  • SLT Location Qualification: /api/slt');
       console.log('');
       console.log('🔗 Endpoints:');
       console.log(`  • Health Check: http://localhost:${PORT}/health`);
@@ -2130,6 +3246,8 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n📊 ${signal} received - initiating graceful shutdown...`);
   
   try {
+    qualificationWorker.stop();
+    
     console.log('📊 Closing MongoDB connections...');
     await database.disconnect();
     console.log('✅ MongoDB disconnected gracefully');
@@ -1,6 +1,8 @@
 // src/routes/hub.js - NEW FILE (Notification Hub)
 const express = require('express');
 const router = express.Router();
+const { deliverToHubs } = require('../../../services/hubDeliveryService');
+const { parseHubQuery } = require('../../../services/hubQueryFilter');
 
 let listeners = [];
 let idCounter = 1;
@@ -17,6 +19,16 @@ router.post('/', (req, res, next) => {
       });
     }
     
+    let queryFilter;
+    try {
+      queryFilter = parseHubQuery(query);
+    } catch (queryError) {
+      return res.status(400).json({
+        success: false,
+        error: queryError.message
+      });
+    }
+    
     const id = (idCounter++).toString();
     const listener = {
       id,
@@ -25,7 +37,7 @@ router.post('/', (req, res, next) => {
       registeredAt: new Date().toISOString()
     };
     
-    listeners.push(listener);
+    listeners.push({ ...listener, queryFilter });
     
     res.status(201)
        .location(`/productCatalogManagement/v5/hub/${id}`)
@@ -57,7 +69,7 @@ router.delete('/:id', (req, res, next) => {
 // GET all listeners (for debugging/admin purposes)
 router.get('/', (req, res, next) => {
   try {
-    res.status(200).json(listeners);
+    res.status(200).json(listeners.map(({ queryFilter, ...listener }) => listener));
   } catch (error) {
     next(error);
   }
@@ -75,7 +87,8 @@ router.get('/:id', (req, res, next) => {
       });
     }
     
-    res.status(200).json(listener);
+    const { queryFilter, ...response } = listener;
+    res.status(200).json(response);
   } catch (error) {
     next(error);
   }
@@ -90,15 +103,11 @@ const sendNotification = async (eventType, eventData) => {
     eventId: Math.random().toString(36).substr(2, 9)
   };
   
-  // In a real implementation, you would make HTTP POST requests to each callback URL
-  console.log(`📡 Notification would be sent to ${listeners.length} listeners:`, notification);
+  console.log(`📡 Sending ${eventType} to ${listeners.length} listeners`);
   
-  // For demo purposes, just log the notification
-  listeners.forEach(listener => {
-    console.log(`  → ${listener.callback}`);
-  });
+  const deliveries = await deliverToHubs(notification, listeners);
   
-  return notification;
+  return { ...notification, deliveries };
 };
 
 // Export the sendNotification function for use in other routes
@@ -0,0 +1,112 @@
+// src/api/tmf620/utils/catalogLifecycle.js - TMF620 lifecycleStatus workflow for catalog entities
+//
+// Entities move In Study → In Design → Launched → Retired → Obsolete. 'Active' is the
+// status entities received before the workflow existed and counts as launched until
+// migrate-lifecycle-status.js maps it to 'Launched' (see docs/api/TMF620-ProductCatalog.md).
+// Once launched only the fields in EDITABLE_WHEN_LAUNCHED may change.
+
+const LIFECYCLE_TRANSITIONS = {
+  'In Study': ['In Design'],
+  'In Design': ['In Study', 'Launched'],
+  Launched: ['Retired'],
+  Active: ['Launched', 'Retired'],
+  Retired: ['Obsolete'],
+  Obsolete: []
+};
+
+const LIFECYCLE_STATUSES = Object.keys(LIFECYCLE_TRANSITIONS);
+
+// Statuses a new entity may be created in
+const INITIAL_STATUSES = ['In Study', 'In Design', 'Launched'];
+
+const LAUNCHED_STATUSES = ['Launched', 'Active'];
+
+// Statuses that may not be used in new orders
+const WITHDRAWN_STATUSES = ['Retired', 'Obsolete'];
+
+// Fields that stay editable on a launched entity; everything else is core
+const EDITABLE_WHEN_LAUNCHED = [
+  'lifecycleStatus', 'statusReason', 'description', 'validFor', 'relatedParty', 'attachment',
+  // Position in the category tree
+  'parentId', 'subCategory', 'isRoot',
+  // Maintained by the server
+  'id', 'href', '@type', '@baseType', '@schemaLocation', 'version', 'lastUpdate', 'createdAt', 'updatedAt', '_id', '__v'
+];
+
+/**
+ * Create an error that the API layer reports with the given status (409 or 422)
+ */
+const lifecycleError = (message, status, details = {}) => {
+  const error = new Error(message);
+  error.name = 'LifecycleError';
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+};
+
+const isLaunched = (status) => LAUNCHED_STATUSES.includes(status);
+
+/**
+ * Statuses an entity may move to. Unknown legacy statuses may move anywhere.
+ */
+const getAllowedStatuses = (status) => LIFECYCLE_TRANSITIONS[status] || LIFECYCLE_STATUSES;
+
+/**
+ * Throw a LifecycleError unless `entityType` may move from `from` to `to`
+ */
+const assertLifecycleTransition = (entityType, from, to) => {
+  if (!LIFECYCLE_STATUSES.includes(to)) {
+    throw lifecycleError(`'${to}' is not a lifecycleStatus. Use one of: ${LIFECYCLE_STATUSES.join(', ')}`, 422, {
+      requestedStatus: to,
+      allowedStatuses: getAllowedStatuses(from)
+    });
+  }
+
+  if (from !== to && !getAllowedStatuses(from).includes(to)) {
+    const allowed = getAllowedStatuses(from);
+    throw lifecycleError(
+      `${entityType} cannot move from '${from}' to '${to}'. Allowed next statuses: ${allowed.length > 0 ? allowed.join(', ') : 'none (final status)'}`,
+      409,
+      { currentStatus: from, requestedStatus: to, allowedStatuses: allowed }
+    );
+  }
+};
+
+/**
+ * Throw a LifecycleError unless a new entity may start in `status`
+ */
+const assertInitialStatus = (entityType, status) => {
+  if (!INITIAL_STATUSES.includes(status)) {
+    throw lifecycleError(`${entityType} cannot be created as '${status}'. Use one of: ${INITIAL_STATUSES.join(', ')}`, 422, {
+      requestedStatus: status,
+      allowedStatuses: INITIAL_STATUSES
+    });
+  }
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Core fields an update would change on a launched entity
+ */
+const getLockedFieldChanges = (current, updates) => {
+  if (!isLaunched(current.lifecycleStatus)) return [];
+
+  return Object.keys(updates)
+    .filter(field => !EDITABLE_WHEN_LAUNCHED.includes(field))
+    .filter(field => !sameValue(current[field], updates[field]));
+};
+
+module.exports = {
+  LIFECYCLE_TRANSITIONS,
+  LIFECYCLE_STATUSES,
+  INITIAL_STATUSES,
+  LAUNCHED_STATUSES,
+  WITHDRAWN_STATUSES,
+  lifecycleError,
+  isLaunched,
+  getAllowedStatuses,
+  assertLifecycleTransition,
+  assertInitialStatus,
+  getLockedFieldChanges
+};
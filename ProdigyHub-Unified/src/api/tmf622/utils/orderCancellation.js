@@ -0,0 +1,151 @@
+// src/api/tmf622/utils/orderCancellation.js - Processing of TMF622 CancelProductOrder requests
+//
+// A cancellation is created as acknowledged, moves to inProgress while its target
+// order is assessed and ends as done, or as terminatedWithErrors when it cannot be
+// processed. Every move is announced with a CancelProductOrderStateChangeEvent.
+// The target order follows the order state machine: it moves to assessingCancellation
+// when the request is accepted and through pendingCancellation to cancelled when the
+// request is done, with each step recorded in its stateChange history.
+const { emitProductOrderEvent, emitCancelProductOrderEvent } = require('./orderEvents');
+const { CANCELLATION_STATES, invalidTransition, getAllowedOrderStates, planStateUpdate } = require('./orderStateMachine');
+const { referenceError } = require('../../../services/catalogReferences');
+
+/**
+ * Apply the state moves in `states` to an order, one planned transition at a time.
+ * The write only succeeds while the order is still in the state the plan started
+ * from; otherwise a StateTransitionError (409) is thrown.
+ */
+const moveOrder = async (order, states, context, changes = {}) => {
+  const { ProductOrder } = require('../../../models/AllTMFModels');
+
+  let current = order;
+  const stateChange = [];
+  for (const state of states) {
+    const plan = planStateUpdate(current, { state }, context);
+    stateChange.push(...plan.stateChange);
+    current = { ...current, state: plan.state };
+  }
+
+  const updated = await ProductOrder.findOneAndUpdate(
+    { id: order.id, state: order.state },
+    {
+      $set: { ...changes, state: current.state, lastUpdate: new Date() },
+      $push: { stateChange: { $each: stateChange } }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw invalidTransition('ProductOrder', order.state, current.state, getAllowedOrderStates(order.state));
+  }
+
+  emitProductOrderEvent('ProductOrderStateChangeEvent', updated, {
+    description: `ProductOrder state changed from ${order.state} to ${updated.state}`
+  });
+  return updated;
+};
+
+/**
+ * Move a cancellation from its current state to `state`. Returns null when another
+ * process moved it first.
+ */
+const setCancellationState = async (cancelOrder, state, changes = {}) => {
+  const { CancelProductOrder } = require('../../../models/AllTMFModels');
+
+  const updated = await CancelProductOrder.findOneAndUpdate(
+    { id: cancelOrder.id, state: cancelOrder.state },
+    { $set: { ...changes, state } },
+    { new: true, runValidators: true }
+  );
+
+  if (updated) {
+    emitCancelProductOrderEvent('CancelProductOrderStateChangeEvent', updated, {
+      description: `CancelProductOrder state changed from ${cancelOrder.state} to ${state}`
+    });
+  }
+  return updated;
+};
+
+/**
+ * Accept a cancellation request: its target order moves to assessingCancellation.
+ * Throws a ReferenceIntegrityError (422) when the order does not exist and a
+ * StateTransitionError (409) when it cannot be cancelled or is already being cancelled.
+ */
+const requestCancellation = async (cancelData, context = {}) => {
+  const { CancelProductOrder, ProductOrder } = require('../../../models/AllTMFModels');
+
+  const orderId = cancelData.productOrder.id;
+  const order = await ProductOrder.findOne({ id: orderId }).lean();
+  if (!order) {
+    throw referenceError(`ProductOrder ${orderId} does not exist`, 422, {
+      details: [{ id: orderId, '@referredType': 'ProductOrder', reason: 'not found' }]
+    });
+  }
+  if (CANCELLATION_STATES.includes(order.state)) {
+    throw invalidTransition('ProductOrder', order.state, 'assessingCancellation', getAllowedOrderStates(order.state));
+  }
+
+  const cancelOrder = new CancelProductOrder({
+    ...cancelData,
+    state: 'acknowledged',
+    productOrder: { ...cancelData.productOrder, href: order.href },
+    '@type': 'CancelProductOrder'
+  });
+  // The request is stored before the order moves, so an order in assessingCancellation
+  // always has a cancellation to finish it; a rejected move removes the request again
+  await cancelOrder.save();
+
+  try {
+    const assessingOrder = await moveOrder(order, ['assessingCancellation'], {
+      ...context,
+      reason: cancelData.cancellationReason || `CancelProductOrder ${cancelOrder.id}`
+    }, { cancellationReason: cancelData.cancellationReason });
+
+    return { cancelOrder, productOrder: assessingOrder };
+  } catch (error) {
+    await CancelProductOrder.deleteOne({ id: cancelOrder.id }).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Process an acknowledged cancellation to its final state. Never throws: a failure,
+ * including a target order that left assessingCancellation in the meantime, ends the
+ * cancellation as terminatedWithErrors.
+ */
+const processCancellation = async (cancelOrderId) => {
+  const { CancelProductOrder, ProductOrder } = require('../../../models/AllTMFModels');
+
+  let cancelOrder = null;
+  try {
+    const acknowledged = await CancelProductOrder.findOne({ id: cancelOrderId }).lean();
+    if (!acknowledged || acknowledged.state !== 'acknowledged') return acknowledged;
+
+    cancelOrder = await setCancellationState(acknowledged, 'inProgress');
+    if (!cancelOrder) return null;
+
+    const order = await ProductOrder.findOne({ id: cancelOrder.productOrder.id }).lean();
+    if (!order) {
+      throw new Error(`ProductOrder ${cancelOrder.productOrder.id} does not exist`);
+    }
+    if (order.state !== 'assessingCancellation') {
+      throw new Error(`ProductOrder ${order.id} is '${order.state}' and no longer awaits cancellation`);
+    }
+
+    const effectiveCancellationDate = new Date();
+    await moveOrder(order, ['pendingCancellation', 'cancelled'], {
+      actor: 'system',
+      reason: `CancelProductOrder ${cancelOrder.id} approved`
+    }, { cancellationDate: effectiveCancellationDate });
+
+    return await setCancellationState(cancelOrder, 'done', { effectiveCancellationDate });
+  } catch (error) {
+    console.error(`❌ CancelProductOrder ${cancelOrderId} failed:`, error.message);
+    return cancelOrder ? setCancellationState(cancelOrder, 'terminatedWithErrors').catch(() => null) : null;
+  }
+};
+
+module.exports = {
+  requestCancellation,
+  processCancellation
+};
@@ -0,0 +1,72 @@
+// src/api/tmf622/utils/orderEvents.js - TMF622 ProductOrder and CancelProductOrder notifications
+const { publishResourceEvent, toEventSnapshot } = require('../../../services/eventPublisher');
+
+const DOMAIN = 'productOrdering';
+
+// Fields that change as a side effect of every update and never count as attribute changes
+const IGNORED_FIELDS = ['id', 'href', '@type', 'state', 'lastUpdate', 'updatedAt', 'createdAt', '_id', '__v'];
+
+/**
+ * Emit a ProductOrder event (ProductOrderCreateEvent, ProductOrderStateChangeEvent, ...)
+ */
+const emitProductOrderEvent = (eventType, productOrder, options = {}) => {
+  return publishResourceEvent(eventType, 'productOrder', productOrder, {
+    domain: DOMAIN,
+    ...options
+  });
+};
+
+/**
+ * Emit a CancelProductOrder event (CancelProductOrderCreateEvent, CancelProductOrderStateChangeEvent)
+ */
+const emitCancelProductOrderEvent = (eventType, cancelProductOrder, options = {}) => {
+  const snapshot = toEventSnapshot(cancelProductOrder);
+
+  return publishResourceEvent(eventType, 'cancelProductOrder', snapshot, {
+    domain: DOMAIN,
+    correlationId: snapshot.productOrder?.id || snapshot.id,
+    ...options
+  });
+};
+
+/**
+ * Names of the top-level attributes whose values differ between two versions of an order
+ */
+const getChangedAttributes = (previousOrder, updatedOrder, updates) => {
+  const previous = toEventSnapshot(previousOrder) || {};
+  const updated = toEventSnapshot(updatedOrder) || {};
+
+  return Object.keys(updates || {})
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(updated[field]));
+};
+
+/**
+ * Emit the events implied by a PATCH: a state change and/or an attribute value change
+ */
+const emitProductOrderUpdateEvents = (previousOrder, updatedOrder, updates) => {
+  const emitted = [];
+
+  if (previousOrder.state !== updatedOrder.state) {
+    emitted.push(emitProductOrderEvent('ProductOrderStateChangeEvent', updatedOrder, {
+      description: `ProductOrder state changed from ${previousOrder.state} to ${updatedOrder.state}`
+    }));
+  }
+
+  const changedAttributes = getChangedAttributes(previousOrder, updatedOrder, updates);
+  if (changedAttributes.length > 0) {
+    emitted.push(emitProductOrderEvent('ProductOrderAttributeValueChangeEvent', updatedOrder, {
+      fieldPath: changedAttributes.join(','),
+      description: `ProductOrder attributes changed: ${changedAttributes.join(', ')}`
+    }));
+  }
+
+  return Promise.all(emitted);
+};
+
+module.exports = {
+  emitProductOrderEvent,
+  emitCancelProductOrderEvent,
+  emitProductOrderUpdateEvents,
+  getChangedAttributes
+};
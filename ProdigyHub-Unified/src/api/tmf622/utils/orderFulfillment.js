@@ -0,0 +1,265 @@
+// src/api/tmf622/utils/orderFulfillment.js - Provision TMF637 inventory when a ProductOrder completes
+//
+// Every delivered order item acts on the products collection according to its
+// action: `add` creates a Product, `modify` applies the item's product to the
+// existing Product and `delete` terminates it through pendingTerminate. Touched
+// products keep a RelatedOrderItem back-reference to the item. An item that cannot
+// be fulfilled is reported as an order note and never stops the other items.
+const { v4: uuidv4 } = require('uuid');
+const catalogVersioning = require('../../../services/catalogVersioning');
+const { changeProductStatus } = require('../../../services/productLifecycleService');
+const { prepareRelationships } = require('../../../services/productRelationships');
+const { emitProductEvent } = require('../../tmf637/utils/productEvents');
+
+// Order states whose items are delivered to the inventory
+const FULFILLED_ORDER_STATES = ['completed', 'partial'];
+
+// Item states that never reach the inventory, even when the order is completed as a whole
+const UNFULFILLED_ITEM_STATES = ['rejected', 'cancelled', 'failed'];
+
+const FULFILLED_ACTIONS = ['add', 'modify', 'delete'];
+
+// Product fields that a `modify` item cannot overwrite
+const PROTECTED_FIELDS = [
+  '_id', '__v', 'id', 'href', '@type', 'creationDate', 'productOrderItem', 'createdAt', 'updatedAt',
+  'status', 'statusChange', 'statusChangeReason', 'statusChangeDate'
+];
+
+/**
+ * Whether an order moving from `previousState` to `state` delivers its items
+ */
+const shouldFulfill = (previousState, state) => {
+  return previousState !== state && FULFILLED_ORDER_STATES.includes(state);
+};
+
+/**
+ * A completed order delivers every item that did not fail; a partial one only its completed items
+ */
+const isFulfillable = (order, item) => {
+  if (!FULFILLED_ACTIONS.includes(item.action || 'add')) return false;
+  return order.state === 'completed'
+    ? !UNFULFILLED_ITEM_STATES.includes(item.state)
+    : item.state === 'completed';
+};
+
+const relatedOrderItem = (order, item) => ({
+  orderId: order.id,
+  orderHref: order.href,
+  orderItemId: item.id,
+  orderItemAction: item.action || 'add',
+  '@referredType': 'ProductOrder',
+  '@type': 'RelatedOrderItem'
+});
+
+/**
+ * Order and product parties as product relatedParty entries, without duplicates
+ */
+const mergeRelatedParties = (...lists) => {
+  const seen = new Set();
+
+  return lists.flat().filter(Boolean).map(party => {
+    const ref = party.partyOrPartyRole || party;
+    return { id: ref.id, name: ref.name, role: party.role, '@type': 'RelatedPartyRefOrPartyRoleRef' };
+  }).filter(party => {
+    const key = `${party.id}|${party.role}`;
+    if (!party.id || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const toProductPrices = (itemPrice = []) => {
+  return itemPrice.map(({ '@type': type, ...price }) => ({ ...price, '@type': 'ProductPrice' }));
+};
+
+/**
+ * Product fields requested by an item, without the ones the inventory owns
+ */
+const requestedFields = (item) => {
+  const fields = { ...(item.product || {}) };
+  PROTECTED_FIELDS.forEach(field => delete fields[field]);
+  delete fields['@referredType'];
+  return fields;
+};
+
+/**
+ * Product document for an `add` item. Child items of a bundle become `bundled` relationships
+ * next to the checked relationships the item requested.
+ */
+const buildProduct = (order, item, offering, relationships, productIds, now) => {
+  const requested = requestedFields(item);
+
+  const bundled = (item.productOrderItemRelationship || [])
+    .filter(relationship => relationship.relationshipType === 'bundles' && productIds.has(String(relationship.id)))
+    .map(relationship => ({
+      id: productIds.get(String(relationship.id)),
+      relationshipType: 'bundled',
+      '@type': 'ProductRelationship'
+    }));
+
+  return {
+    ...requested,
+    id: productIds.get(String(item.id)),
+    name: requested.name || offering?.name || item.productOffering?.name || `Product of order ${order.id} item ${item.id}`,
+    status: 'active',
+    creationDate: now,
+    lastUpdate: now,
+    startDate: requested.startDate || now,
+    isBundle: bundled.length > 0 || relationships.isBundle,
+    productOffering: item.productOffering?.id
+      ? { id: item.productOffering.id, href: item.productOffering.href, name: item.productOffering.name || offering?.name }
+      : undefined,
+    productSpecification: requested.productSpecification || offering?.productSpecification,
+    productCharacteristic: requested.productCharacteristic || [],
+    productPrice: toProductPrices(item.itemPrice),
+    productRelationship: [...relationships.productRelationship, ...bundled],
+    place: [].concat(requested.place || item.place || []),
+    billingAccount: requested.billingAccount || item.billingAccount || order.billingAccount,
+    relatedParty: mergeRelatedParties(order.relatedParty, requested.relatedParty),
+    productOrderItem: [relatedOrderItem(order, item)]
+  };
+};
+
+/**
+ * Pick product ids for `add` items: the id the order proposed when it is still free, else a new one
+ */
+const assignProductIds = async (order, items) => {
+  const { Product } = require('../../../models/AllTMFModels');
+
+  const proposed = items.map(item => item.product?.id).filter(Boolean);
+  const taken = new Set(proposed.length > 0
+    ? (await Product.find({ id: { $in: proposed } }).select('id').lean()).map(product => product.id)
+    : []);
+
+  return new Map(items.map(item => {
+    const candidate = item.product?.id;
+    const id = candidate && !taken.has(candidate) ? candidate : uuidv4();
+    taken.add(id);
+    return [String(item.id), id];
+  }));
+};
+
+const addProduct = async (order, item, productIds, now) => {
+  const { Product } = require('../../../models/AllTMFModels');
+
+  const offering = item.productOffering?.id
+    ? await catalogVersioning.resolveVersion('ProductOffering', item.productOffering.id, item.productOffering.version)
+    : null;
+
+  const relationships = await prepareRelationships(null, item.product?.productRelationship);
+
+  const product = new Product(buildProduct(order, item, offering, relationships, productIds, now));
+  await product.save();
+
+  emitProductEvent('ProductCreateEvent', product);
+  return product;
+};
+
+const findExistingProduct = async (item) => {
+  const { Product } = require('../../../models/AllTMFModels');
+
+  const productId = item.product?.id;
+  if (!productId) {
+    throw new Error(`item ${item.id} has action '${item.action}' but no product.id`);
+  }
+  const product = await Product.findOne({ id: productId }).lean();
+  if (!product) {
+    throw new Error(`product ${productId} of item ${item.id} does not exist`);
+  }
+  return product;
+};
+
+const modifyProduct = async (order, item, now) => {
+  const { Product } = require('../../../models/AllTMFModels');
+  const current = await findExistingProduct(item);
+
+  if (['terminated', 'cancelled', 'aborted'].includes(current.status)) {
+    throw new Error(`product ${current.id} is ${current.status} and cannot be modified`);
+  }
+
+  const changes = requestedFields(item);
+  if (changes.productRelationship !== undefined) {
+    Object.assign(changes, await prepareRelationships(current.id, changes.productRelationship));
+  }
+  if (Array.isArray(item.itemPrice) && item.itemPrice.length > 0) {
+    changes.productPrice = toProductPrices(item.itemPrice);
+  }
+  if (item.productOffering?.id) {
+    changes.productOffering = { id: item.productOffering.id, href: item.productOffering.href, name: item.productOffering.name };
+  }
+
+  const product = await Product.findOneAndUpdate(
+    { id: current.id },
+    {
+      $set: { ...changes, lastUpdate: now },
+      $push: { productOrderItem: relatedOrderItem(order, item) }
+    },
+    { new: true, runValidators: true }
+  );
+
+  emitProductEvent('ProductAttributeValueChangeEvent', product, {
+    fieldPath: Object.keys(changes).join(','),
+    description: `Product modified by order ${order.id} item ${item.id}`
+  });
+  return product;
+};
+
+const terminateProduct = async (order, item) => {
+  const current = await findExistingProduct(item);
+  const context = { reason: `Terminated by order ${order.id} item ${item.id}`, actor: 'system' };
+  const productOrderItem = [...(current.productOrderItem || []), relatedOrderItem(order, item)];
+
+  // Termination passes through pendingTerminate so subscribers see both steps
+  if (current.status === 'pendingTerminate') {
+    return changeProductStatus(current.id, 'terminated', context, { productOrderItem });
+  }
+  await changeProductStatus(current.id, 'pendingTerminate', context, { productOrderItem });
+  return changeProductStatus(current.id, 'terminated', context);
+};
+
+/**
+ * Apply the delivered items of an order to the inventory. Returns the order items with
+ * their `product` refs pointing at the provisioned products, and a note per failed item.
+ */
+const fulfillOrder = async (order) => {
+  const now = new Date();
+  const items = (order.productOrderItem || []).map(item => ({ ...item }));
+  const fulfillable = items.filter(item => isFulfillable(order, item));
+  const note = [];
+
+  const productIds = await assignProductIds(order, fulfillable.filter(item => (item.action || 'add') === 'add'));
+
+  for (const item of fulfillable) {
+    try {
+      const action = item.action || 'add';
+      const product = action === 'add'
+        ? await addProduct(order, item, productIds, now)
+        : action === 'modify'
+          ? await modifyProduct(order, item, now)
+          : await terminateProduct(order, item);
+
+      item.product = {
+        ...(item.product || {}),
+        id: product.id,
+        href: product.href,
+        name: product.name,
+        '@type': item.product?.['@type'] || 'ProductRef'
+      };
+    } catch (error) {
+      console.error(`❌ Fulfillment of order ${order.id} item ${item.id} failed:`, error.message);
+      note.push({
+        id: uuidv4(),
+        author: 'system',
+        date: new Date(),
+        text: `Inventory fulfillment of item ${item.id} (${item.action || 'add'}) failed: ${error.message}`
+      });
+    }
+  }
+
+  return { productOrderItem: items, note };
+};
+
+module.exports = {
+  shouldFulfill,
+  fulfillOrder
+};
@@ -0,0 +1,117 @@
+// src/api/tmf622/utils/orderPricing.js - Server-side TMF622 order prices from the catalog
+//
+// itemPrice, itemTotalPrice and orderTotalPrice are always computed by the catalog
+// pricing engine; prices sent by the client are only compared with the result and
+// reported as discrepancies. Totals are kept per priceType, recurring period and
+// currency, so LKR and other currencies are never added together.
+const { v4: uuidv4 } = require('uuid');
+const pricingEngine = require('../../../services/pricingEngine');
+
+// Actions that are charged; delete and noChange items carry no price
+const PRICED_ACTIONS = ['add', 'modify'];
+
+// Largest difference in one currency unit still counted as equal
+const TOLERANCE = 0.01;
+
+const priceKey = (price) => [
+  pricingEngine.normalizePriceType(price.priceType) || price.priceType || '',
+  price.recurringChargePeriod || '',
+  price.price?.taxIncludedAmount?.unit || price.price?.dutyFreeAmount?.unit || ''
+].join('|');
+
+/**
+ * Sum price lines per key, preferring tax-included amounts as the client would display them
+ */
+const sumByKey = (prices = []) => {
+  const sums = new Map();
+  (Array.isArray(prices) ? prices : [prices]).filter(price => price?.price).forEach(price => {
+    const amount = price.price.taxIncludedAmount?.value ?? price.price.dutyFreeAmount?.value ?? 0;
+    sums.set(priceKey(price), (sums.get(priceKey(price)) || 0) + (Number(amount) || 0));
+  });
+  return sums;
+};
+
+/**
+ * Differences between client-supplied and computed prices. A client value equal to the
+ * computed value for one unit of a multi-quantity item is accepted as a unit price.
+ */
+const comparePrices = (clientPrices, computedPrices, quantity, productOrderItemId) => {
+  const client = sumByKey(clientPrices);
+  if (client.size === 0) return [];
+  const computed = sumByKey(computedPrices);
+
+  // A client total without a known priceType (e.g. 'total') covers every price in its currency
+  const catalogSum = (key) => {
+    const [priceType, , unit] = key.split('|');
+    if (pricingEngine.normalizePriceType(priceType) || !client.has(key)) return computed.get(key) || 0;
+    return [...computed.entries()]
+      .filter(([computedKey]) => computedKey.endsWith(`|${unit}`))
+      .reduce((sum, [, value]) => sum + value, 0);
+  };
+  const coveredByTotals = (key) => [...client.keys()].some(clientKey =>
+    !pricingEngine.normalizePriceType(clientKey.split('|')[0]) && clientKey.split('|')[2] === key.split('|')[2]);
+
+  return [...new Set([...client.keys(), ...[...computed.keys()].filter(key => !coveredByTotals(key))])]
+    .map(key => {
+      const clientValue = Math.round((client.get(key) || 0) * 100) / 100;
+      const catalogValue = Math.round(catalogSum(key) * 100) / 100;
+      const matches = Math.abs(clientValue - catalogValue) <= TOLERANCE ||
+        Math.abs(clientValue * quantity - catalogValue) <= TOLERANCE;
+      if (matches) return null;
+
+      const [priceType, recurringChargePeriod, unit] = key.split('|');
+      return {
+        ...(productOrderItemId !== undefined ? { productOrderItemId } : {}),
+        priceType,
+        ...(recurringChargePeriod ? { recurringChargePeriod } : {}),
+        unit,
+        clientValue,
+        catalogValue
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Price order items from the catalog. Returns the items with computed itemPrice and
+ * itemTotalPrice, the orderTotalPrice and the discrepancies with the client's prices.
+ */
+const priceOrderItems = async (items = [], clientOrderTotalPrice) => {
+  const priced = items.filter(item => PRICED_ACTIONS.includes(item.action || 'add') && item.productOffering?.id);
+  const { item: results, totalPrice } = await pricingEngine.calculatePrices(priced, { skipUnknown: true });
+  const byId = new Map(results.map(result => [result.id, result]));
+
+  const priceDiscrepancy = [];
+  const productOrderItem = items.map(item => {
+    const result = byId.get(item.id);
+    const itemPrice = result ? result.itemPrice : [];
+    const itemTotalPrice = result ? result.itemTotalPrice : [];
+
+    const clientPrices = Array.isArray(item.itemPrice) && item.itemPrice.length > 0 ? item.itemPrice : item.itemTotalPrice;
+    priceDiscrepancy.push(...comparePrices(clientPrices, itemPrice, Number(item.quantity) || 1, item.id));
+
+    return { ...item, itemPrice, itemTotalPrice };
+  });
+
+  priceDiscrepancy.push(...comparePrices(clientOrderTotalPrice, totalPrice, 1));
+
+  return { productOrderItem, orderTotalPrice: totalPrice, priceDiscrepancy };
+};
+
+/**
+ * Order note summarizing price discrepancies
+ */
+const discrepancyNote = (priceDiscrepancy) => {
+  const items = [...new Set(priceDiscrepancy.map(entry => entry.productOrderItemId).filter(id => id !== undefined))];
+  return {
+    id: uuidv4(),
+    author: 'system',
+    date: new Date(),
+    text: `Client-supplied prices differ from the catalog${items.length > 0 ? ` for item(s) ${items.join(', ')}` : ' for the order total'}; catalog prices were applied`
+  };
+};
+
+module.exports = {
+  priceOrderItems,
+  discrepancyNote
+};
@@ -0,0 +1,210 @@
+// src/api/tmf622/utils/orderStateMachine.js - TMF622 ProductOrder and ProductOrderItem state machine
+//
+// Manual PATCHes are validated against the transition tables below. Every accepted
+// change is recorded in the order's `stateChange` history, and the order state is
+// derived from its item states when only the items move. An explicit order state
+// must agree with the item states.
+
+const ORDER_STATE_TRANSITIONS = {
+  acknowledged: ['rejected', 'pending', 'held', 'inProgress', 'assessingCancellation'],
+  pending: ['inProgress', 'held', 'assessingCancellation'],
+  held: ['inProgress', 'pending', 'assessingCancellation'],
+  inProgress: ['pending', 'held', 'completed', 'failed', 'partial', 'assessingCancellation'],
+  assessingCancellation: ['pendingCancellation', 'acknowledged', 'pending', 'held', 'inProgress'],
+  pendingCancellation: ['cancelled'],
+  rejected: [],
+  cancelled: [],
+  completed: [],
+  failed: [],
+  partial: []
+};
+
+// Items follow the order lifecycle, except that a single item cannot be `partial`
+const ITEM_STATE_TRANSITIONS = {
+  ...ORDER_STATE_TRANSITIONS,
+  inProgress: ORDER_STATE_TRANSITIONS.inProgress.filter(state => state !== 'partial')
+};
+delete ITEM_STATE_TRANSITIONS.partial;
+
+const FINAL_ORDER_STATES = ['rejected', 'cancelled', 'completed', 'failed', 'partial'];
+const FINAL_ITEM_STATES = ['rejected', 'cancelled', 'completed', 'failed'];
+const CANCELLATION_STATES = ['assessingCancellation', 'pendingCancellation'];
+const WHOLE_ORDER_STATES = ['rejected', 'cancelled', ...CANCELLATION_STATES];
+
+/**
+ * Create an error that the API layer reports as 409 Conflict
+ */
+const invalidTransition = (subject, from, to, allowedStates, productOrderItemId) => {
+  const allowed = allowedStates.length > 0 ? allowedStates.join(', ') : 'none (final state)';
+  const error = new Error(`${subject} cannot move from '${from}' to '${to}'. Allowed next states: ${allowed}`);
+  error.name = 'StateTransitionError';
+  error.status = 409;
+  error.currentState = from;
+  error.requestedState = to;
+  error.allowedStates = allowedStates;
+  if (productOrderItemId !== undefined) error.productOrderItemId = productOrderItemId;
+  return error;
+};
+
+/**
+ * States a ProductOrder may move to from the given state
+ */
+const getAllowedOrderStates = (state) => ORDER_STATE_TRANSITIONS[state] || [];
+
+/**
+ * States a ProductOrderItem may move to from the given state
+ */
+const getAllowedItemStates = (state) => ITEM_STATE_TRANSITIONS[state] || [];
+
+/**
+ * Throw a StateTransitionError unless the order may move from `from` to `to`
+ */
+const assertOrderTransition = (from, to) => {
+  if (from !== to && !getAllowedOrderStates(from).includes(to)) {
+    throw invalidTransition('ProductOrder', from, to, getAllowedOrderStates(from));
+  }
+};
+
+/**
+ * Throw a StateTransitionError unless the item may move from `from` to `to`
+ */
+const assertItemTransition = (itemId, from, to) => {
+  if (from !== to && !getAllowedItemStates(from).includes(to)) {
+    throw invalidTransition(`ProductOrderItem '${itemId}'`, from, to, getAllowedItemStates(from), itemId);
+  }
+};
+
+/**
+ * Derive the order state from its item states. Final and cancellation states
+ * of the order are kept until every item has reached a final state.
+ */
+const deriveOrderState = (items, currentState) => {
+  const states = (items || []).map(item => item.state || 'acknowledged');
+
+  if (states.length === 0 || FINAL_ORDER_STATES.includes(currentState)) {
+    return currentState;
+  }
+
+  if (states.every(state => FINAL_ITEM_STATES.includes(state))) {
+    const distinct = [...new Set(states)];
+    if (distinct.length === 1) return distinct[0];
+    return states.includes('completed') ? 'partial' : 'failed';
+  }
+
+  if (CANCELLATION_STATES.includes(currentState) || states.every(state => state === 'acknowledged')) {
+    return currentState;
+  }
+
+  if (states.includes('inProgress')) return 'inProgress';
+  if (states.includes('held')) return 'held';
+  if (states.includes('pending')) return 'pending';
+  return 'inProgress';
+};
+
+/**
+ * Throw a StateTransitionError when an explicitly requested order state contradicts
+ * the item states. Rejection and cancellation apply to the whole order and are not
+ * checked; a final outcome needs every item in a final state that derives to it.
+ */
+const assertOrderStateMatchesItems = (state, items) => {
+  if (!items || items.length === 0 || WHOLE_ORDER_STATES.includes(state)) return;
+
+  const derived = deriveOrderState(items, FINAL_ORDER_STATES.includes(state) ? undefined : state);
+  if (derived !== state) {
+    const error = new Error(`ProductOrder cannot be '${state}' while its productOrderItem states derive to '${derived || 'acknowledged'}'`);
+    error.name = 'StateTransitionError';
+    error.status = 409;
+    error.requestedState = state;
+    error.allowedStates = [derived || 'acknowledged'];
+    throw error;
+  }
+};
+
+/**
+ * Build a `stateChange` history entry
+ */
+const buildStateChange = (previousState, state, context = {}, productOrderItemId) => ({
+  previousState,
+  state,
+  timestamp: new Date(),
+  actor: context.actor || 'system',
+  reason: context.reason,
+  ...(productOrderItemId !== undefined && { productOrderItemId }),
+  '@type': 'StateChange'
+});
+
+/**
+ * Identify who requested a change, from the authenticated user or the X-Actor header
+ */
+const resolveActor = (req) => {
+  if (req.user) return req.user.name || req.user.id;
+  return req.get('X-Actor') || 'anonymous';
+};
+
+/**
+ * Validate the state-related parts of a PATCH body against an existing order.
+ * Returns the resulting order state, the merged item list (when items were sent)
+ * and the history entries to append. Throws a StateTransitionError on illegal moves.
+ */
+const planStateUpdate = (order, updates, context = {}) => {
+  const stateChange = [];
+  const result = { state: order.state, stateChange };
+  let itemsChanged = false;
+
+  if (Array.isArray(updates.productOrderItem)) {
+    const previousItems = new Map((order.productOrderItem || []).map(item => [item.id, item]));
+
+    result.productOrderItem = updates.productOrderItem.map(item => {
+      const previous = previousItems.get(item.id);
+      const previousState = previous ? (previous.state || 'acknowledged') : undefined;
+      const state = item.state || previousState || 'acknowledged';
+
+      if (!previous) {
+        if (state !== 'acknowledged') {
+          throw invalidTransition(`ProductOrderItem '${item.id}'`, 'none', state, ['acknowledged'], item.id);
+        }
+      } else if (state !== previousState) {
+        assertItemTransition(item.id, previousState, state);
+        stateChange.push(buildStateChange(previousState, state, context, item.id));
+        itemsChanged = true;
+      }
+
+      return { ...(previous || {}), ...item, state };
+    });
+  }
+
+  if (updates.state !== undefined && updates.state !== order.state) {
+    assertOrderTransition(order.state, updates.state);
+    assertOrderStateMatchesItems(updates.state, result.productOrderItem || order.productOrderItem);
+    stateChange.push(buildStateChange(order.state, updates.state, context));
+    result.state = updates.state;
+  } else if (itemsChanged) {
+    const derived = deriveOrderState(result.productOrderItem, order.state);
+    if (derived !== order.state) {
+      stateChange.push(buildStateChange(order.state, derived, {
+        ...context,
+        reason: context.reason || 'Derived from productOrderItem states'
+      }));
+      result.state = derived;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  ORDER_STATE_TRANSITIONS,
+  ITEM_STATE_TRANSITIONS,
+  FINAL_ORDER_STATES,
+  CANCELLATION_STATES,
+  invalidTransition,
+  getAllowedOrderStates,
+  getAllowedItemStates,
+  assertOrderTransition,
+  assertItemTransition,
+  assertOrderStateMatchesItems,
+  deriveOrderState,
+  buildStateChange,
+  resolveActor,
+  planStateUpdate
+};
@@ -0,0 +1,176 @@
+// src/api/tmf622/utils/orderValidation.js - Catalog and qualification checks for new TMF622 orders
+//
+// Each item's productOffering must exist and be sellable, its product characteristics
+// must be defined by the offering's ProductSpecification with a value of the declared
+// valueType, and a productOfferingQualificationItem must point to a TMF679 item that
+// is done, qualified and not expired. All problems are collected per item and reported
+// together as TMF Error details.
+
+/**
+ * Create an error that the API layer reports as 422 with item-level details
+ */
+const orderValidationError = (details) => {
+  const items = [...new Set(details.map(detail => detail.productOrderItemId))];
+  const error = new Error(`Product order item(s) ${items.join(', ')} failed validation: ${details.map(detail => detail.reason).join('; ')}`);
+  error.name = 'OrderValidationError';
+  error.status = 422;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Whether a characteristic value fits a ProductSpecification valueType
+ */
+const matchesValueType = (value, valueType) => {
+  if (value === undefined || value === null) return true;
+
+  switch (String(valueType || '').toLowerCase()) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+    case 'float':
+      return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)));
+    case 'integer':
+      return Number.isInteger(typeof value === 'string' ? Number(value) : value) && String(value).trim() !== '';
+    case 'boolean':
+      return typeof value === 'boolean' || value === 'true' || value === 'false';
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      // Unknown or missing valueTypes are not checked
+      return true;
+  }
+};
+
+/**
+ * Items named as bundle children by another item; they may use offerings that are
+ * only sellable as part of their bundle
+ */
+const bundledItemIds = (items) => new Set(items.flatMap(item => (item.productOrderItemRelationship || [])
+  .filter(relationship => relationship?.relationshipType === 'bundles')
+  .map(relationship => String(relationship.id))));
+
+const checkCharacteristics = (item, specification, problem) => {
+  const characteristics = item.product?.productCharacteristic || [];
+  if (characteristics.length === 0 || !specification) return;
+
+  const defined = new Map((specification.productSpecCharacteristic || []).map(c => [c.name, c]));
+  characteristics.forEach(characteristic => {
+    const definition = defined.get(characteristic?.name);
+    if (!definition) {
+      problem('UNKNOWN_CHARACTERISTIC', `characteristic '${characteristic?.name}' is not defined by ProductSpecification ${specification.id}`,
+        'product.productCharacteristic');
+    } else if (!matchesValueType(characteristic.value, definition.valueType)) {
+      problem('INVALID_CHARACTERISTIC_VALUE', `characteristic '${characteristic.name}' must be of type ${definition.valueType}`,
+        'product.productCharacteristic');
+    }
+  });
+};
+
+/**
+ * Find the qualification item an order item refers to in a check or query qualification
+ */
+const findQualificationItem = async (reference) => {
+  const { CheckProductOfferingQualification, QueryProductOfferingQualification } = require('../../../models/AllTMFModels');
+  const qualificationId = reference.productOfferingQualificationId;
+  const itemId = String(reference.itemId ?? reference.id ?? '');
+
+  const check = await CheckProductOfferingQualification.findOne({ id: qualificationId }).lean();
+  if (check) {
+    const item = (check.checkProductOfferingQualificationItem || []).find(candidate => String(candidate?.id) === itemId);
+    return { qualification: check, item, result: item?.qualificationItemResult };
+  }
+
+  const query = await QueryProductOfferingQualification.findOne({ id: qualificationId }).lean();
+  if (query) {
+    // Query results only list offerings that qualified
+    const item = (query.qualifiedProductOfferingItem || []).find(candidate => String(candidate?.id) === itemId);
+    return { qualification: query, item, result: item ? 'qualified' : undefined };
+  }
+  return null;
+};
+
+const checkQualification = async (item, problem, now) => {
+  const reference = item.productOfferingQualificationItem;
+  if (!reference) return;
+
+  const field = 'productOfferingQualificationItem';
+  if (!reference.productOfferingQualificationId) {
+    return problem('QUALIFICATION_NOT_FOUND', 'productOfferingQualificationItem.productOfferingQualificationId is required', field);
+  }
+
+  const found = await findQualificationItem(reference);
+  if (!found) {
+    return problem('QUALIFICATION_NOT_FOUND', `qualification ${reference.productOfferingQualificationId} does not exist`, field);
+  }
+
+  const { qualification, item: qualificationItem, result } = found;
+  if (qualification.state !== 'done') {
+    return problem('QUALIFICATION_NOT_DONE', `qualification ${qualification.id} is ${qualification.state}, not done`, field);
+  }
+  if (qualification.expirationDate && new Date(qualification.expirationDate) < now) {
+    return problem('QUALIFICATION_EXPIRED', `qualification ${qualification.id} expired on ${new Date(qualification.expirationDate).toISOString()}`, field);
+  }
+  if (!qualificationItem) {
+    return problem('QUALIFICATION_NOT_FOUND', `qualification ${qualification.id} has no item ${reference.itemId ?? reference.id}`, field);
+  }
+  if (result !== 'qualified') {
+    return problem('NOT_QUALIFIED', `qualification item ${qualificationItem.id} is ${result || 'not evaluated'}, not qualified`, field);
+  }
+
+  const qualifiedOfferingId = qualificationItem.productOffering?.id;
+  if (qualifiedOfferingId && item.productOffering?.id && qualifiedOfferingId !== item.productOffering.id) {
+    problem('QUALIFICATION_OFFERING_MISMATCH',
+      `qualification item ${qualificationItem.id} qualified product offering ${qualifiedOfferingId}, not ${item.productOffering.id}`, field);
+  }
+};
+
+/**
+ * Check new order items against the catalog and TMF679 qualifications.
+ * Throws an OrderValidationError listing every problem found.
+ */
+const validateOrderItems = async (items = []) => {
+  const { ProductOffering, ProductSpecification } = require('../../../models/AllTMFModels');
+
+  const details = [];
+  const now = new Date();
+  const bundled = bundledItemIds(items);
+
+  for (const item of items) {
+    const problem = (code, reason, field) => details.push({
+      productOrderItemId: item.id,
+      code,
+      reason,
+      ...(field ? { field } : {}),
+      '@type': 'ErrorDetail'
+    });
+
+    if ((item.action || 'add') === 'add' && item.productOffering?.id) {
+      const offering = await ProductOffering.findOne({ id: item.productOffering.id }).lean();
+      if (!offering) {
+        problem('OFFERING_NOT_FOUND', `product offering ${item.productOffering.id} does not exist`, 'productOffering.id');
+      } else {
+        if (offering.isSellable === false && !bundled.has(String(item.id))) {
+          problem('OFFERING_NOT_SELLABLE', `product offering ${offering.id} is not sellable`, 'productOffering.id');
+        }
+
+        const specificationId = offering.productSpecification?.id;
+        const specification = specificationId ? await ProductSpecification.findOne({ id: specificationId }).lean() : null;
+        checkCharacteristics(item, specification, problem);
+      }
+    }
+
+    await checkQualification(item, problem, now);
+  }
+
+  if (details.length > 0) {
+    throw orderValidationError(details);
+  }
+};
+
+module.exports = {
+  matchesValueType,
+  validateOrderItems
+};
@@ -0,0 +1,29 @@
+// src/api/tmf637/utils/productEvents.js - TMF637 Product notifications
+const { publishResourceEvent } = require('../../../services/eventPublisher');
+
+const DOMAIN = 'productInventory';
+
+/**
+ * Emit a Product event (ProductCreateEvent, ProductStateChangeEvent, ...)
+ */
+const emitProductEvent = (eventType, product, options = {}) => {
+  return publishResourceEvent(eventType, 'product', product, {
+    domain: DOMAIN,
+    ...options
+  });
+};
+
+/**
+ * Emit a ProductStateChangeEvent for a product whose status moved from `previousStatus`
+ */
+const emitProductStateChange = (previousStatus, product, options = {}) => {
+  return emitProductEvent('ProductStateChangeEvent', product, {
+    description: `Product status changed from ${previousStatus} to ${product.status}`,
+    ...options
+  });
+};
+
+module.exports = {
+  emitProductEvent,
+  emitProductStateChange
+};
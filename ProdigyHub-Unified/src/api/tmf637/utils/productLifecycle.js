@@ -0,0 +1,116 @@
+// src/api/tmf637/utils/productLifecycle.js - TMF637 Product status workflow
+//
+// Products are provisioned as created or pendingActive, go live as active and may be
+// suspended and resumed any number of times before they are terminated, either
+// directly or through pendingTerminate. terminated, cancelled and aborted are final.
+
+const STATUS_TRANSITIONS = {
+  created: ['pendingActive', 'active', 'cancelled', 'aborted'],
+  pendingActive: ['active', 'cancelled', 'aborted'],
+  active: ['suspended', 'pendingTerminate', 'terminated'],
+  suspended: ['active', 'pendingTerminate', 'terminated'],
+  pendingTerminate: ['active', 'terminated'],
+  terminated: [],
+  cancelled: [],
+  aborted: []
+};
+
+const PRODUCT_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Statuses a new product may be created in
+const INITIAL_STATUSES = ['created', 'pendingActive', 'active'];
+
+// Explicit operations: the status they lead to and, when narrower than the table, where they start
+const STATUS_OPERATIONS = {
+  suspend: { status: 'suspended' },
+  resume: { status: 'active', from: ['suspended'] },
+  terminate: { status: 'terminated' }
+};
+
+/**
+ * Create an error that the API layer reports with the given status (409 or 422)
+ */
+const lifecycleError = (message, status, details = {}) => {
+  const error = new Error(message);
+  error.name = 'LifecycleError';
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+};
+
+const getAllowedStatuses = (status) => STATUS_TRANSITIONS[status] || [];
+
+/**
+ * Throw a LifecycleError unless a product may move from `from` to `to`
+ */
+const assertStatusTransition = (from, to) => {
+  if (!PRODUCT_STATUSES.includes(to)) {
+    throw lifecycleError(`'${to}' is not a product status. Use one of: ${PRODUCT_STATUSES.join(', ')}`, 422, {
+      requestedStatus: to,
+      allowedStatuses: getAllowedStatuses(from)
+    });
+  }
+
+  if (from !== to && !getAllowedStatuses(from).includes(to)) {
+    const allowed = getAllowedStatuses(from);
+    throw lifecycleError(
+      `Product cannot move from '${from}' to '${to}'. Allowed next statuses: ${allowed.length > 0 ? allowed.join(', ') : 'none (final status)'}`,
+      409,
+      { currentStatus: from, requestedStatus: to, allowedStatuses: allowed }
+    );
+  }
+};
+
+/**
+ * Throw a LifecycleError unless `operation` applies to a product in `from`. Returns the target status.
+ */
+const assertOperation = (operation, from) => {
+  const { status, from: startStatuses } = STATUS_OPERATIONS[operation];
+  const allowed = (startStatuses || PRODUCT_STATUSES).filter(start => getAllowedStatuses(start).includes(status));
+
+  if (!allowed.includes(from)) {
+    throw lifecycleError(
+      `Cannot ${operation} a product that is '${from}'. Allowed for: ${allowed.join(', ')}`,
+      409,
+      { currentStatus: from, requestedStatus: status, allowedStatuses: getAllowedStatuses(from) }
+    );
+  }
+  return status;
+};
+
+/**
+ * Throw a LifecycleError unless a new product may start in `status`
+ */
+const assertInitialStatus = (status) => {
+  if (!INITIAL_STATUSES.includes(status)) {
+    throw lifecycleError(`Product cannot be created as '${status}'. Use one of: ${INITIAL_STATUSES.join(', ')}`, 422, {
+      requestedStatus: status,
+      allowedStatuses: INITIAL_STATUSES
+    });
+  }
+};
+
+/**
+ * Build a `statusChange` history entry
+ */
+const buildStatusChange = (previousStatus, status, context = {}) => ({
+  previousStatus,
+  status,
+  statusChangeDate: context.date || new Date(),
+  statusChangeReason: context.reason,
+  actor: context.actor || 'system',
+  '@type': 'StatusChange'
+});
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  PRODUCT_STATUSES,
+  INITIAL_STATUSES,
+  STATUS_OPERATIONS,
+  lifecycleError,
+  getAllowedStatuses,
+  assertStatusTransition,
+  assertOperation,
+  assertInitialStatus,
+  buildStatusChange
+};
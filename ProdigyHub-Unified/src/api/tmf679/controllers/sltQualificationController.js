@@ -1,32 +1,30 @@
 // sltQualificationController.js - MongoDB backend controller for SLT Product Qualification
-const { MongoClient, ObjectId } = require('mongodb');
+const mongoose = require('mongoose');
+const { ObjectId } = require('mongodb');
 const { applyFieldSelection, validateRequiredFields, cleanForJsonResponse } = require('../utils/helpers');
+const { getCoordinates } = require('../utils/sltAvailability');
+const { toRequestedTechnologies } = require('../utils/sltPackages');
+const sltQualificationService = require('../../../services/sltQualificationService');
+const sltBulkQualificationService = require('../../../services/sltBulkQualificationService');
+const { parseCsv, toCsv } = require('../../../shared/utils/csv');
 
 // MongoDB connection setup
 let db;
 let sltQualificationsCollection;
 let infrastructureCollection;
 let coverageDataCollection;
-
-const connectToMongoDB = async () => {
-  try {
-    const client = new MongoClient(process.env.MONGODB_URI || 'mongodb://localhost:27017/prodigyhub');
-    await client.connect();
-    db = client.db('prodigyhub');
-    
-    // Initialize collections
-    sltQualificationsCollection = db.collection('slt_qualifications');
-    infrastructureCollection = db.collection('infrastructure_data');
-    coverageDataCollection = db.collection('coverage_data');
-    
-    console.log('Connected to MongoDB for SLT Qualification service');
-    
-    // Create indexes for performance
-    await createIndexes();
-  } catch (error) {
-    console.error('Failed to connect to MongoDB:', error);
-    throw error;
-  }
+let bulkJobsCollection;
+let bulkJobItemsCollection;
+
+// Bind the collections on the application's connection once database.connect() has resolved
+const bindCollections = () => {
+  db = mongoose.connection.db;
+
+  sltQualificationsCollection = db.collection('slt_qualifications');
+  infrastructureCollection = db.collection('infrastructure_data');
+  coverageDataCollection = db.collection('coverage_data');
+  bulkJobsCollection = db.collection('slt_bulk_jobs');
+  bulkJobItemsCollection = db.collection('slt_bulk_job_items');
 };
 
 const createIndexes = async () => {
@@ -44,6 +42,15 @@ const createIndexes = async () => {
     
     // Coverage data indexes
     await coverageDataCollection.createIndex({ district: 1, technology: 1 });
+    await coverageDataCollection.createIndex({ area: '2dsphere' });
+    await coverageDataCollection.createIndex({ areaId: 1 }, { unique: true, sparse: true });
+    
+    // Bulk job indexes
+    await sltQualificationsCollection.createIndex({ bulkJobId: 1 }, { sparse: true });
+    await bulkJobsCollection.createIndex({ id: 1 }, { unique: true });
+    await bulkJobsCollection.createIndex({ state: 1, creationDate: -1 });
+    await bulkJobItemsCollection.createIndex({ bulkJobId: 1, index: 1 }, { unique: true });
+    await bulkJobItemsCollection.createIndex({ bulkJobId: 1, state: 1 });
     
     console.log('MongoDB indexes created successfully');
   } catch (error) {
@@ -51,74 +58,109 @@ const createIndexes = async () => {
   }
 };
 
-// Initialize connection
-connectToMongoDB();
+// Infrastructure checking logic - deterministic, driven by infrastructure_data and coverage_data
+const checkInfrastructureAvailability = (location) => {
+  return sltQualificationService.checkInfrastructureAvailability(location, {
+    infrastructure: infrastructureCollection,
+    coverage: coverageDataCollection
+  });
+};
 
-// Infrastructure checking logic
-const checkInfrastructureAvailability = async (location) => {
-  try {
-    // Check infrastructure data from MongoDB
-    const infrastructureData = await infrastructureCollection.findOne({
-      district: location.district
-    });
-
-    // Get coverage data
-    const fiberCoverage = await coverageDataCollection.findOne({
-      district: location.district,
-      technology: 'fiber'
-    });
-
-    const adslCoverage = await coverageDataCollection.findOne({
-      district: location.district,
-      technology: 'adsl'
-    });
-
-    // Calculate availability based on location and infrastructure
-    const isUrbanArea = ['Colombo', 'Gampaha', 'Kandy', 'Negombo'].includes(location.district);
-    const isWesternProvince = location.province === 'Western';
-
-    // Fiber availability logic
-    const fiberAvailable = infrastructureData?.fiber?.available || 
-      (isUrbanArea && Math.random() > 0.2) || 
-      (isWesternProvince && Math.random() > 0.4) || 
-      Math.random() > 0.7;
-
-    // ADSL availability logic - generally more widespread
-    const adslAvailable = infrastructureData?.adsl?.available || 
-      Math.random() > 0.15;
-
-    // Mobile availability - almost universal
-    const mobileAvailable = true;
-
-    return {
-      fiber: {
-        available: fiberAvailable,
-        technology: fiberAvailable ? (infrastructureData?.fiber?.technology || 'FTTH') : 'N/A',
-        maxSpeed: fiberAvailable ? (infrastructureData?.fiber?.maxSpeed || '100 Mbps') : 'N/A',
-        coverage: fiberAvailable ? 'full' : 'none',
-        installationTime: fiberAvailable ? '3-5 business days' : undefined,
-        monthlyFee: fiberAvailable ? (infrastructureData?.fiber?.monthlyFee || 2500) : undefined
-      },
-      adsl: {
-        available: adslAvailable,
-        technology: adslAvailable ? (infrastructureData?.adsl?.technology || 'ADSL2+') : 'N/A',
-        maxSpeed: adslAvailable ? (infrastructureData?.adsl?.maxSpeed || '16 Mbps') : 'N/A',
-        lineQuality: adslAvailable ? 
-          (['excellent', 'good', 'fair'][Math.floor(Math.random() * 3)]) : 'poor',
-        distanceFromExchange: adslAvailable ? Math.floor(Math.random() * 3000) + 500 : undefined,
-        monthlyFee: adslAvailable ? (infrastructureData?.adsl?.monthlyFee || 1500) : undefined
-      },
-      mobile: {
-        available: mobileAvailable,
-        technologies: isUrbanArea ? ['4G', '5G'] : ['4G'],
-        coverage: isUrbanArea ? 'Excellent' : (isWesternProvince ? 'Good' : 'Fair'),
-        signalStrength: isUrbanArea ? 'excellent' : 'good'
-      }
-    };
-  } catch (error) {
-    console.error('Error checking infrastructure:', error);
-    throw error;
+// Collections used by bulk jobs
+const getBulkCollections = () => ({
+  infrastructure: infrastructureCollection,
+  coverage: coverageDataCollection,
+  qualifications: sltQualificationsCollection,
+  bulkJobs: bulkJobsCollection,
+  bulkJobItems: bulkJobItemsCollection
+});
+
+// Read bulk locations from a text/csv body, a JSON array or { locations: [...] }
+const parseBulkUpload = (req) => {
+  if (req.is('text/csv')) {
+    return typeof req.body === 'string' ? parseCsv(req.body) : null;
+  }
+  if (Array.isArray(req.body)) {
+    return req.body;
+  }
+  return Array.isArray(req.body?.locations) ? req.body.locations : null;
+};
+
+// Summarise why a location got its qualification result
+const explainQualification = (qualificationResult, infrastructure, fiberRequested, adslRequested) => {
+  const explanation = [];
+
+  if (qualificationResult === 'qualified') {
+    explanation.push(fiberRequested && infrastructure.fiber.available
+      ? 'Qualified: requested fiber service is available'
+      : 'Qualified: requested ADSL service is available');
+  } else if (qualificationResult === 'conditional') {
+    explanation.push('Conditional: the requested service is unavailable but an alternative technology is');
+  } else {
+    explanation.push('Unqualified: neither fiber nor ADSL is available at this location');
   }
+
+  infrastructure.fiber.reasons.forEach(reason => explanation.push(`Fiber: ${reason}`));
+  infrastructure.adsl.reasons.forEach(reason => explanation.push(`ADSL: ${reason}`));
+  return explanation;
+};
+
+// Parse ?bbox=minLng,minLat,maxLng,maxLat; returns null when malformed
+const parseBoundingBox = (bbox) => {
+  const values = String(bbox).split(',').map(value => Number(value.trim()));
+  if (values.length !== 4 || values.some(value => !Number.isFinite(value))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = values;
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) return null;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+
+  return values;
+};
+
+// GeoJSON polygon covering a bounding box
+const boundingBoxPolygon = ([minLng, minLat, maxLng, maxLat]) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+  ]]
+});
+
+// Convert coverage_data polygon documents to a GeoJSON FeatureCollection
+const toFeatureCollection = (areas) => ({
+  type: 'FeatureCollection',
+  features: areas.map(area => ({
+    type: 'Feature',
+    id: area.areaId,
+    geometry: area.area,
+    properties: {
+      name: area.name,
+      district: area.district,
+      province: area.province,
+      technology: area.technology,
+      technologyType: area.technologyType,
+      maxSpeed: area.maxSpeed
+    }
+  }))
+});
+
+// Check that a GeoJSON feature can be stored as a coverage area; returns an error message or null
+const validateCoverageFeature = (feature) => {
+  if (!feature || feature.type !== 'Feature') return 'Each entry must be a GeoJSON Feature';
+
+  const geometry = feature.geometry;
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return 'Feature geometry must be a Polygon or MultiPolygon';
+  }
+
+  const properties = feature.properties || {};
+  if (!['fiber', 'adsl'].includes(properties.technology)) {
+    return "Feature properties.technology must be 'fiber' or 'adsl'";
+  }
+  if (!properties.district) {
+    return 'Feature properties.district is required';
+  }
+
+  return null;
 };
 
 const sltQualificationController = {
@@ -145,6 +187,13 @@ const sltQualificationController = {
         });
       }
 
+      if (data.location.coordinates && !getCoordinates(data.location)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Location coordinates must include a valid lat and lng'
+        });
+      }
+
       // Generate qualification ID
       const qualificationId = `SLT-QUAL-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
       
@@ -199,9 +248,12 @@ const sltQualificationController = {
         infrastructure,
         requestedServices: data.requestedServices,
         qualificationResult,
+        explanation: explainQualification(qualificationResult, infrastructure, fiberRequested, adslRequested),
         alternativeOptions: alternativeOptions.length > 0 ? alternativeOptions : undefined,
         estimatedInstallationTime: infrastructure.fiber.available ? '3-5 business days' : '1-2 business days',
         customerType: data.customerType || 'residential',
+        // Lets the party summary find the checks made for a customer
+        relatedParty: Array.isArray(data.relatedParty) ? data.relatedParty : [],
         checkParameters: {
           checkFiber: data.checkFiber || false,
           checkADSL: data.checkADSL || false,
@@ -384,11 +436,35 @@ const sltQualificationController = {
   },
 
   // GET /api/slt/coverage - Get coverage map data
+  // With ?bbox=minLng,minLat,maxLng,maxLat the mapped coverage polygons are returned as GeoJSON
   getCoverage: async (req, res) => {
     try {
-      const { province } = req.query;
+      const { province, bbox, technology } = req.query;
+
+      if (bbox !== undefined) {
+        const box = parseBoundingBox(bbox);
+        if (!box) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: 'bbox must be minLng,minLat,maxLng,maxLat in WGS84 degrees'
+          });
+        }
+
+        const geoQuery = { area: { $geoIntersects: { $geometry: boundingBoxPolygon(box) } } };
+        if (province) geoQuery.province = province;
+        if (technology) geoQuery.technology = technology;
+
+        const areas = await coverageDataCollection.find(geoQuery).toArray();
+
+        return res.status(200).json({
+          bbox: box,
+          fiber: toFeatureCollection(areas.filter(area => area.technology === 'fiber')),
+          adsl: toFeatureCollection(areas.filter(area => area.technology === 'adsl'))
+        });
+      }
       
-      let query = {};
+      // Per-district percentages only; polygons are served through ?bbox=
+      let query = { area: { $exists: false } };
       if (province) {
         query.province = province;
       }
@@ -424,6 +500,71 @@ const sltQualificationController = {
     }
   },
 
+  // POST /api/slt/coverage - Load fiber/ADSL coverage areas from a GeoJSON FeatureCollection
+  loadCoverageAreas: async (req, res) => {
+    try {
+      const collection = req.body;
+
+      if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Body must be a GeoJSON FeatureCollection'
+        });
+      }
+
+      const errors = [];
+      let loaded = 0;
+
+      for (const [index, feature] of collection.features.entries()) {
+        const validationError = validateCoverageFeature(feature);
+        if (validationError) {
+          errors.push({ index, message: validationError });
+          continue;
+        }
+
+        const properties = feature.properties;
+        const areaId = feature.id || properties.id ||
+          `SLT-AREA-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+
+        try {
+          // MongoDB rejects self-intersecting or unclosed rings when updating the 2dsphere index
+          await coverageDataCollection.updateOne(
+            { areaId },
+            {
+              $set: {
+                areaId,
+                name: properties.name,
+                district: properties.district,
+                province: properties.province,
+                technology: properties.technology,
+                technologyType: properties.technologyType,
+                maxSpeed: properties.maxSpeed,
+                area: feature.geometry,
+                lastUpdated: new Date().toISOString()
+              }
+            },
+            { upsert: true }
+          );
+          loaded++;
+        } catch (error) {
+          errors.push({ index, areaId, message: error.message });
+        }
+      }
+
+      res.status(errors.length > 0 && loaded === 0 ? 400 : 201).json({
+        loaded,
+        failed: errors.length,
+        errors: errors.length > 0 ? errors : undefined
+      });
+    } catch (error) {
+      console.error('Error in loadCoverageAreas:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: error.message
+      });
+    }
+  },
+
   // GET /api/slt/infrastructure/{district} - Get infrastructure details
   getInfrastructureDetails: async (req, res) => {
     try {
@@ -469,10 +610,10 @@ const sltQualificationController = {
     }
   },
 
-  // POST /api/slt/packages - Get available packages for location
+  // POST /api/slt/packages - Get available packages for location from the TMF620 catalog
   getAvailablePackages: async (req, res) => {
     try {
-      const { location } = req.body;
+      const { location, requestedServices } = req.body;
       
       if (!location || !location.district) {
         return res.status(400).json({
@@ -482,73 +623,7 @@ const sltQualificationController = {
       }
 
       const infrastructure = await checkInfrastructureAvailability(location);
-      const packages = [];
-
-      // Fiber packages
-      if (infrastructure.fiber.available) {
-        packages.push(
-          {
-            id: 'FIB-100',
-            name: 'Fiber 100 Mbps',
-            type: 'fiber',
-            speed: '100 Mbps',
-            monthlyFee: 2500,
-            setupFee: 15000,
-            features: ['Unlimited Data', 'Free WiFi Router', 'Static IP Available'],
-            availability: 'available'
-          },
-          {
-            id: 'FIB-200',
-            name: 'Fiber 200 Mbps',
-            type: 'fiber',
-            speed: '200 Mbps',
-            monthlyFee: 3500,
-            setupFee: 15000,
-            features: ['Unlimited Data', 'Free WiFi Router', 'Static IP Available', 'Priority Support'],
-            availability: 'available'
-          }
-        );
-      }
-
-      // ADSL packages
-      if (infrastructure.adsl.available) {
-        packages.push(
-          {
-            id: 'ADSL-16',
-            name: 'ADSL 16 Mbps',
-            type: 'adsl',
-            speed: '16 Mbps',
-            monthlyFee: 1500,
-            setupFee: 5000,
-            features: ['200 GB Data', 'Free Modem', 'Email Support'],
-            availability: 'available'
-          },
-          {
-            id: 'ADSL-UNL',
-            name: 'ADSL Unlimited',
-            type: 'adsl',
-            speed: '8 Mbps',
-            monthlyFee: 2000,
-            setupFee: 5000,
-            features: ['Unlimited Data', 'Free Modem', 'Phone Support'],
-            availability: 'available'
-          }
-        );
-      }
-
-      // Mobile packages (always available)
-      packages.push(
-        {
-          id: 'MOB-150',
-          name: 'Mobile Broadband 150 GB',
-          type: 'mobile',
-          speed: 'Up to 150 Mbps',
-          monthlyFee: 3000,
-          setupFee: 2000,
-          features: ['150 GB High Speed Data', 'Free Device', 'Nationwide Coverage'],
-          availability: 'available'
-        }
-      );
+      const packages = await sltQualificationService.findCatalogPackages(infrastructure, toRequestedTechnologies(requestedServices));
 
       res.status(200).json(packages);
     } catch (error) {
@@ -678,7 +753,36 @@ const sltQualificationController = {
     }
   },
 
-  // POST /api/slt/checkBulk - Bulk location check for enterprise
+  // POST /api/slt/bulkJobs - Start a bulk location check from a CSV or JSON upload
+  createBulkJob: async (req, res) => {
+    try {
+      const locations = parseBulkUpload(req);
+
+      if (!locations || locations.length === 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Upload a text/csv file with a header row, a JSON array or { locations: [...] } with at least one location'
+        });
+      }
+
+      const job = await sltBulkQualificationService.createBulkJob(locations, {
+        source: req.is('text/csv') ? 'csv' : 'json',
+        concurrency: req.query.concurrency || req.body?.concurrency
+      }, getBulkCollections());
+
+      res.status(202)
+        .location(job.href)
+        .json(sltBulkQualificationService.formatBulkJob(job));
+    } catch (error) {
+      console.error('Error in createBulkJob:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: error.message
+      });
+    }
+  },
+
+  // POST /api/slt/checkBulk - Bulk location check for enterprise; larger uploads go to /bulkJobs
   checkBulkLocations: async (req, res) => {
     try {
       const { locations } = req.body;
@@ -693,7 +797,7 @@ const sltQualificationController = {
       if (locations.length > 100) {
         return res.status(400).json({
           error: 'Bad Request',
-          message: 'Maximum 100 locations allowed per bulk request'
+          message: 'Maximum 100 locations allowed per bulk request; use POST /api/slt/bulkJobs for larger uploads'
         });
       }
 
@@ -751,6 +855,115 @@ const sltQualificationController = {
         message: error.message
       });
     }
+  },
+
+  // GET /api/slt/bulkJobs - List bulk jobs
+  listBulkJobs: async (req, res) => {
+    try {
+      const { state, limit = 20, offset = 0 } = req.query;
+
+      const query = {};
+      if (state) query.state = state;
+
+      const jobs = await bulkJobsCollection
+        .find(query)
+        .sort({ creationDate: -1 })
+        .skip(parseInt(offset))
+        .limit(parseInt(limit))
+        .toArray();
+
+      res.status(200).json(jobs.map(sltBulkQualificationService.formatBulkJob));
+    } catch (error) {
+      console.error('Error in listBulkJobs:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: error.message
+      });
+    }
+  },
+
+  // GET /api/slt/bulkJobs/{id} - Bulk job with progress
+  getBulkJob: async (req, res) => {
+    try {
+      const job = await bulkJobsCollection.findOne({ id: req.params.id });
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Bulk job with id ${req.params.id} not found`
+        });
+      }
+
+      res.status(200).json(sltBulkQualificationService.formatBulkJob(job));
+    } catch (error) {
+      console.error('Error in getBulkJob:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: error.message
+      });
+    }
+  },
+
+  // GET /api/slt/bulkJobs/{id}/results - Paginated results, or the full set as CSV with ?format=csv
+  getBulkJobResults: async (req, res) => {
+    try {
+      const { state, qualificationResult, format, limit = 100, offset = 0 } = req.query;
+      const job = await bulkJobsCollection.findOne({ id: req.params.id });
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Bulk job with id ${req.params.id} not found`
+        });
+      }
+
+      const query = { bulkJobId: job.id };
+      if (state) query.state = state;
+      if (qualificationResult) query.qualificationResult = qualificationResult;
+
+      const cursor = bulkJobItemsCollection
+        .find(query, { projection: { _id: 0, bulkJobId: 0 } })
+        .sort({ index: 1 });
+
+      if (format === 'csv' || req.path.endsWith('.csv')) {
+        res.status(200)
+          .type('text/csv')
+          .attachment(`${job.id}-results.csv`);
+
+        // Stream in batches so very large jobs are never held in memory
+        res.write(toCsv([], sltBulkQualificationService.BULK_RESULT_COLUMNS));
+        let batch = [];
+        for await (const item of cursor) {
+          batch.push(item);
+          if (batch.length === 500) {
+            res.write(toCsv(batch, sltBulkQualificationService.BULK_RESULT_COLUMNS, { includeHeader: false }));
+            batch = [];
+          }
+        }
+        res.write(toCsv(batch, sltBulkQualificationService.BULK_RESULT_COLUMNS, { includeHeader: false }));
+        return res.end();
+      }
+
+      const [totalCount, items] = await Promise.all([
+        bulkJobItemsCollection.countDocuments(query),
+        cursor.skip(parseInt(offset)).limit(parseInt(limit)).toArray()
+      ]);
+
+      res.set({
+        'X-Total-Count': totalCount.toString(),
+        'X-Result-Count': items.length.toString()
+      });
+      res.status(200).json(items);
+    } catch (error) {
+      console.error('Error in getBulkJobResults:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: error.message
+      });
+    }
   }
 };
 
@@ -799,7 +1012,11 @@ const initializeSampleData = async () => {
           fiber: { available: true, technology: 'FTTH', maxSpeed: '1 Gbps', monthlyFee: 2500 },
           adsl: { available: true, technology: 'ADSL2+', maxSpeed: '24 Mbps', monthlyFee: 1500 },
           fiberNetworks: [{ type: 'FTTH', coverage: 90, capacity: '100 Gbps', lastUpgrade: '2023-06-15' }],
-          adslExchanges: [{ name: 'Colombo Main Exchange', location: 'Colombo', capacity: 50000, technology: 'ADSL2+', coverageRadius: 5000 }],
+          adslExchanges: [
+            { name: 'Colombo Main Exchange', location: { lat: 6.9344, lng: 79.8428 }, capacity: 50000, technology: 'ADSL2+', coverageRadius: 5000 },
+            { name: 'Kollupitiya Exchange', location: { lat: 6.9108, lng: 79.8507 }, capacity: 20000, technology: 'ADSL2+', coverageRadius: 4000 },
+            { name: 'Nugegoda Exchange', location: { lat: 6.8649, lng: 79.8997 }, capacity: 15000, technology: 'ADSL2+', coverageRadius: 4000 }
+          ],
           mobileNetworks: [{ operator: 'SLT Mobitel', technologies: ['4G', '5G'], coverage: 95 }]
         },
         {
@@ -807,8 +1024,16 @@ const initializeSampleData = async () => {
           fiber: { available: true, technology: 'FTTH', maxSpeed: '100 Mbps', monthlyFee: 2500 },
           adsl: { available: true, technology: 'ADSL2+', maxSpeed: '16 Mbps', monthlyFee: 1500 },
           fiberNetworks: [{ type: 'FTTH', coverage: 60, capacity: '50 Gbps', lastUpgrade: '2023-03-20' }],
-          adslExchanges: [{ name: 'Kandy Exchange', location: 'Kandy', capacity: 20000, technology: 'ADSL2+', coverageRadius: 4000 }],
+          adslExchanges: [{ name: 'Kandy Exchange', location: { lat: 7.2906, lng: 80.6337 }, capacity: 20000, technology: 'ADSL2+', coverageRadius: 4000 }],
           mobileNetworks: [{ operator: 'SLT Mobitel', technologies: ['4G'], coverage: 90 }]
+        },
+        {
+          district: 'Galle',
+          fiber: { available: true, technology: 'FTTH', maxSpeed: '100 Mbps', monthlyFee: 2500 },
+          adsl: { available: true, technology: 'ADSL2+', maxSpeed: '16 Mbps', monthlyFee: 1500 },
+          fiberNetworks: [{ type: 'FTTH', coverage: 40, capacity: '20 Gbps', lastUpgrade: '2022-11-08' }],
+          adslExchanges: [{ name: 'Galle Exchange', location: { lat: 6.0535, lng: 80.2210 }, capacity: 12000, technology: 'ADSL2+', coverageRadius: 4000 }],
+          mobileNetworks: [{ operator: 'SLT Mobitel', technologies: ['4G'], coverage: 85 }]
         }
       ];
       
@@ -829,13 +1054,40 @@ const initializeSampleData = async () => {
       await coverageDataCollection.insertMany(sampleCoverage);
     }
 
+    const areaCount = await coverageDataCollection.countDocuments({ area: { $exists: true } });
+    if (areaCount === 0) {
+      console.log('Initializing sample coverage areas...');
+      const rectangle = (minLng, minLat, maxLng, maxLat) => ({
+        type: 'Polygon',
+        coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+      });
+      const sampleAreas = [
+        { areaId: 'SLT-AREA-COL-FIBER', name: 'Colombo City Fiber', district: 'Colombo', province: 'Western', technology: 'fiber', technologyType: 'FTTH', maxSpeed: '1 Gbps', area: rectangle(79.83, 6.88, 79.89, 6.96) },
+        { areaId: 'SLT-AREA-COL-ADSL', name: 'Colombo ADSL', district: 'Colombo', province: 'Western', technology: 'adsl', maxSpeed: '24 Mbps', area: rectangle(79.82, 6.84, 79.94, 6.98) },
+        { areaId: 'SLT-AREA-KDY-FIBER', name: 'Kandy City Fiber', district: 'Kandy', province: 'Central', technology: 'fiber', technologyType: 'FTTH', maxSpeed: '100 Mbps', area: rectangle(80.60, 7.27, 80.66, 7.31) },
+        { areaId: 'SLT-AREA-KDY-ADSL', name: 'Kandy ADSL', district: 'Kandy', province: 'Central', technology: 'adsl', maxSpeed: '16 Mbps', area: rectangle(80.58, 7.25, 80.68, 7.33) },
+        { areaId: 'SLT-AREA-GAL-FIBER', name: 'Galle Fort Fiber', district: 'Galle', province: 'Southern', technology: 'fiber', technologyType: 'FTTH', maxSpeed: '100 Mbps', area: rectangle(80.20, 6.03, 80.24, 6.07) },
+        { areaId: 'SLT-AREA-GAL-ADSL', name: 'Galle ADSL', district: 'Galle', province: 'Southern', technology: 'adsl', maxSpeed: '16 Mbps', area: rectangle(80.18, 6.01, 80.26, 6.09) }
+      ];
+
+      await coverageDataCollection.insertMany(sampleAreas);
+    }
+
     console.log('Sample data initialization complete');
   } catch (error) {
     console.error('Error initializing sample data:', error);
   }
 };
 
-// Initialize sample data after a delay to ensure connection is established
-setTimeout(initializeSampleData, 2000);
+// Called by startServer after the database connection is up: binds the collections,
+// creates indexes, seeds sample data and picks up bulk jobs interrupted by a restart
+sltQualificationController.initialize = async () => {
+  bindCollections();
+  console.log('Connected to MongoDB for SLT Qualification service');
+
+  await createIndexes();
+  await initializeSampleData();
+  return sltBulkQualificationService.resumeBulkJobs(getBulkCollections());
+};
 
 module.exports = sltQualificationController;
\ No newline at end of file
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const sltQualificationController = require('../controllers/sltQualificationController');
+const config = require('../../../config/environment');
 
 // Base route info
 router.get('/', (req, res) => {
@@ -17,11 +18,17 @@ router.get('/', (req, res) => {
       'PATCH /qualifications/{id}': 'Update qualification record',
       'DELETE /qualifications/{id}': 'Delete qualification record',
       'GET /stats': 'Get qualification statistics and analytics',
-      'GET /coverage': 'Get coverage map data',
+      'GET /coverage': 'Get coverage map data (?bbox=minLng,minLat,maxLng,maxLat returns GeoJSON FeatureCollections)',
+      'POST /coverage': 'Load fiber/ADSL coverage areas from a GeoJSON FeatureCollection',
       'GET /infrastructure/{district}': 'Get infrastructure details for district',
       'POST /packages': 'Get available service packages for location',
       'POST /qualifications/{id}/feedback': 'Submit feedback for qualification',
-      'POST /checkBulk': 'Bulk location check for multiple addresses'
+      'POST /checkBulk': 'Bulk location check for up to 100 addresses, answered with the results',
+      'POST /bulkJobs': 'Start a bulk location check from a text/csv or JSON upload',
+      'GET /bulkJobs': 'List bulk jobs',
+      'GET /bulkJobs/{id}': 'Get bulk job progress',
+      'GET /bulkJobs/{id}/results': 'Get bulk job results (paginated JSON, ?format=csv to download)',
+      'GET /bulkJobs/{id}/results.csv': 'Download bulk job results as CSV'
     },
     documentation: 'https://docs.slt.lk/api/qualification',
     support: 'api-support@slt.lk',
@@ -54,6 +61,7 @@ router.delete('/qualifications/:id', sltQualificationController.deleteQualificat
 // Analytics and reporting endpoints
 router.get('/stats', sltQualificationController.getStats);
 router.get('/coverage', sltQualificationController.getCoverage);
+router.post('/coverage', sltQualificationController.loadCoverageAreas);
 router.get('/infrastructure/:district', sltQualificationController.getInfrastructureDetails);
 
 // Service package endpoints
@@ -62,8 +70,16 @@ router.post('/packages', sltQualificationController.getAvailablePackages);
 // Feedback endpoint
 router.post('/qualifications/:id/feedback', sltQualificationController.submitFeedback);
 
-// Bulk operations endpoint
+// Bulk operations endpoints - CSV uploads arrive as text/csv. server.js leaves /bulkJobs
+// to these parsers, so both upload types share the sltBulk.uploadLimit
+const csvUpload = express.text({ type: 'text/csv', limit: config.sltBulk.uploadLimit });
+const jsonUpload = express.json({ limit: config.sltBulk.uploadLimit });
 router.post('/checkBulk', sltQualificationController.checkBulkLocations);
+router.post('/bulkJobs', csvUpload, jsonUpload, sltQualificationController.createBulkJob);
+router.get('/bulkJobs', sltQualificationController.listBulkJobs);
+router.get('/bulkJobs/:id', sltQualificationController.getBulkJob);
+router.get('/bulkJobs/:id/results', sltQualificationController.getBulkJobResults);
+router.get('/bulkJobs/:id/results.csv', sltQualificationController.getBulkJobResults);
 
 // Error handling middleware
 router.use((error, req, res, next) => {
@@ -0,0 +1,363 @@
+// sltAvailability.js - Deterministic SLT infrastructure availability engine
+//
+// Availability is computed only from infrastructure_data and coverage_data, so the
+// same address always gets the same verdict. When the request carries coordinates,
+// GeoJSON coverage polygons decide availability where the district has been mapped,
+// the nearest ADSL exchange decides ADSL reach and the attainable speed is estimated
+// from the copper line length; otherwise district-level data is used.
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Copper runs along roads, so the line is longer than the straight-line distance
+const LINE_ROUTE_FACTOR = 1.3;
+
+// Beyond this line length ADSL sync is too unreliable to sell
+const MAX_ADSL_LINE_LENGTH = 5500;
+
+// Minimum district coverage (%) for a technology to be offered without coordinates
+const MIN_DISTRICT_COVERAGE = 50;
+
+// Typical ADSL2+ downstream rate by line length (meters → Mbps)
+const ADSL_SPEED_BY_LINE_LENGTH = [
+  { maxLength: 1000, speed: 24 },
+  { maxLength: 1500, speed: 20 },
+  { maxLength: 2000, speed: 16 },
+  { maxLength: 2500, speed: 12 },
+  { maxLength: 3000, speed: 10 },
+  { maxLength: 3500, speed: 8 },
+  { maxLength: 4000, speed: 6 },
+  { maxLength: 4500, speed: 4 },
+  { maxLength: MAX_ADSL_LINE_LENGTH, speed: 2 }
+];
+
+// Upper rate of each DSL technology in Mbps
+const ADSL_TECHNOLOGY_MAX_SPEED = {
+  'ADSL': 8,
+  'ADSL2': 12,
+  'ADSL2+': 24
+};
+
+const URBAN_DISTRICTS = ['Colombo', 'Gampaha', 'Kandy', 'Negombo'];
+
+/**
+ * Extract { lat, lng } from a location or exchange, accepting lat/lng or latitude/longitude
+ * @param {Object} source - Object that may carry coordinates
+ * @returns {Object|null} Coordinates or null when absent or invalid
+ */
+const getCoordinates = (source) => {
+  if (!source || typeof source !== 'object') return null;
+
+  const point = source.coordinates || source.location || source;
+  if (!point || typeof point !== 'object') return null;
+
+  const lat = Number(point.lat ?? point.latitude);
+  const lng = Number(point.lng ?? point.lon ?? point.longitude);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+
+  return { lat, lng };
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {Number} Distance in meters
+ */
+const haversineDistance = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Parse a speed such as '24 Mbps' or '1 Gbps'
+ * @param {String|Number} speed - Speed value
+ * @returns {Number|null} Speed in Mbps
+ */
+const parseSpeedMbps = (speed) => {
+  if (typeof speed === 'number') return speed;
+  const match = /^\s*([\d.]+)\s*(k|m|g)?bps\s*$/i.exec(speed || '');
+  if (!match) return null;
+
+  const multiplier = { k: 0.001, m: 1, g: 1000 }[(match[2] || 'm').toLowerCase()];
+  return parseFloat(match[1]) * multiplier;
+};
+
+/**
+ * Estimate attainable ADSL downstream speed for a copper line
+ * @param {Number} lineLength - Line length in meters
+ * @param {String} technology - DSL technology (ADSL, ADSL2, ADSL2+)
+ * @param {Number} capMbps - Optional cap, e.g. the district's advertised maximum
+ * @returns {Number} Speed in Mbps, 0 when the line is too long
+ */
+const estimateAdslSpeed = (lineLength, technology = 'ADSL2+', capMbps = null) => {
+  const band = ADSL_SPEED_BY_LINE_LENGTH.find(entry => lineLength <= entry.maxLength);
+  if (!band) return 0;
+
+  const limits = [band.speed, ADSL_TECHNOLOGY_MAX_SPEED[technology] || band.speed];
+  if (capMbps) limits.push(capMbps);
+  return Math.min(...limits);
+};
+
+/**
+ * Grade a copper line by its length
+ * @param {Number} lineLength - Line length in meters
+ * @returns {String} excellent, good, fair or poor
+ */
+const gradeLineQuality = (lineLength) => {
+  if (lineLength <= 1500) return 'excellent';
+  if (lineLength <= 3000) return 'good';
+  if (lineLength <= 4500) return 'fair';
+  return 'poor';
+};
+
+/**
+ * Find the closest exchange that has coordinates
+ * @param {Object} point - { lat, lng }
+ * @param {Array} exchanges - adslExchanges entries
+ * @returns {Object|null} { exchange, distance } or null
+ */
+const findNearestExchange = (point, exchanges = []) => {
+  return exchanges
+    .map(exchange => ({ exchange, coordinates: getCoordinates(exchange.location) }))
+    .filter(candidate => candidate.coordinates)
+    .map(candidate => ({ exchange: candidate.exchange, distance: haversineDistance(point, candidate.coordinates) }))
+    .sort((a, b) => a.distance - b.distance)[0] || null;
+};
+
+/**
+ * Name a coverage polygon for explanations
+ * @param {Object} area - coverage_data document with an `area` geometry
+ * @returns {String} Display name
+ */
+const describeArea = (area) => area.name || `${area.district || 'unnamed'} ${area.technology} area`;
+
+/**
+ * Decide fiber availability for a location
+ * @param {Object} location - Request location
+ * @param {Object} infrastructure - infrastructure_data document for the district
+ * @param {Object} coverage - coverage_data document for fiber in the district
+ * @param {Object} areas - { mapped, matches } fiber polygons containing the location, or null
+ * @returns {Object} Fiber availability with reasons
+ */
+const evaluateFiber = (location, infrastructure, coverage, areas) => {
+  const fiber = infrastructure?.fiber;
+  const districtCoverage = coverage?.coverage ?? infrastructure?.fiberNetworks?.[0]?.coverage;
+  const reasons = [];
+  let available = false;
+  let confidence = 'medium';
+
+  if (areas?.mapped) {
+    const area = areas.matches[0];
+    available = Boolean(area);
+    reasons.push(area
+      ? `Location is inside fiber coverage area ${describeArea(area)}`
+      : `Location is outside every mapped fiber coverage area in ${location.district}`);
+
+    return {
+      available,
+      technology: available ? (area.technologyType || fiber?.technology || 'FTTH') : 'N/A',
+      maxSpeed: available ? (area.maxSpeed || fiber?.maxSpeed || '100 Mbps') : 'N/A',
+      coverage: available ? 'full' : 'none',
+      installationTime: available ? '3-5 business days' : undefined,
+      monthlyFee: available ? (fiber?.monthlyFee || 2500) : undefined,
+      confidence: 'high',
+      reasons
+    };
+  }
+
+  if (!fiber && districtCoverage === undefined) {
+    reasons.push(`No fiber infrastructure recorded for ${location.district}`);
+    confidence = 'high';
+  } else if (fiber && fiber.available === false) {
+    reasons.push(`Fiber is not deployed in ${location.district}`);
+    confidence = 'high';
+  } else if (districtCoverage !== undefined && districtCoverage < MIN_DISTRICT_COVERAGE) {
+    reasons.push(`Fiber covers ${districtCoverage}% of ${location.district}, below the ${MIN_DISTRICT_COVERAGE}% needed to offer it without a site survey`);
+  } else {
+    available = true;
+    reasons.push(districtCoverage !== undefined
+      ? `Fiber covers ${districtCoverage}% of ${location.district}`
+      : `Fiber is deployed in ${location.district}`);
+  }
+
+  return {
+    available,
+    technology: available ? (fiber?.technology || coverage?.technologyType || 'FTTH') : 'N/A',
+    maxSpeed: available ? (fiber?.maxSpeed || '100 Mbps') : 'N/A',
+    coverage: available ? (districtCoverage >= 90 ? 'full' : 'partial') : 'none',
+    installationTime: available ? '3-5 business days' : undefined,
+    monthlyFee: available ? (fiber?.monthlyFee || 2500) : undefined,
+    confidence,
+    reasons
+  };
+};
+
+/**
+ * Decide ADSL availability and attainable speed for a location
+ * @param {Object} location - Request location
+ * @param {Object} infrastructure - infrastructure_data document for the district
+ * @param {Object} coverage - coverage_data document for ADSL in the district
+ * @param {Object} areas - { mapped, matches } ADSL polygons containing the location, or null
+ * @returns {Object} ADSL availability with reasons
+ */
+const evaluateAdsl = (location, infrastructure, coverage, areas) => {
+  const adsl = infrastructure?.adsl;
+  const technology = adsl?.technology || 'ADSL2+';
+  const advertisedMbps = parseSpeedMbps(adsl?.maxSpeed || coverage?.maxSpeed);
+  const point = getCoordinates(location);
+  const nearest = point ? findNearestExchange(point, infrastructure?.adslExchanges) : null;
+  const reasons = [];
+
+  const unavailable = (confidence) => ({
+    available: false,
+    technology: 'N/A',
+    maxSpeed: 'N/A',
+    lineQuality: 'poor',
+    confidence,
+    reasons
+  });
+
+  // A mapped coverage polygon is authoritative for whether ADSL can be sold here
+  const area = areas?.mapped ? areas.matches[0] : null;
+  if (areas?.mapped) {
+    if (!area) {
+      reasons.push(`Location is outside every mapped ADSL coverage area in ${location.district}`);
+      return unavailable('high');
+    }
+    reasons.push(`Location is inside ADSL coverage area ${describeArea(area)}`);
+  } else if (adsl && adsl.available === false) {
+    reasons.push(`ADSL is not offered in ${location.district}`);
+    return unavailable('high');
+  }
+
+  if (nearest) {
+    const { exchange, distance } = nearest;
+    const lineLength = Math.round(distance * LINE_ROUTE_FACTOR);
+    const exchangeTechnology = exchange.technology || technology;
+    reasons.push(`Nearest exchange is ${exchange.name}, ${Math.round(distance)} m away (estimated line length ${lineLength} m)`);
+
+    if (!area && exchange.coverageRadius && distance > exchange.coverageRadius) {
+      reasons.push(`Location is outside the exchange's ${exchange.coverageRadius} m coverage radius`);
+      return { ...unavailable('high'), distanceFromExchange: Math.round(distance), exchange: exchange.name };
+    }
+
+    let speed = estimateAdslSpeed(lineLength, exchangeTechnology, advertisedMbps);
+    if (speed === 0) {
+      if (!area) {
+        reasons.push(`Line length exceeds the ${MAX_ADSL_LINE_LENGTH} m ADSL limit`);
+        return { ...unavailable('high'), distanceFromExchange: Math.round(distance), exchange: exchange.name };
+      }
+      // The coverage area says the line is serviceable; quote the slowest rate
+      speed = ADSL_SPEED_BY_LINE_LENGTH[ADSL_SPEED_BY_LINE_LENGTH.length - 1].speed;
+    }
+
+    reasons.push(`Estimated attainable speed is ${speed} Mbps over ${exchangeTechnology}`);
+    return {
+      available: true,
+      technology: exchangeTechnology,
+      maxSpeed: `${speed} Mbps`,
+      lineQuality: gradeLineQuality(lineLength),
+      distanceFromExchange: Math.round(distance),
+      estimatedLineLength: lineLength,
+      exchange: exchange.name,
+      monthlyFee: adsl?.monthlyFee || 1500,
+      confidence: 'high',
+      reasons
+    };
+  }
+
+  if (area) {
+    const areaMbps = parseSpeedMbps(area.maxSpeed) || advertisedMbps;
+    return {
+      available: true,
+      technology,
+      maxSpeed: areaMbps ? `${areaMbps} Mbps` : '16 Mbps',
+      monthlyFee: adsl?.monthlyFee || 1500,
+      confidence: 'high',
+      reasons
+    };
+  }
+
+  if (point) {
+    reasons.push(`No exchange with known coordinates in ${location.district}; using district coverage`);
+  } else {
+    reasons.push('No coordinates supplied; using district coverage');
+  }
+
+  const districtCoverage = coverage?.coverage;
+  if (!adsl && districtCoverage === undefined) {
+    reasons.push(`No ADSL infrastructure recorded for ${location.district}`);
+    return unavailable('high');
+  }
+
+  if (districtCoverage !== undefined && districtCoverage < MIN_DISTRICT_COVERAGE) {
+    reasons.push(`ADSL covers ${districtCoverage}% of ${location.district}, below the ${MIN_DISTRICT_COVERAGE}% threshold`);
+    return unavailable('medium');
+  }
+
+  reasons.push(districtCoverage !== undefined
+    ? `ADSL covers ${districtCoverage}% of ${location.district}`
+    : `ADSL is offered in ${location.district}`);
+
+  return {
+    available: true,
+    technology,
+    maxSpeed: advertisedMbps ? `${advertisedMbps} Mbps` : '16 Mbps',
+    monthlyFee: adsl?.monthlyFee || 1500,
+    confidence: 'medium',
+    reasons
+  };
+};
+
+/**
+ * Describe mobile coverage, which is available everywhere
+ * @param {Object} location - Request location
+ * @param {Object} infrastructure - infrastructure_data document for the district
+ * @returns {Object} Mobile availability
+ */
+const evaluateMobile = (location, infrastructure) => {
+  const isUrbanArea = URBAN_DISTRICTS.includes(location.district);
+  const isWesternProvince = location.province === 'Western';
+  const networks = infrastructure?.mobileNetworks || [];
+  const technologies = networks.length > 0
+    ? [...new Set(networks.flatMap(network => network.technologies || []))]
+    : (isUrbanArea ? ['4G', '5G'] : ['4G']);
+
+  return {
+    available: true,
+    technologies,
+    coverage: isUrbanArea ? 'Excellent' : (isWesternProvince ? 'Good' : 'Fair'),
+    signalStrength: isUrbanArea ? 'excellent' : 'good'
+  };
+};
+
+/**
+ * Evaluate fiber, ADSL and mobile availability for a location
+ * @param {Object} location - Request location (district, province, optional coordinates)
+ * @param {Object} data - { infrastructure, fiberCoverage, adslCoverage, fiberAreas, adslAreas }
+ * @returns {Object} Availability per technology, each with an explanation
+ */
+const evaluateAvailability = (location, { infrastructure, fiberCoverage, adslCoverage, fiberAreas, adslAreas } = {}) => {
+  return {
+    fiber: evaluateFiber(location, infrastructure, fiberCoverage, fiberAreas),
+    adsl: evaluateAdsl(location, infrastructure, adslCoverage, adslAreas),
+    mobile: evaluateMobile(location, infrastructure)
+  };
+};
+
+module.exports = {
+  evaluateAvailability,
+  estimateAdslSpeed,
+  haversineDistance,
+  getCoordinates,
+  parseSpeedMbps
+};
@@ -0,0 +1,179 @@
+// sltPackages.js - Match TMF620 catalog offerings to SLT location availability
+//
+// Offerings are read from the catalog rather than hardcoded so price and lifecycle
+// changes made by marketing show up immediately. Each package carries TMF620
+// references that can be copied straight into a TMF622 productOrderItem.
+const { LAUNCHED_STATUSES } = require('../../tmf620/utils/catalogLifecycle');
+
+// Preferred order when several technologies qualify
+const TECHNOLOGY_RANK = { fiber: 0, adsl: 1, mobile: 2 };
+
+const TECHNOLOGY_KEYWORDS = [
+  { technology: 'fiber', pattern: /\b(fiber|fibre|ftth|fttx|gpon)\b/i },
+  { technology: 'adsl', pattern: /\b(adsl2?\+?|vdsl|dsl|copper)/i },
+  { technology: 'mobile', pattern: /\b(mobile|4g|5g|lte|wireless)\b/i }
+];
+
+/**
+ * Check whether a validFor period includes a date
+ * @param {Object} validFor - { startDateTime, endDateTime }
+ * @param {Date} now - Reference date
+ * @returns {Boolean} True when no bound excludes the date
+ */
+const isCurrentlyValid = (validFor, now = new Date()) => {
+  if (!validFor) return true;
+  if (validFor.startDateTime && new Date(validFor.startDateTime) > now) return false;
+  if (validFor.endDateTime && new Date(validFor.endDateTime) < now) return false;
+  return true;
+};
+
+/**
+ * Check whether a catalog entity may be offered right now
+ * @param {Object} entity - ProductOffering or ProductOfferingPrice
+ * @param {Date} now - Reference date
+ * @returns {Boolean} True when sellable by lifecycle status and validity period
+ */
+const isSellableNow = (entity, now = new Date()) => {
+  return LAUNCHED_STATUSES.includes(entity.lifecycleStatus || 'Active') &&
+    isCurrentlyValid(entity.validFor, now);
+};
+
+/**
+ * Determine the access technology of an offering. An explicit `technology`
+ * characteristic wins; otherwise category, specification and offering names are scanned.
+ * @param {Object} offering - ProductOffering document
+ * @returns {String|null} fiber, adsl, mobile or null when unknown
+ */
+const inferTechnology = (offering) => {
+  const characteristic = (offering.prodSpecCharValueUse || [])
+    .find(use => /^(access)?technology$/i.test(use.name || ''));
+  const characteristicValue = characteristic?.productSpecCharacteristicValue?.[0]?.value;
+
+  const texts = characteristicValue
+    ? [String(characteristicValue)]
+    : [
+      ...(offering.category || []).map(category => category.name),
+      offering.productSpecification?.name,
+      offering.name,
+      offering.description
+    ];
+
+  const text = texts.filter(Boolean).join(' ');
+  const match = TECHNOLOGY_KEYWORDS.find(entry => entry.pattern.test(text));
+  return match ? match.technology : null;
+};
+
+/**
+ * Sum the prices of one kind per currency
+ * @param {Array} prices - ProductOfferingPrice documents
+ * @param {RegExp} pattern - Matches the priceType to include
+ * @returns {Array} [{ value, unit }] in the order the currencies first appear
+ */
+const sumPrices = (prices, pattern) => {
+  const totals = new Map();
+
+  prices
+    .filter(price => pattern.test(price.priceType || '') && price.price?.value !== undefined)
+    .forEach(price => {
+      const unit = price.price.unit;
+      const total = totals.get(unit) || { value: 0, unit };
+      total.value += price.price.value;
+      totals.set(unit, total);
+    });
+
+  return [...totals.values()];
+};
+
+/**
+ * Build a package from an offering and its current prices
+ * @param {Object} offering - ProductOffering document
+ * @param {String} technology - Access technology of the offering
+ * @param {Array} prices - Currently valid ProductOfferingPrice documents of the offering
+ * @param {Object} availability - Availability of that technology at the location
+ * @returns {Object} Package with TMF620 references
+ */
+const buildPackage = (offering, technology, prices, availability) => {
+  const monthly = sumPrices(prices, /recurring/i);
+  const setup = sumPrices(prices, /one.?time/i);
+
+  // The scalar fees are given in the first currency; monthlyFees and setupFees list every currency
+  const currency = (monthly[0] || setup[0])?.unit;
+  const feeIn = (totals) => totals.find(total => total.unit === currency)?.value;
+
+  return {
+    id: offering.id,
+    name: offering.name,
+    description: offering.description,
+    type: technology,
+    speed: availability.maxSpeed,
+    monthlyFee: feeIn(monthly),
+    setupFee: feeIn(setup),
+    currency,
+    monthlyFees: monthly,
+    setupFees: setup,
+    availability: 'available',
+    productOffering: {
+      id: offering.id,
+      href: offering.href,
+      name: offering.name,
+      '@type': 'ProductOfferingRef'
+    },
+    productSpecification: offering.productSpecification?.id ? {
+      id: offering.productSpecification.id,
+      href: offering.productSpecification.href,
+      name: offering.productSpecification.name,
+      '@type': 'ProductSpecificationRef'
+    } : undefined,
+    productOfferingPrice: prices.map(price => ({
+      id: price.id,
+      href: price.href,
+      name: price.name,
+      priceType: price.priceType,
+      price: price.price,
+      '@type': 'ProductOfferingPriceRef'
+    })),
+    '@type': 'SLTServicePackage'
+  };
+};
+
+/**
+ * Order packages by requested technology, technology preference, then monthly fee,
+ * and number them from 1
+ * @param {Array} packages - Packages from buildPackage
+ * @param {Array} requestedTechnologies - Technologies the customer asked for
+ * @returns {Array} Ranked packages
+ */
+const rankPackages = (packages, requestedTechnologies = []) => {
+  const requestedRank = (pkg) => requestedTechnologies.includes(pkg.type) ? 0 : 1;
+  const fee = (pkg) => pkg.monthlyFee ?? Number.MAX_SAFE_INTEGER;
+
+  return [...packages]
+    .sort((a, b) =>
+      requestedRank(a) - requestedRank(b) ||
+      TECHNOLOGY_RANK[a.type] - TECHNOLOGY_RANK[b.type] ||
+      fee(a) - fee(b) ||
+      a.name.localeCompare(b.name))
+    .map((pkg, index) => ({ rank: index + 1, ...pkg }));
+};
+
+/**
+ * Map free-text requested services ('Fiber Broadband', 'ADSL') to technologies
+ * @param {Array} requestedServices - Service names from the request
+ * @returns {Array} Technologies
+ */
+const toRequestedTechnologies = (requestedServices = []) => {
+  if (!Array.isArray(requestedServices)) return [];
+
+  return [...new Set(requestedServices
+    .map(service => TECHNOLOGY_KEYWORDS.find(entry => entry.pattern.test(String(service)))?.technology)
+    .filter(Boolean))];
+};
+
+module.exports = {
+  isCurrentlyValid,
+  isSellableNow,
+  inferTechnology,
+  buildPackage,
+  rankPackages,
+  toRequestedTechnologies
+};
@@ -1,19 +0,0 @@
-const auth = {
-  // Basic authentication middleware (placeholder)
-  authenticate: (req, res, next) => {
-    // For now, just pass through
-    // In production, implement proper authentication
-    next();
-  },
-
-  // Authorization middleware (placeholder)
-  authorize: (roles = []) => {
-    return (req, res, next) => {
-      // For now, just pass through
-      // In production, implement proper authorization
-      next();
-    };
-  }
-};
-
-module.exports = auth;
\ No newline at end of file
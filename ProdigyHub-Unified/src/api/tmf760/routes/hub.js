@@ -0,0 +1,49 @@
+// src/api/tmf760/routes/hub.js - Event subscription management
+const express = require('express');
+const router = express.Router();
+const eventService = require('../services/eventService');
+
+// Register listener (TMF688)
+router.post('/', (req, res) => {
+  try {
+    const { callback, query = '' } = req.body;
+    
+    if (!callback) {
+      return res.status(400).json({ error: 'callback URL is required' });
+    }
+    
+    const listenerId = `listener_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const listener = eventService.registerListener(listenerId, callback, query);
+    
+    res.status(201).json(listener);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Unregister listener
+router.delete('/:id', (req, res) => {
+  try {
+    const removed = eventService.unregisterListener(req.params.id);
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Listener not found' });
+    }
+    
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all listeners
+router.get('/', (req, res) => {
+  try {
+    const listeners = eventService.getListeners();
+    res.json(listeners);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,5 +1,7 @@
 // backend/services/eventService.js
 const EventEmitter = require('events');
+const { deliverToHubs } = require('../../../services/hubDeliveryService');
+const { parseHubQuery } = require('../../../services/hubQueryFilter');
 
 class ProductConfigurationEventService extends EventEmitter {
   constructor() {
@@ -8,11 +10,15 @@ class ProductConfigurationEventService extends EventEmitter {
   }
 
   // Register event listener (TMF688 compliant)
+  // Throws a HubQueryError (status 400) when the query is malformed
   registerListener(listenerId, callbackUrl, query = '') {
+    const queryFilter = parseHubQuery(query);
+    
     this.listeners.set(listenerId, {
       id: listenerId,
       callback: callbackUrl,
       query: query,
+      queryFilter,
       registeredAt: new Date().toISOString()
     });
     
@@ -44,7 +50,9 @@ class ProductConfigurationEventService extends EventEmitter {
     };
 
     this.emit('productConfigurationEvent', event);
-    this.notifyListeners(event);
+    this.notifyListeners(event).catch(error => {
+      console.error('Failed to notify listeners:', error);
+    });
     
     return event;
   }
@@ -60,36 +68,26 @@ class ProductConfigurationEventService extends EventEmitter {
     };
 
     this.emit('productConfigurationEvent', event);
-    this.notifyListeners(event);
+    this.notifyListeners(event).catch(error => {
+      console.error('Failed to notify listeners:', error);
+    });
     
     return event;
   }
 
   // Notify all registered listeners
   async notifyListeners(event) {
-    const notifications = [];
-    
-    for (const listener of this.listeners.values()) {
-      try {
-        // In a real implementation, you would make HTTP POST requests to listener callbacks
-        console.log(`Notifying listener ${listener.id}: ${listener.callback}`);
-        notifications.push({
-          listenerId: listener.id,
-          status: 'sent',
-          timestamp: new Date().toISOString()
-        });
-      } catch (error) {
-        console.error(`Failed to notify listener ${listener.id}:`, error);
-        notifications.push({
-          listenerId: listener.id,
-          status: 'failed',
-          error: error.message,
-          timestamp: new Date().toISOString()
-        });
-      }
-    }
+    const listeners = Array.from(this.listeners.values());
+    const deliveries = await deliverToHubs(event, listeners);
     
-    return notifications;
+    return deliveries.map(delivery => ({
+      listenerId: delivery.hubId,
+      status: delivery.status === 'delivered' ? 'sent' : 'failed',
+      attempts: delivery.attempts,
+      error: delivery.error,
+      deadLetterId: delivery.deadLetterId,
+      timestamp: new Date().toISOString()
+    }));
   }
 
   generateEventId() {
@@ -101,53 +99,3 @@ class ProductConfigurationEventService extends EventEmitter {
 const eventService = new ProductConfigurationEventService();
 
 module.exports = eventService;
-
-// backend/routes/hub.js - Event subscription management
-const express = require('express');
-const router = express.Router();
-const eventService = require('../services/eventService');
-
-// Register listener (TMF688)
-router.post('/', (req, res) => {
-  try {
-    const { callback, query = '' } = req.body;
-    
-    if (!callback) {
-      return res.status(400).json({ error: 'callback URL is required' });
-    }
-    
-    const listenerId = `listener_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const listener = eventService.registerListener(listenerId, callback, query);
-    
-    res.status(201).json(listener);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Unregister listener
-router.delete('/:id', (req, res) => {
-  try {
-    const removed = eventService.unregisterListener(req.params.id);
-    
-    if (!removed) {
-      return res.status(404).json({ error: 'Listener not found' });
-    }
-    
-    res.status(204).send();
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get all listeners
-router.get('/', (req, res) => {
-  try {
-    const listeners = eventService.getListeners();
-    res.json(listeners);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
@@ -21,7 +21,7 @@ class Database {
    */
   async connect() {
     // Check if already connected
-    if (this.connection && this.connection.readyState === 1) {
+    if (mongoose.connection.readyState === 1) {
       console.log('📊 Database already connected');
       return this.connection;
     }
@@ -31,7 +31,8 @@ class Database {
       console.log('📊 Database connection already in progress...');
       return new Promise((resolve, reject) => {
         const checkConnection = () => {
-          if (this.connection && this.connection.readyState === 1) {
+          // this.connection is the Mongoose instance; its connection carries the readyState
+          if (mongoose.connection.readyState === 1) {
             resolve(this.connection);
           } else if (!this.isConnecting) {
             reject(new Error('Connection failed'));
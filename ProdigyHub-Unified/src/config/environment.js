@@ -74,7 +74,47 @@ const config = {
     enableEvents: process.env.ENABLE_EVENTS !== 'false',
     eventTimeout: parseInt(process.env.EVENT_TIMEOUT) || 30000,
     hubCallbackTimeout: parseInt(process.env.HUB_CALLBACK_TIMEOUT) || 10000,
-    maxNotificationRetries: parseInt(process.env.MAX_NOTIFICATION_RETRIES) || 3
+    maxNotificationRetries: parseInt(process.env.MAX_NOTIFICATION_RETRIES) || 3,
+    notificationRetryBaseDelay: parseInt(process.env.NOTIFICATION_RETRY_BASE_DELAY) || 1000,
+    defaultRetentionDays: parseInt(process.env.EVENT_RETENTION_DAYS) || 0,
+    // Hosts hub callbacks may point to; empty allows any public host
+    hubAllowedHosts: (process.env.HUB_CALLBACK_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean)
+  },
+  
+  // Qualification worker configuration
+  qualification: {
+    enableWorker: process.env.ENABLE_QUALIFICATION_WORKER !== 'false',
+    workerPollInterval: parseInt(process.env.QUALIFICATION_WORKER_POLL_INTERVAL) || 2000,
+    maxAttempts: parseInt(process.env.QUALIFICATION_MAX_ATTEMPTS) || 3,
+    defaultCompletionWindow: parseInt(process.env.QUALIFICATION_DEFAULT_COMPLETION_WINDOW) || 60000,
+    staleJobTimeout: parseInt(process.env.QUALIFICATION_STALE_JOB_TIMEOUT) || 300000
+  },
+  
+  // SLT bulk location check configuration
+  sltBulk: {
+    concurrency: parseInt(process.env.SLT_BULK_CONCURRENCY) || 5,
+    uploadLimit: process.env.SLT_BULK_UPLOAD_LIMIT || '50mb'
+  },
+  
+  // Catalog import/export job configuration
+  catalogJobs: {
+    exportDirectory: process.env.CATALOG_EXPORT_DIR || 'exports',
+    importTimeout: parseInt(process.env.CATALOG_IMPORT_TIMEOUT) || 30000,
+    // Hosts that url imports may be fetched from; without any, url imports are refused
+    importAllowedHosts: (process.env.CATALOG_IMPORT_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean),
+    importMaxBytes: parseInt(process.env.CATALOG_IMPORT_MAX_BYTES) || 50 * 1024 * 1024
+  },
+  
+  // Price calculation configuration
+  pricing: {
+    defaultCurrency: process.env.PRICING_DEFAULT_CURRENCY || 'LKR',
+    defaultTaxRate: parseFloat(process.env.PRICING_DEFAULT_TAX_RATE) || 0
   }
 };
 
@@ -13,7 +13,7 @@ const CategorySchema = new mongoose.Schema({
   description: String,
   version: { type: String, default: '1.0' },
   isRoot: { type: Boolean, default: false },
-  lifecycleStatus: { type: String, default: 'Active' },
+  lifecycleStatus: { type: String, default: 'In Study' },
   validFor: {
     startDateTime: Date,
     endDateTime: Date
@@ -36,7 +36,7 @@ const ProductSpecificationSchema = new mongoose.Schema({
   productNumber: String,
   version: { type: String, default: '1.0' },
   isBundle: { type: Boolean, default: false },
-  lifecycleStatus: { type: String, default: 'Active' },
+  lifecycleStatus: { type: String, default: 'In Study' },
   validFor: {
     startDateTime: Date,
     endDateTime: Date
@@ -76,7 +76,7 @@ const ProductOfferingSchema = new mongoose.Schema({
   version: { type: String, default: '1.0' },
   isBundle: { type: Boolean, default: false },
   isSellable: { type: Boolean, default: true },
-  lifecycleStatus: { type: String, default: 'Active' },
+  lifecycleStatus: { type: String, default: 'In Study' },
   statusReason: String,
   validFor: {
     startDateTime: Date,
@@ -112,13 +112,39 @@ const ProductOfferingPriceSchema = new mongoose.Schema({
   description: String,
   version: { type: String, default: '1.0' },
   isBundle: { type: Boolean, default: false },
-  lifecycleStatus: { type: String, default: 'Active' },
+  lifecycleStatus: { type: String, default: 'In Study' },
   priceType: String,
   price: {
     unit: String,
     value: Number
   },
   percentage: Number,
+  recurringChargePeriodType: String,
+  recurringChargePeriodLength: Number,
+  unitOfMeasure: {
+    amount: Number,
+    units: String
+  },
+  tax: [{
+    taxCategory: String,
+    taxRate: Number,
+    '@type': { type: String, default: 'TaxItem' }
+  }],
+  popRelationship: [{
+    id: String,
+    href: String,
+    name: String,
+    relationshipType: String,
+    '@type': { type: String, default: 'ProductOfferingPriceRelationship' }
+  }],
+  bundledPopRelationship: [{
+    id: String,
+    href: String,
+    name: String,
+    '@type': { type: String, default: 'BundledProductOfferingPriceRelationship' }
+  }],
+  prodSpecCharValueUse: [mongoose.Schema.Types.Mixed],
+  pricingLogicAlgorithm: [mongoose.Schema.Types.Mixed],
   validFor: {
     startDateTime: Date,
     endDateTime: Date
@@ -137,7 +163,7 @@ const ProductCatalogSchema = new mongoose.Schema({
   description: String,
   catalogType: { type: String, default: 'ProductCatalog' },
   version: { type: String, default: '1.0' },
-  lifecycleStatus: { type: String, default: 'Active' },
+  lifecycleStatus: { type: String, default: 'In Study' },
   validFor: {
     startDateTime: Date,
     endDateTime: Date
@@ -160,6 +186,89 @@ const ProductCatalogSchema = new mongoose.Schema({
   collection: 'productcatalogs'
 });
 
+// Immutable snapshots of earlier ProductOffering, ProductSpecification and ProductOfferingPrice versions
+const CatalogEntityVersionSchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true, default: uuidv4 },
+  entityType: {
+    type: String,
+    enum: ['ProductOffering', 'ProductSpecification', 'ProductOfferingPrice'],
+    required: true,
+    immutable: true
+  },
+  entityId: { type: String, required: true, immutable: true },
+  version: { type: String, required: true, immutable: true },
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true, immutable: true },
+  validFrom: { type: Date, immutable: true },
+  validTo: { type: Date, immutable: true },
+  '@type': { type: String, default: 'CatalogEntityVersion' }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'catalogentityversions'
+});
+
+CatalogEntityVersionSchema.index({ entityType: 1, entityId: 1, version: 1 }, { unique: true });
+CatalogEntityVersionSchema.index({ entityType: 1, entityId: 1, createdAt: 1 });
+
+const ExportJobSchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true, default: uuidv4 },
+  href: String,
+  contentType: {
+    type: String,
+    enum: ['application/json', 'text/csv'],
+    default: 'application/json'
+  },
+  creationDate: { type: Date, default: Date.now },
+  completionDate: Date,
+  path: String,
+  query: String,
+  status: {
+    type: String,
+    enum: ['NotStarted', 'Running', 'Succeeded', 'Failed'],
+    default: 'NotStarted'
+  },
+  url: String,
+  errorLog: String,
+  '@baseType': { type: String, default: 'ExportJob' },
+  '@type': { type: String, default: 'ExportJob' },
+  '@schemaLocation': String
+}, {
+  timestamps: true,
+  collection: 'exportjobs'
+});
+
+ExportJobSchema.index({ status: 1, creationDate: -1 });
+
+const ImportJobSchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true, default: uuidv4 },
+  href: String,
+  contentType: {
+    type: String,
+    enum: ['application/json', 'text/csv']
+  },
+  creationDate: { type: Date, default: Date.now },
+  completionDate: Date,
+  path: String,
+  status: {
+    type: String,
+    enum: ['NotStarted', 'Running', 'Succeeded', 'Failed'],
+    default: 'NotStarted'
+  },
+  url: String,
+  errorLog: String,
+  // Validate and resolve references without writing anything
+  dryRun: { type: Boolean, default: false },
+  // Per resource counts: { total, created, updated, failed }
+  summary: mongoose.Schema.Types.Mixed,
+  '@baseType': { type: String, default: 'ImportJob' },
+  '@type': { type: String, default: 'ImportJob' },
+  '@schemaLocation': String
+}, {
+  timestamps: true,
+  collection: 'importjobs'
+});
+
+ImportJobSchema.index({ status: 1, creationDate: -1 });
+
 // ===================================
 // TMF637 - PRODUCT INVENTORY MODELS
 // ===================================
@@ -177,7 +286,17 @@ const ProductSchema = new mongoose.Schema({
   creationDate: { type: Date, default: Date.now },
   lastUpdate: { type: Date, default: Date.now },
   startDate: Date,
-  terminationDate: String, // Keep as String for compatibility
+  terminationDate: Date,
+  statusChangeReason: String,
+  statusChangeDate: Date,
+  statusChange: [{
+    previousStatus: String,
+    status: String,
+    statusChangeDate: { type: Date, default: Date.now },
+    statusChangeReason: String,
+    actor: String,
+    '@type': { type: String, default: 'StatusChange' }
+  }],
   isBundle: { type: Boolean, default: false },
   isCustomerVisible: { type: Boolean, default: true },
   productSerialNumber: { type: String, default: '' },
@@ -193,7 +312,14 @@ const ProductSchema = new mongoose.Schema({
     '@type': String
   }],
   productPrice: [mongoose.Schema.Types.Mixed],
-  productRelationship: [mongoose.Schema.Types.Mixed],
+  productRelationship: [{
+    _id: false,
+    id: { type: String, required: true },
+    href: String,
+    name: String,
+    relationshipType: { type: String, enum: ['bundled', 'reliesOn', 'substitutedBy'], required: true },
+    '@type': { type: String, default: 'ProductRelationship' }
+  }],
   place: [mongoose.Schema.Types.Mixed],
   productOrderItem: [mongoose.Schema.Types.Mixed],
   realizingResource: [mongoose.Schema.Types.Mixed],
@@ -226,6 +352,8 @@ const ProductSchema = new mongoose.Schema({
   collection: 'products'
 });
 
+ProductSchema.index({ 'productRelationship.id': 1, 'productRelationship.relationshipType': 1 });
+
 // ===================================
 // TMF679 - PRODUCT OFFERING QUALIFICATION MODELS
 // ===================================
@@ -310,9 +438,8 @@ const QueryProductOfferingQualificationSchema = new mongoose.Schema({
     role: String,
     '@type': { type: String, default: 'RelatedPartyRefOrPartyRoleRef' }
   }],
-  searchCriteria: {
-    '@type': { type: String, default: 'SearchCriteria' }
-  },
+  // Free-form TMF679 search criteria, e.g. a place to qualify offerings against
+  searchCriteria: mongoose.Schema.Types.Mixed,
   '@baseType': { type: String, default: 'QueryProductOfferingQualification' },
   '@type': { type: String, default: 'QueryProductOfferingQualification' },
   '@schemaLocation': String
@@ -321,6 +448,35 @@ const QueryProductOfferingQualificationSchema = new mongoose.Schema({
   collection: 'queryproductofferingqualifications'
 });
 
+// Background processing queue for qualifications with instantSyncQualification=false
+const QualificationJobSchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true, default: uuidv4 },
+  qualificationId: { type: String, required: true },
+  qualificationType: {
+    type: String,
+    enum: ['CheckProductOfferingQualification', 'QueryProductOfferingQualification'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  dueDate: { type: Date, required: true },
+  deadlineRequested: { type: Boolean, default: false },
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  startedAt: Date,
+  finishedAt: Date,
+  '@type': { type: String, default: 'QualificationJob' }
+}, {
+  timestamps: true,
+  collection: 'qualificationjobs'
+});
+
+QualificationJobSchema.index({ status: 1, dueDate: 1 });
+QualificationJobSchema.index({ qualificationId: 1 });
+
 // ===================================
 // TMF622 - PRODUCT ORDERING MODELS
 // ===================================
@@ -353,6 +509,15 @@ const ProductOrderSchema = new mongoose.Schema({
     ],
     default: 'acknowledged'
   },
+  stateChange: [{
+    previousState: String,
+    state: String,
+    timestamp: { type: Date, default: Date.now },
+    actor: String,
+    reason: String,
+    productOrderItemId: String,
+    '@type': { type: String, default: 'StateChange' }
+  }],
   externalId: [mongoose.Schema.Types.Mixed],
   channel: [mongoose.Schema.Types.Mixed],
   note: [{
@@ -388,6 +553,8 @@ const ProductOrderSchema = new mongoose.Schema({
   }],
   relatedParty: [mongoose.Schema.Types.Mixed],
   orderTotalPrice: mongoose.Schema.Types.Mixed,
+  // Client-supplied prices that differed from the catalog prices applied to the order
+  priceDiscrepancy: [mongoose.Schema.Types.Mixed],
   payment: [mongoose.Schema.Types.Mixed],
   billingAccount: mongoose.Schema.Types.Mixed,
   agreement: mongoose.Schema.Types.Mixed,
@@ -435,6 +602,7 @@ const EventSchema = new mongoose.Schema({
   eventType: { type: String, required: true },
   correlationId: String,
   domain: String,
+  fieldPath: String,
   title: String,
   description: String,
   timeOccurred: { type: Date, default: Date.now },
@@ -448,6 +616,8 @@ const EventSchema = new mongoose.Schema({
   relatedParty: [mongoose.Schema.Types.Mixed],
   event: { type: mongoose.Schema.Types.Mixed, required: true },
   analyticCharacteristic: [mongoose.Schema.Types.Mixed],
+  // Set from the retention of the event's topic; events without it are kept
+  expiresAt: Date,
   '@type': { type: String, default: 'Event' },
   '@baseType': { type: String, default: 'event' },
   '@schemaLocation': String
@@ -456,11 +626,20 @@ const EventSchema = new mongoose.Schema({
   collection: 'events'
 });
 
+EventSchema.index({ eventType: 1, eventTime: -1 });
+EventSchema.index({ domain: 1, eventTime: -1 });
+EventSchema.index({ eventTime: -1 });
+EventSchema.index({ correlationId: 1 });
+// MongoDB's TTL monitor removes an event once its expiresAt has passed
+EventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 const HubSchema = new mongoose.Schema({
   id: { type: String, unique: true, required: true, default: uuidv4 },
   href: String,
   callback: { type: String, required: true },
   query: String,
+  queryFilter: { type: [mongoose.Schema.Types.Mixed], select: false },
+  domain: String,
   '@type': { type: String, default: 'Hub' },
   '@baseType': { type: String, default: 'hub' },
   '@schemaLocation': String
@@ -475,6 +654,8 @@ const TopicSchema = new mongoose.Schema({
   name: { type: String, required: true },
   contentQuery: String,
   headerQuery: String,
+  // Days that events of this topic are kept; unset falls back to EVENT_RETENTION_DAYS
+  retentionDays: { type: Number, min: 1 },
   '@type': { type: String, default: 'Topic' },
   '@baseType': { type: String, default: 'topic' },
   '@schemaLocation': String
@@ -483,6 +664,34 @@ const TopicSchema = new mongoose.Schema({
   collection: 'topics'
 });
 
+TopicSchema.index({ name: 1 });
+
+const DeadLetterEventSchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true, default: uuidv4 },
+  href: String,
+  eventId: String,
+  eventType: String,
+  hubId: String,
+  callback: { type: String, required: true },
+  notification: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'replayed', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  lastAttemptDate: Date,
+  replayDate: Date,
+  '@type': { type: String, default: 'DeadLetterEvent' }
+}, {
+  timestamps: true,
+  collection: 'deadletterevents'
+});
+
+DeadLetterEventSchema.index({ status: 1, createdAt: -1 });
+DeadLetterEventSchema.index({ hubId: 1 });
+
 // ===================================
 // MIDDLEWARE TO SET HREF
 // ===================================
@@ -508,6 +717,12 @@ const setHrefMiddleware = function(next) {
       case 'productcatalogs':
         this.href = `${baseUrl}/productCatalogManagement/v5/productCatalog/${this.id}`;
         break;
+      case 'exportjobs':
+        this.href = `${baseUrl}/productCatalogManagement/v5/exportJob/${this.id}`;
+        break;
+      case 'importjobs':
+        this.href = `${baseUrl}/productCatalogManagement/v5/importJob/${this.id}`;
+        break;
       case 'products':
         this.href = `${baseUrl}/tmf-api/product/${this.id}`;
         break;
@@ -532,6 +747,9 @@ const setHrefMiddleware = function(next) {
       case 'topics':
         this.href = `${baseUrl}/tmf-api/event/v4/topic/${this.id}`;
         break;
+      case 'deadletterevents':
+        this.href = `${baseUrl}/tmf-api/event/v4/deadLetter/${this.id}`;
+        break;
     }
   }
   next();
@@ -539,9 +757,9 @@ const setHrefMiddleware = function(next) {
 
 // Apply middleware to all schemas
 [CategorySchema, ProductSpecificationSchema, ProductOfferingSchema, ProductOfferingPriceSchema, 
- ProductCatalogSchema, ProductSchema, CheckProductOfferingQualificationSchema, 
+ ProductCatalogSchema, ExportJobSchema, ImportJobSchema, ProductSchema, CheckProductOfferingQualificationSchema, 
  QueryProductOfferingQualificationSchema, ProductOrderSchema, CancelProductOrderSchema,
- EventSchema, HubSchema, TopicSchema].forEach(schema => {
+ EventSchema, HubSchema, TopicSchema, DeadLetterEventSchema].forEach(schema => {
   schema.pre('save', setHrefMiddleware);
 });
 
@@ -554,14 +772,19 @@ const ProductSpecification = mongoose.model('ProductSpecification', ProductSpeci
 const ProductOffering = mongoose.model('ProductOffering', ProductOfferingSchema);
 const ProductOfferingPrice = mongoose.model('ProductOfferingPrice', ProductOfferingPriceSchema);
 const ProductCatalog = mongoose.model('ProductCatalog', ProductCatalogSchema);
+const CatalogEntityVersion = mongoose.model('CatalogEntityVersion', CatalogEntityVersionSchema);
+const ExportJob = mongoose.model('ExportJob', ExportJobSchema);
+const ImportJob = mongoose.model('ImportJob', ImportJobSchema);
 const Product = mongoose.model('Product', ProductSchema);
 const CheckProductOfferingQualification = mongoose.model('CheckProductOfferingQualification', CheckProductOfferingQualificationSchema);
 const QueryProductOfferingQualification = mongoose.model('QueryProductOfferingQualification', QueryProductOfferingQualificationSchema);
+const QualificationJob = mongoose.model('QualificationJob', QualificationJobSchema);
 const ProductOrder = mongoose.model('ProductOrder', ProductOrderSchema);
 const CancelProductOrder = mongoose.model('CancelProductOrder', CancelProductOrderSchema);
 const Event = mongoose.model('Event', EventSchema);
 const Hub = mongoose.model('Hub', HubSchema);
 const Topic = mongoose.model('Topic', TopicSchema);
+const DeadLetterEvent = mongoose.model('DeadLetterEvent', DeadLetterEventSchema);
 
 module.exports = {
   // TMF620 Models
@@ -570,6 +793,9 @@ module.exports = {
   ProductOffering,
   ProductOfferingPrice,
   ProductCatalog,
+  CatalogEntityVersion,
+  ExportJob,
+  ImportJob,
   
   // TMF637 Models
   Product,
@@ -577,6 +803,7 @@ module.exports = {
   // TMF679 Models
   CheckProductOfferingQualification,
   QueryProductOfferingQualification,
+  QualificationJob,
   
   // TMF622 Models
   ProductOrder,
@@ -585,5 +812,6 @@ module.exports = {
   // TMF688 Models
   Event,
   Hub,
-  Topic
+  Topic,
+  DeadLetterEvent
 };
\ No newline at end of file
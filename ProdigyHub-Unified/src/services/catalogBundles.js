@@ -0,0 +1,370 @@
+// src/services/catalogBundles.js - Bundled ProductOffering validation, expansion and order items
+//
+// A bundle lists its children in `bundledProductOffering` and, for choices, in the
+// `bundledProductOffering` of each `bundledGroupProductOffering`. Each child may carry
+// a `bundledProductOfferingOption` with numberRelOfferLowerLimit/UpperLimit/Default
+// cardinalities; groups carry the same limits in `bundledGroupProductOfferingOption`.
+const { isLaunched } = require('../api/tmf620/utils/catalogLifecycle');
+
+// Deepest bundle nesting followed before stored data is treated as cyclic
+const MAX_BUNDLE_DEPTH = 10;
+
+const BUNDLE_FIELDS = ['bundledProductOffering', 'bundledGroupProductOffering', 'isBundle'];
+
+/**
+ * Create an error that the API layer reports as 422 Unprocessable Entity
+ */
+const bundleError = (message, details) => {
+  const error = new Error(message);
+  error.name = 'BundleValidationError';
+  error.status = 422;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Child offering refs of a bundle, each with the group it belongs to (or null)
+ */
+const getBundledRefs = (offering) => {
+  const direct = (offering.bundledProductOffering || [])
+    .filter(ref => ref?.id)
+    .map(ref => ({ ref, group: null }));
+  const grouped = (offering.bundledGroupProductOffering || []).flatMap(group =>
+    (group?.bundledProductOffering || []).filter(ref => ref?.id).map(ref => ({ ref, group })));
+  return [...direct, ...grouped];
+};
+
+const limitsOf = (option = {}) => ({
+  lower: option.numberRelOfferLowerLimit,
+  upper: option.numberRelOfferUpperLimit,
+  default: option.numberRelOfferDefault
+});
+
+/**
+ * Number of child instances used when an order or expansion does not say otherwise
+ */
+const defaultCount = (ref, group) => {
+  const { lower, default: fallback } = limitsOf(ref.bundledProductOfferingOption);
+  if (fallback !== undefined && fallback !== null) return fallback;
+  // Members of a group are choices and only counted when the option sets a default
+  if (group) return 0;
+  return lower ?? 1;
+};
+
+/**
+ * Problems with one set of cardinality limits
+ */
+const checkLimits = (limits, label) => {
+  const problems = [];
+  const isCount = (value) => value === undefined || value === null || (Number.isInteger(value) && value >= 0);
+
+  ['lower', 'upper', 'default'].forEach(key => {
+    if (!isCount(limits[key])) problems.push(`${label} ${key} limit must be a non-negative integer`);
+  });
+  if (problems.length > 0) return problems;
+
+  if (limits.lower != null && limits.upper != null && limits.lower > limits.upper) {
+    problems.push(`${label} lower limit ${limits.lower} exceeds upper limit ${limits.upper}`);
+  }
+  if (limits.default != null && ((limits.lower != null && limits.default < limits.lower) ||
+      (limits.upper != null && limits.default > limits.upper))) {
+    problems.push(`${label} default ${limits.default} is outside its limits`);
+  }
+  return problems;
+};
+
+/**
+ * Whether `targetId` is reachable from the offerings in `startIds` through bundled children
+ */
+const reachesOffering = async (startIds, targetId) => {
+  const { ProductOffering } = require('../models/AllTMFModels');
+  const seen = new Set();
+  let frontier = [...new Set(startIds)];
+
+  for (let depth = 0; frontier.length > 0 && depth <= MAX_BUNDLE_DEPTH; depth++) {
+    if (frontier.includes(targetId)) return true;
+    frontier.forEach(id => seen.add(id));
+
+    const offerings = await ProductOffering.find({ id: { $in: frontier } }).lean();
+    frontier = [...new Set(offerings.flatMap(offering => getBundledRefs(offering).map(({ ref }) => ref.id)))]
+      .filter(id => !seen.has(id));
+  }
+  return frontier.includes(targetId);
+};
+
+/**
+ * Check the bundle structure of an offering: children exist, are launched when the
+ * bundle is, do not contain the bundle itself and have consistent cardinalities.
+ * Returns the offering with `isBundle` set when it has children; throws a 422
+ * BundleValidationError otherwise.
+ */
+const validateBundle = async (offering) => {
+  const { ProductOffering } = require('../models/AllTMFModels');
+  const children = getBundledRefs(offering);
+  if (children.length === 0) return offering;
+
+  const details = [];
+
+  children.forEach(({ ref, group }) => {
+    checkLimits(limitsOf(ref.bundledProductOfferingOption), `bundledProductOfferingOption of ${ref.id}`)
+      .forEach(reason => details.push({ id: ref.id, reason }));
+  });
+  (offering.bundledGroupProductOffering || []).forEach(group => {
+    const option = group?.bundledGroupProductOfferingOption || {};
+    const limits = { lower: option.numberRelOfferLowerLimit, upper: option.numberRelOfferUpperLimit };
+    const label = `bundledGroupProductOfferingOption of group '${group?.name || ''}'`;
+    const problems = checkLimits(limits, label);
+    const members = (group?.bundledProductOffering || []).length;
+    if (problems.length === 0 && limits.lower != null && limits.lower > members) {
+      problems.push(`${label} requires ${limits.lower} offerings but the group has ${members}`);
+    }
+    problems.forEach(reason => details.push({ group: group?.name, reason }));
+  });
+
+  const ids = [...new Set(children.map(({ ref }) => ref.id))];
+  if (offering.id && ids.includes(offering.id)) {
+    details.push({ id: offering.id, reason: 'a bundle cannot contain itself' });
+  }
+
+  const found = await ProductOffering.find({ id: { $in: ids } }).select('id lifecycleStatus').lean();
+  const statuses = new Map(found.map(child => [child.id, child.lifecycleStatus]));
+  ids.filter(id => !statuses.has(id)).forEach(id => details.push({ id, reason: 'bundled offering not found' }));
+
+  if (isLaunched(offering.lifecycleStatus)) {
+    ids.filter(id => statuses.has(id) && !isLaunched(statuses.get(id))).forEach(id => details.push({
+      id,
+      lifecycleStatus: statuses.get(id),
+      reason: 'bundled offering is not launched'
+    }));
+  }
+
+  if (offering.id && !ids.includes(offering.id) && await reachesOffering(ids, offering.id)) {
+    details.push({ id: offering.id, reason: 'bundled offerings contain this bundle; bundles cannot form cycles' });
+  }
+
+  if (details.length > 0) {
+    throw bundleError(
+      `Invalid bundle: ${details.map(detail => detail.reason + (detail.id ? ` (${detail.id})` : '')).join('; ')}`,
+      details
+    );
+  }
+  return { ...offering, isBundle: true };
+};
+
+/**
+ * Check a PATCH that touches bundle fields against the merged offering, marking
+ * the updates as a bundle when children are present
+ */
+const validateBundleUpdate = async (current, updates) => {
+  if (!BUNDLE_FIELDS.some(field => field in updates)) return updates;
+
+  const merged = await validateBundle({ ...current, ...updates });
+  if (merged.isBundle && !current.isBundle) updates.isBundle = true;
+  return updates;
+};
+
+const summarizePrice = (price) => ({
+  id: price.id,
+  name: price.name,
+  priceType: price.priceType,
+  unit: price.price?.unit,
+  value: price.price?.value ?? 0
+});
+
+/**
+ * Add `quantity` times each price to a rollup keyed by price type and unit
+ */
+const addToRollup = (rollup, prices, quantity) => {
+  prices.forEach(price => {
+    const key = `${price.priceType || 'unknown'}|${price.unit || ''}`;
+    const entry = rollup.get(key) || { priceType: price.priceType, unit: price.unit, value: 0 };
+    entry.value = Math.round((entry.value + price.value * quantity) * 100) / 100;
+    rollup.set(key, entry);
+  });
+};
+
+/**
+ * A bundle with its children nested under `children`, each with its own prices and a
+ * `priceRollup` of itself and everything below it. Returns null when the offering
+ * does not exist.
+ */
+const expandBundle = async (id, quantity = 1) => {
+  const { ProductOffering, ProductOfferingPrice } = require('../models/AllTMFModels');
+
+  const expandNode = async (offeringId, nodeQuantity, path, option, group) => {
+    const offering = await ProductOffering.findOne({ id: offeringId }).lean();
+    if (!offering) {
+      return { id: offeringId, quantity: nodeQuantity, error: 'bundled offering not found' };
+    }
+
+    const priceIds = (offering.productOfferingPrice || []).map(ref => ref?.id).filter(Boolean);
+    const prices = priceIds.length > 0
+      ? (await ProductOfferingPrice.find({ id: { $in: priceIds } }).lean()).map(summarizePrice)
+      : [];
+
+    const node = {
+      id: offering.id,
+      href: offering.href,
+      name: offering.name,
+      version: offering.version,
+      lifecycleStatus: offering.lifecycleStatus,
+      isBundle: Boolean(offering.isBundle),
+      quantity: nodeQuantity,
+      ...(option ? { bundledProductOfferingOption: option } : {}),
+      ...(group ? { bundledGroupProductOffering: group.name } : {}),
+      productOfferingPrice: prices,
+      children: []
+    };
+
+    const rollup = new Map();
+    addToRollup(rollup, prices, nodeQuantity);
+
+    if (path.length < MAX_BUNDLE_DEPTH) {
+      for (const { ref, group: childGroup } of getBundledRefs(offering)) {
+        if (path.includes(ref.id)) {
+          node.children.push({ id: ref.id, error: 'cyclic bundle reference' });
+          continue;
+        }
+        const child = await expandNode(ref.id, defaultCount(ref, childGroup) * nodeQuantity, [...path, ref.id],
+          ref.bundledProductOfferingOption, childGroup);
+        node.children.push(child);
+        (child.priceRollup || []).forEach(price => addToRollup(rollup, [price], 1));
+      }
+    }
+
+    node.priceRollup = [...rollup.values()];
+    return node;
+  };
+
+  if (!(await ProductOffering.exists({ id }))) return null;
+  return expandNode(id, quantity, [id]);
+};
+
+const bundleRelationships = (item) => (item.productOrderItemRelationship || [])
+  .filter(relationship => relationship?.relationshipType === 'bundles');
+
+/**
+ * Add child order items for bundle items that do not list their children, linking
+ * them with `bundles` relationships, and check the cardinalities of children the
+ * order lists itself. Throws a 422 BundleValidationError for out-of-range counts.
+ */
+const expandOrderItems = async (orderItems = []) => {
+  const { ProductOffering } = require('../models/AllTMFModels');
+
+  const items = orderItems.map(item => ({ ...item }));
+  const byId = new Map(items.map(item => [String(item.id), item]));
+  const depth = new Map();
+  const offerings = new Map();
+  const details = [];
+
+  const loadOffering = async (offeringId) => {
+    if (!offerings.has(offeringId)) {
+      offerings.set(offeringId, await ProductOffering.findOne({ id: offeringId }).lean());
+    }
+    return offerings.get(offeringId);
+  };
+
+  const newItemId = (parent, index) => {
+    let candidate = `${parent.id}.${index}`;
+    for (let suffix = 1; byId.has(candidate); suffix++) candidate = `${parent.id}.${index}-${suffix}`;
+    return candidate;
+  };
+
+  const queue = items.filter(item => item.productOffering?.id && (item.action || 'add') === 'add');
+  while (queue.length > 0) {
+    const item = queue.shift();
+    const offering = await loadOffering(item.productOffering.id);
+    const refs = offering ? getBundledRefs(offering) : [];
+    if (refs.length === 0) continue;
+
+    const itemDepth = depth.get(item.id) || 0;
+    if (itemDepth >= MAX_BUNDLE_DEPTH) {
+      details.push({ productOrderItemId: item.id, reason: 'bundle nesting is too deep or cyclic' });
+      continue;
+    }
+
+    const relationships = [...(item.productOrderItemRelationship || [])];
+    const listed = bundleRelationships(item).map(relationship => byId.get(String(relationship.id))).filter(Boolean);
+    const bundledIds = new Set(refs.map(({ ref }) => ref.id));
+
+    listed.filter(child => !bundledIds.has(child.productOffering?.id)).forEach(child => details.push({
+      productOrderItemId: child.id,
+      productOfferingId: child.productOffering?.id,
+      reason: `offering is not part of bundle ${offering.id}`
+    }));
+
+    let created = 0;
+    for (const { ref, group } of refs) {
+      const count = listed.filter(child => child.productOffering?.id === ref.id).length;
+      const { lower, upper } = limitsOf(ref.bundledProductOfferingOption);
+
+      // Children the order lists itself are only checked; unlisted ones get default items
+      if (count > 0 || listed.length > 0) {
+        if ((lower != null && count < lower) || (upper != null && count > upper)) {
+          details.push({
+            productOrderItemId: item.id,
+            productOfferingId: ref.id,
+            count,
+            reason: `bundle ${offering.id} allows ${lower ?? 0} to ${upper ?? 'any'} items of ${ref.id}`
+          });
+        }
+        continue;
+      }
+
+      for (let n = 0; n < defaultCount(ref, group); n++) {
+        const child = {
+          id: newItemId(item, ++created),
+          quantity: item.quantity || 1,
+          action: 'add',
+          productOffering: {
+            id: ref.id,
+            href: ref.href,
+            name: ref.name,
+            '@type': 'ProductOfferingRef'
+          },
+          '@type': 'ProductOrderItem'
+        };
+        items.push(child);
+        byId.set(child.id, child);
+        depth.set(child.id, itemDepth + 1);
+        relationships.push({ id: child.id, relationshipType: 'bundles', '@type': 'OrderItemRelationship' });
+        queue.push(child);
+      }
+    }
+
+    // Group limits count the children chosen from each group
+    (offering.bundledGroupProductOffering || []).forEach(group => {
+      const option = group?.bundledGroupProductOfferingOption || {};
+      const memberIds = (group?.bundledProductOffering || []).map(ref => ref?.id);
+      const children = [...listed, ...relationships.map(relationship => byId.get(String(relationship.id)))]
+        .filter((child, index, all) => child && all.indexOf(child) === index && memberIds.includes(child.productOffering?.id));
+      const lower = option.numberRelOfferLowerLimit;
+      const upper = option.numberRelOfferUpperLimit;
+      if ((lower != null && children.length < lower) || (upper != null && children.length > upper)) {
+        details.push({
+          productOrderItemId: item.id,
+          group: group?.name,
+          count: children.length,
+          reason: `bundle ${offering.id} group '${group?.name || ''}' allows ${lower ?? 0} to ${upper ?? 'any'} choices`
+        });
+      }
+    });
+
+    listed.forEach(child => depth.set(child.id, itemDepth + 1));
+    item.productOrderItemRelationship = relationships;
+  }
+
+  if (details.length > 0) {
+    throw bundleError(`Invalid bundle order items: ${details.map(detail => detail.reason).join('; ')}`, details);
+  }
+  return items;
+};
+
+module.exports = {
+  getBundledRefs,
+  defaultCount,
+  validateBundle,
+  validateBundleUpdate,
+  expandBundle,
+  expandOrderItems
+};
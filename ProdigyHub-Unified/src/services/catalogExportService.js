@@ -0,0 +1,242 @@
+// src/services/catalogExportService.js - TMF620 ExportJob processing into JSON or CSV files
+//
+// An export query is a `;`-separated list of segments. A segment names a catalog
+// resource, optionally followed by `?` and hub-style `path=value` clauses, e.g.
+// `productOffering?lifecycleStatus=Launched;category`. A segment made only of
+// clauses filters every exported resource. Without resource segments the job's
+// `path` (e.g. `productOffering`) or else the whole catalog is exported.
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config/environment');
+const { parseHubQuery } = require('./hubQueryFilter');
+const { toCsv } = require('../shared/utils/csv');
+
+// Catalog resources and their models, referenced entities before the entities that reference them
+const CATALOG_RESOURCES = {
+  category: 'Category',
+  productSpecification: 'ProductSpecification',
+  productOfferingPrice: 'ProductOfferingPrice',
+  productOffering: 'ProductOffering',
+  productCatalog: 'ProductCatalog'
+};
+
+const CSV_COLUMNS = [
+  { header: 'resource', value: 'resource' },
+  { header: 'id', value: item => item.entity.id },
+  { header: 'href', value: item => item.entity.href },
+  { header: 'name', value: item => item.entity.name },
+  { header: 'version', value: item => item.entity.version },
+  { header: 'lifecycleStatus', value: item => item.entity.lifecycleStatus },
+  { header: 'lastUpdate', value: item => item.entity.lastUpdate },
+  { header: 'json', value: item => JSON.stringify(item.entity) }
+];
+
+/**
+ * Create an error that the API layer reports as 400 Bad Request
+ */
+const invalidExport = (message) => {
+  const error = new Error(`Invalid export query: ${message}`);
+  error.name = 'ExportQueryError';
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Directory export files are written to, relative paths resolved from the project root
+ */
+const getExportDirectory = () => {
+  return path.resolve(__dirname, '..', '..', config.catalogJobs.exportDirectory);
+};
+
+/**
+ * Resolve `productOffering` or `/productCatalogManagement/v5/productOffering` to a resource name
+ */
+const resourceFromPath = (value) => {
+  const name = String(value || '').replace(/\/+$/, '').split('/').pop();
+  return CATALOG_RESOURCES[name] ? name : null;
+};
+
+/**
+ * Query values arrive as text; also match their boolean and numeric forms
+ */
+const clauseToCondition = ({ path: fieldPath, values }) => {
+  const candidates = values.flatMap(value => {
+    const forms = [value];
+    if (value === 'true' || value === 'false') forms.push(value === 'true');
+    if (value.trim() !== '' && !Number.isNaN(Number(value))) forms.push(Number(value));
+    return forms;
+  });
+
+  return { [fieldPath]: { $in: candidates } };
+};
+
+const toMongoFilter = (clauses) => {
+  return clauses.length > 0 ? { $and: clauses.map(clauseToCondition) } : {};
+};
+
+/**
+ * Turn an export query and path into one MongoDB filter per resource, in dependency order.
+ * Throws an error with status 400 when the query is malformed.
+ */
+const parseExportQuery = (query, jobPath) => {
+  if (query !== undefined && query !== null && typeof query !== 'string') {
+    throw invalidExport('query must be a string');
+  }
+
+  const sharedClauses = [];
+  const resourceFilters = new Map();
+
+  (query || '').split(';').map(segment => segment.trim()).filter(Boolean).forEach(segment => {
+    const separator = segment.indexOf('?');
+    let target = segment;
+    let clauses = '';
+    if (separator >= 0) {
+      target = segment.slice(0, separator);
+      clauses = segment.slice(separator + 1);
+    } else if (segment.includes('=')) {
+      target = '';
+      clauses = segment;
+    }
+
+    const parsed = parseHubQuery(clauses, 'export query');
+    if (!target.trim()) {
+      sharedClauses.push(...parsed);
+      return;
+    }
+
+    const resource = resourceFromPath(target.trim());
+    if (!resource) {
+      throw invalidExport(`'${target}' is not an exportable resource (${Object.keys(CATALOG_RESOURCES).join(', ')})`);
+    }
+
+    // Several segments for one resource are alternatives
+    resourceFilters.set(resource, [...(resourceFilters.get(resource) || []), toMongoFilter(parsed)]);
+  });
+
+  if (resourceFilters.size === 0) {
+    const pathResource = jobPath ? resourceFromPath(jobPath) : null;
+    if (jobPath && !pathResource) {
+      throw invalidExport(`path '${jobPath}' is not an exportable resource`);
+    }
+    (pathResource ? [pathResource] : Object.keys(CATALOG_RESOURCES))
+      .forEach(resource => resourceFilters.set(resource, [{}]));
+  }
+
+  return Object.keys(CATALOG_RESOURCES)
+    .filter(resource => resourceFilters.has(resource))
+    .map(resource => {
+      const alternatives = resourceFilters.get(resource);
+      const filters = [
+        alternatives.length === 1 ? alternatives[0] : { $or: alternatives },
+        toMongoFilter(sharedClauses)
+      ].filter(filter => Object.keys(filter).length > 0);
+
+      return { resource, filter: filters.length > 1 ? { $and: filters } : (filters[0] || {}) };
+    });
+};
+
+const getExportFileName = (job) => {
+  return `exportJob-${job.id}.${job.contentType === 'text/csv' ? 'csv' : 'json'}`;
+};
+
+const getExportFilePath = (job) => path.join(getExportDirectory(), getExportFileName(job));
+
+const stripInternalFields = ({ _id, __v, ...entity }) => entity;
+
+/**
+ * Serialize exported content: one JSON document keyed by resource, or one CSV row per entity
+ */
+const serializeExport = (job, content) => {
+  if (job.contentType === 'text/csv') {
+    const rows = Object.entries(content).flatMap(([resource, entities]) =>
+      entities.map(entity => ({ resource, entity })));
+    return toCsv(rows, CSV_COLUMNS);
+  }
+
+  return JSON.stringify({
+    exportJobId: job.id,
+    exportDate: new Date().toISOString(),
+    query: job.query,
+    path: job.path,
+    ...content,
+    '@type': 'CatalogExport'
+  }, null, 2);
+};
+
+/**
+ * Evaluate an export job's query, write the file and record the outcome on the job
+ */
+const runExportJob = async (jobId) => {
+  const models = require('../models/AllTMFModels');
+
+  const job = await models.ExportJob.findOneAndUpdate(
+    { id: jobId, status: { $in: ['NotStarted', 'Running'] } },
+    { $set: { status: 'Running' } },
+    { new: true }
+  );
+  if (!job) return null;
+
+  try {
+    const content = {};
+    for (const { resource, filter } of parseExportQuery(job.query, job.path)) {
+      const entities = await models[CATALOG_RESOURCES[resource]].find(filter).sort({ id: 1 }).lean();
+      content[resource] = entities.map(stripInternalFields);
+    }
+
+    await fs.mkdir(getExportDirectory(), { recursive: true });
+    await fs.writeFile(getExportFilePath(job), serializeExport(job, content));
+
+    job.set({
+      status: 'Succeeded',
+      completionDate: new Date(),
+      url: `${config.server.baseUrl}/productCatalogManagement/v5/exportJob/${job.id}/content`,
+      errorLog: ''
+    });
+    console.log(`✅ Export job ${job.id} wrote ${getExportFileName(job)}`);
+  } catch (error) {
+    console.error(`❌ Export job ${job.id} failed:`, error.message);
+    job.set({
+      status: 'Failed',
+      completionDate: new Date(),
+      errorLog: error.message
+    });
+  }
+
+  await job.save();
+  return job;
+};
+
+/**
+ * Run export jobs left unfinished by a previous process
+ */
+const resumeExportJobs = async () => {
+  const { ExportJob } = require('../models/AllTMFModels');
+
+  const jobs = await ExportJob.find({ status: { $in: ['NotStarted', 'Running'] } }).select('id').lean();
+  for (const job of jobs) {
+    await runExportJob(job.id);
+  }
+  return jobs.length;
+};
+
+/**
+ * Remove a job's export file; a file already gone or never written is not an error
+ */
+const removeExportFile = async (job) => {
+  try {
+    await fs.unlink(getExportFilePath(job));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  CATALOG_RESOURCES,
+  getExportDirectory,
+  parseExportQuery,
+  runExportJob,
+  resumeExportJobs,
+  getExportFileName,
+  getExportFilePath,
+  removeExportFile
+};
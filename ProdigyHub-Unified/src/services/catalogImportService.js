@@ -0,0 +1,371 @@
+// src/services/catalogImportService.js - TMF620 ImportJob processing of JSON or CSV catalog files
+//
+// Files use the layout written by catalogExportService: a JSON document keyed by
+// resource name, or CSV rows with `resource` and `json` columns. Entities are
+// validated against the catalog schemas, their id references are resolved against
+// the file and the database, and valid entities are upserted in dependency order
+// under the same lifecycle and bundle rules as the catalog API. A failing row is
+// reported in the job's errorLog and never aborts the batch.
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config/environment');
+const { parseCsv } = require('../shared/utils/csv');
+const { getOutboundUrlProblem, lookupPublicAddress } = require('../shared/utils/outboundUrl');
+const { CATALOG_RESOURCES, getExportDirectory } = require('./catalogExportService');
+const catalogVersioning = require('./catalogVersioning');
+const catalogLifecycle = require('./catalogLifecycleService');
+const catalogBundles = require('./catalogBundles');
+const { REFERENCES, collectReferences } = require('./catalogReferences');
+
+// '@type' values that identify the resource of an entity in a flat JSON array
+const RESOURCE_BY_TYPE = {
+  Category: 'category',
+  ProductSpecification: 'productSpecification',
+  ProductOfferingPrice: 'productOfferingPrice',
+  ProductOffering: 'productOffering',
+  ProductCatalog: 'productCatalog',
+  Catalog: 'productCatalog'
+};
+
+// Fields owned by the target database rather than the file
+const INTERNAL_FIELDS = ['_id', '__v', 'href', 'createdAt', 'updatedAt'];
+
+// Entities that follow the lifecycleStatus workflow of the catalog API
+const LIFECYCLE_TYPES = ['Category', 'ProductSpecification', 'ProductOffering', 'ProductOfferingPrice'];
+
+/**
+ * Create an error that the API layer reports as 400 Bad Request
+ */
+const invalidImport = (message) => {
+  const error = new Error(`Invalid import job: ${message}`);
+  error.name = 'ImportJobError';
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Resolve an import `path` inside the export directory, rejecting paths that leave it
+ */
+const resolveImportPath = (importPath) => {
+  const directory = getExportDirectory();
+  const filePath = path.resolve(directory, importPath);
+
+  if (!filePath.startsWith(directory + path.sep)) {
+    throw invalidImport(`path '${importPath}' must point to a file inside the export directory`);
+  }
+  return filePath;
+};
+
+/**
+ * Check that an import url is http(s) on an allowed host that is not a private address
+ */
+const validateImportUrl = (importUrl) => {
+  const problem = getOutboundUrlProblem(importUrl, {
+    allowedHosts: config.catalogJobs.importAllowedHosts,
+    setting: 'CATALOG_IMPORT_ALLOWED_HOSTS'
+  });
+  if (problem) {
+    throw invalidImport(problem);
+  }
+};
+
+/**
+ * Check that a job names a readable source. Throws an error with status 400 otherwise.
+ */
+const validateImportSource = (job) => {
+  if (!job.url && !job.path) {
+    throw invalidImport('url or path is required');
+  }
+  if (job.url) {
+    validateImportUrl(job.url);
+  } else {
+    resolveImportPath(job.path);
+  }
+};
+
+/**
+ * Read the file named by the job and report whether it is CSV
+ */
+const loadImportFile = async (job) => {
+  if (job.url) {
+    // Jobs resumed after a restart are checked against the current allow-list
+    validateImportUrl(job.url);
+
+    const response = await axios.get(job.url, {
+      timeout: config.catalogJobs.importTimeout,
+      responseType: 'text',
+      transformResponse: [data => data],
+      lookup: lookupPublicAddress,
+      // A redirect could lead to a host outside the allow-list
+      maxRedirects: 0,
+      maxContentLength: config.catalogJobs.importMaxBytes,
+      maxBodyLength: config.catalogJobs.importMaxBytes
+    });
+    const isCsv = job.contentType
+      ? job.contentType === 'text/csv'
+      : /csv/i.test(response.headers['content-type'] || '') || /\.csv(\?|$)/i.test(job.url);
+    return { text: response.data, isCsv };
+  }
+
+  const filePath = resolveImportPath(job.path);
+  const isCsv = job.contentType ? job.contentType === 'text/csv' : /\.csv$/i.test(filePath);
+  return { text: await fs.readFile(filePath, 'utf8'), isCsv };
+};
+
+/**
+ * Split file content into rows per resource. Rows that cannot be read carry an `error`.
+ */
+const parseImportContent = (text, isCsv) => {
+  const rows = Object.fromEntries(Object.keys(CATALOG_RESOURCES).map(resource => [resource, []]));
+  const unreadable = [];
+
+  const addRow = (resource, entity, line) => {
+    if (!rows[resource]) {
+      unreadable.push({ line, error: `unknown resource '${resource}'` });
+    } else {
+      rows[resource].push({ line, entity });
+    }
+  };
+
+  if (isCsv) {
+    parseCsv(text).forEach((record, index) => {
+      // Line numbers count the header
+      const line = index + 2;
+      const { resource, json, ...columns } = record;
+      if (!json) {
+        return addRow(resource, columns, line);
+      }
+      try {
+        addRow(resource, JSON.parse(json), line);
+      } catch (error) {
+        unreadable.push({ line, error: `json column is not valid JSON (${error.message})` });
+      }
+    });
+    return { rows, unreadable };
+  }
+
+  const document = JSON.parse(text);
+  if (Array.isArray(document)) {
+    document.forEach((entity, index) => addRow(RESOURCE_BY_TYPE[entity?.['@type']] || entity?.['@type'], entity, index + 1));
+  } else {
+    Object.keys(CATALOG_RESOURCES).forEach(resource => {
+      (Array.isArray(document[resource]) ? document[resource] : [])
+        .forEach((entity, index) => addRow(resource, entity, index + 1));
+    });
+  }
+  return { rows, unreadable };
+};
+
+const localHref = (resource, id) => `${config.server.baseUrl}/productCatalogManagement/v5/${resource}/${id}`;
+
+/**
+ * Validate every row against its schema, returning the rows that pass
+ */
+const validateRows = async (rows, models, report) => {
+  const valid = {};
+
+  for (const [resource, resourceRows] of Object.entries(rows)) {
+    valid[resource] = [];
+
+    for (const row of resourceRows) {
+      const entity = { ...row.entity };
+      INTERNAL_FIELDS.forEach(field => delete entity[field]);
+
+      const doc = new models[CATALOG_RESOURCES[resource]](entity);
+      try {
+        await doc.validate();
+        valid[resource].push({ ...row, entity: { ...entity, id: doc.id } });
+      } catch (error) {
+        const messages = error.errors
+          ? Object.values(error.errors).map(e => e.message).join('; ')
+          : error.message;
+        report(resource, row, messages);
+      }
+    }
+  }
+
+  return valid;
+};
+
+/**
+ * Drop rows whose references point to nothing in the file or the database. Repeats
+ * until stable, so a row referencing a dropped row is dropped as well.
+ */
+const resolveReferences = async (valid, models, report) => {
+  // Referenced ids that only the database can provide
+  const existing = {};
+  for (const [resource, references] of Object.entries(REFERENCES)) {
+    for (const reference of references) {
+      const ids = valid[resource].flatMap(row => collectReferences(row.entity, reference).map(entry => entry.id));
+      if (ids.length === 0) continue;
+
+      const found = await models[CATALOG_RESOURCES[reference.target]]
+        .find({ id: { $in: [...new Set(ids)] } })
+        .select('id name')
+        .lean();
+      existing[reference.target] = new Map([...(existing[reference.target] || []), ...found.map(doc => [doc.id, doc])]);
+    }
+  }
+
+  const available = (target, id) => {
+    return valid[target].some(row => row.entity.id === id) || existing[target]?.has(id);
+  };
+
+  let dropped = true;
+  while (dropped) {
+    dropped = false;
+    for (const [resource, references] of Object.entries(REFERENCES)) {
+      valid[resource] = valid[resource].filter(row => {
+        const missing = references.flatMap(reference => collectReferences(row.entity, reference)
+          .filter(entry => !available(reference.target, entry.id))
+          .map(entry => `${reference.field} references unknown ${reference.target} ${entry.id}`));
+
+        if (missing.length === 0) return true;
+        report(resource, row, missing.join('; '));
+        dropped = true;
+        return false;
+      });
+    }
+  }
+
+  // Point refs at this catalog and fill in missing names
+  Object.entries(REFERENCES).forEach(([resource, references]) => {
+    valid[resource].forEach(row => references.forEach(reference => {
+      collectReferences(row.entity, reference).forEach(({ id, ref }) => {
+        if (!ref) return;
+        const target = valid[reference.target].find(candidate => candidate.entity.id === id)?.entity ||
+          existing[reference.target]?.get(id);
+        ref.href = localHref(reference.target, id);
+        if (!ref.name && target?.name) ref.name = target.name;
+      });
+    }));
+  });
+};
+
+/**
+ * Apply the lifecycle and bundle checks of the catalog API to an imported entity, as a
+ * create when `current` is null and as an update otherwise. Returns the entity to write.
+ */
+const checkCatalogRules = async (modelName, current, entity) => {
+  if (!LIFECYCLE_TYPES.includes(modelName)) return entity;
+
+  if (!current) {
+    const created = await catalogLifecycle.validateCatalogCreate(modelName, entity);
+    return modelName === 'ProductOffering' ? catalogBundles.validateBundle(created) : created;
+  }
+
+  await catalogLifecycle.validateCatalogUpdate(modelName, current, entity);
+  if (modelName === 'ProductOffering') {
+    await catalogBundles.validateBundleUpdate(current, entity);
+  }
+  return entity;
+};
+
+/**
+ * Upsert validated rows in dependency order, counting created and updated entities.
+ * Rows that break the lifecycle or bundle rules are reported and skipped.
+ */
+const writeRows = async (valid, models, summary, report, dryRun) => {
+  for (const resource of Object.keys(CATALOG_RESOURCES)) {
+    const Model = models[CATALOG_RESOURCES[resource]];
+
+    for (const row of valid[resource]) {
+      try {
+        const doc = await Model.findOne({ id: row.entity.id });
+        const counter = doc ? 'updated' : 'created';
+        const checked = await checkCatalogRules(Model.modelName, doc ? doc.toObject() : null, { ...row.entity });
+
+        if (!dryRun) {
+          const entity = { ...checked, href: localHref(resource, row.entity.id) };
+
+          // Overwriting a versioned entity keeps its current version in the history
+          if (doc && catalogVersioning.VERSIONED_TYPES.includes(Model.modelName)) {
+            await catalogVersioning.archiveVersion(Model.modelName, doc.toObject());
+            if ((entity.version || '1.0') === (doc.version || '1.0')) {
+              entity.version = catalogVersioning.nextVersion(doc.version || '1.0');
+            }
+          }
+
+          const target = doc || new Model();
+          target.set(entity);
+          await target.save();
+        }
+        summary[resource][counter]++;
+      } catch (error) {
+        report(resource, row, error.message);
+      }
+    }
+  }
+};
+
+/**
+ * Load, validate, resolve and import the file of an import job, recording the outcome on it
+ */
+const runImportJob = async (jobId) => {
+  const models = require('../models/AllTMFModels');
+
+  const job = await models.ImportJob.findOneAndUpdate(
+    { id: jobId, status: { $in: ['NotStarted', 'Running'] } },
+    { $set: { status: 'Running' } },
+    { new: true }
+  );
+  if (!job) return null;
+
+  const errors = [];
+  const summary = {};
+
+  try {
+    const { text, isCsv } = await loadImportFile(job);
+    const { rows, unreadable } = parseImportContent(text, isCsv);
+    unreadable.forEach(({ line, error }) => errors.push(`line ${line}: ${error}`));
+
+    Object.entries(rows).forEach(([resource, resourceRows]) => {
+      summary[resource] = { total: resourceRows.length, created: 0, updated: 0, failed: 0 };
+    });
+
+    const report = (resource, row, message) => {
+      summary[resource].failed++;
+      errors.push(`${resource} ${row.entity?.id || '(no id)'} (${isCsv ? 'line' : 'entry'} ${row.line}): ${message}`);
+    };
+
+    const valid = await validateRows(rows, models, report);
+    await resolveReferences(valid, models, report);
+    await writeRows(valid, models, summary, report, job.dryRun);
+
+    job.set({ status: 'Succeeded' });
+    console.log(`✅ Import job ${job.id}${job.dryRun ? ' (dry run)' : ''} finished with ${errors.length} error(s)`);
+  } catch (error) {
+    console.error(`❌ Import job ${job.id} failed:`, error.message);
+    errors.push(error.message);
+    job.set({ status: 'Failed' });
+  }
+
+  job.set({
+    completionDate: new Date(),
+    summary,
+    errorLog: errors.join('\n')
+  });
+  await job.save();
+  return job;
+};
+
+/**
+ * Run import jobs left unfinished by a previous process
+ */
+const resumeImportJobs = async () => {
+  const { ImportJob } = require('../models/AllTMFModels');
+
+  const jobs = await ImportJob.find({ status: { $in: ['NotStarted', 'Running'] } }).select('id').lean();
+  for (const job of jobs) {
+    await runImportJob(job.id);
+  }
+  return jobs.length;
+};
+
+module.exports = {
+  validateImportSource,
+  parseImportContent,
+  runImportJob,
+  resumeImportJobs
+};
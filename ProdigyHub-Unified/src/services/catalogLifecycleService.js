@@ -0,0 +1,143 @@
+// src/services/catalogLifecycleService.js - Lifecycle checks for TMF620 writes and TMF622 orders
+//
+// The transition table lives in src/api/tmf620/utils/catalogLifecycle.js; this module
+// adds the checks that need the database: an offering can only be launched once its
+// specification, prices and bundled offerings are launched, and new orders can only
+// add launched offerings.
+const {
+  lifecycleError,
+  isLaunched,
+  assertLifecycleTransition,
+  assertInitialStatus,
+  getLockedFieldChanges
+} = require('../api/tmf620/utils/catalogLifecycle');
+const { getBundledRefs } = require('./catalogBundles');
+
+const DEFAULT_STATUS = 'In Study';
+
+const toRefs = (value) => (Array.isArray(value) ? value : [value]).filter(ref => ref?.id);
+
+/**
+ * Referenced entities that keep an offering from being launched, with the reason for each
+ */
+const findLaunchBlockers = async (offering) => {
+  const models = require('../models/AllTMFModels');
+
+  const references = [
+    { type: 'ProductSpecification', refs: toRefs(offering.productSpecification) },
+    { type: 'ProductOfferingPrice', refs: toRefs(offering.productOfferingPrice) },
+    { type: 'ProductOffering', refs: getBundledRefs(offering).map(({ ref }) => ref) }
+  ];
+
+  const blockers = [];
+  for (const { type, refs } of references) {
+    if (refs.length === 0) continue;
+
+    const ids = [...new Set(refs.map(ref => ref.id))];
+    const found = await models[type].find({ id: { $in: ids } }).select('id lifecycleStatus').lean();
+    const statuses = new Map(found.map(entity => [entity.id, entity.lifecycleStatus]));
+
+    ids.forEach(id => {
+      if (!statuses.has(id)) {
+        blockers.push({ '@referredType': type, id, reason: 'not found' });
+      } else if (!isLaunched(statuses.get(id))) {
+        blockers.push({ '@referredType': type, id, lifecycleStatus: statuses.get(id), reason: 'not launched' });
+      }
+    });
+  }
+  return blockers;
+};
+
+const assertLaunchable = async (entityType, entity) => {
+  if (entityType !== 'ProductOffering') return;
+
+  const blockers = await findLaunchBlockers(entity);
+  if (blockers.length > 0) {
+    throw lifecycleError(
+      `ProductOffering cannot be launched: ${blockers.map(b => `${b['@referredType']} ${b.id} is ${b.reason}`).join('; ')}`,
+      422,
+      { details: blockers }
+    );
+  }
+};
+
+/**
+ * Check the initial lifecycleStatus of a new entity, defaulting it to 'In Study'.
+ * Throws a LifecycleError when the status or a launch prerequisite is not met.
+ */
+const validateCatalogCreate = async (entityType, data) => {
+  const status = data.lifecycleStatus || DEFAULT_STATUS;
+  assertInitialStatus(entityType, status);
+
+  if (status === 'Launched') {
+    await assertLaunchable(entityType, data);
+  }
+  return { ...data, lifecycleStatus: status };
+};
+
+/**
+ * Check a PATCH against the current document: the status change must be allowed,
+ * core fields of a launched entity must stay unchanged and launching needs the
+ * launch prerequisites. Throws a LifecycleError otherwise.
+ */
+const validateCatalogUpdate = async (entityType, current, updates) => {
+  const from = current.lifecycleStatus || 'Active';
+  const to = updates.lifecycleStatus ?? from;
+
+  assertLifecycleTransition(entityType, from, to);
+
+  const locked = getLockedFieldChanges({ ...current, lifecycleStatus: from }, updates);
+  if (locked.length > 0) {
+    throw lifecycleError(
+      `${entityType} ${current.id} is ${from}; these fields can no longer change: ${locked.join(', ')}`,
+      409,
+      { currentStatus: from, lockedFields: locked }
+    );
+  }
+
+  if (to === 'Launched' && from !== 'Launched') {
+    await assertLaunchable(entityType, { ...current, ...updates });
+  }
+};
+
+/**
+ * Reject new order items that add an offering that is not launched: still in study or
+ * design, or already retired or obsolete. Offerings without a lifecycleStatus predate
+ * the workflow and count as Active.
+ */
+const assertOrderableOfferings = async (orderItems = []) => {
+  const { ProductOffering } = require('../models/AllTMFModels');
+
+  const added = orderItems.filter(item => item?.productOffering?.id && (item.action || 'add') === 'add');
+  if (added.length === 0) return;
+
+  const offerings = await ProductOffering
+    .find({ id: { $in: [...new Set(added.map(item => item.productOffering.id))] } })
+    .select('id name lifecycleStatus')
+    .lean();
+
+  const unlaunched = offerings.filter(offering => !isLaunched(offering.lifecycleStatus || 'Active'));
+  if (unlaunched.length === 0) return;
+
+  const statuses = new Map(unlaunched.map(offering => [offering.id, offering]));
+  const details = added
+    .filter(item => statuses.has(item.productOffering.id))
+    .map(item => ({
+      productOrderItemId: item.id,
+      productOfferingId: item.productOffering.id,
+      lifecycleStatus: statuses.get(item.productOffering.id).lifecycleStatus
+    }));
+
+  throw lifecycleError(
+    `Only launched product offerings can be ordered: ${unlaunched.map(offering => `${offering.id} is ${offering.lifecycleStatus}`).join(', ')}`,
+    422,
+    { details }
+  );
+};
+
+module.exports = {
+  findLaunchBlockers,
+  validateCatalogCreate,
+  validateCatalogUpdate,
+  assertOrderableOfferings
+};
@@ -0,0 +1,213 @@
+// src/services/catalogReferences.js - Referential integrity between TMF620 catalog entities
+//
+// Catalog entities point to each other with `{id, name}` refs, or plain ids for the
+// category tree. Writes are checked so they cannot introduce references to missing
+// entities, deletes are blocked while other entities still reference the target
+// (or, with cascade, those references are removed first), and scanCatalog reports
+// the broken references already stored.
+const { CATALOG_RESOURCES } = require('./catalogExportService');
+const catalogVersioning = require('./catalogVersioning');
+
+// id references between catalog entities; `scalar` fields hold plain ids instead of refs.
+// `derived` references mirror another one and are maintained by categoryTree, so they
+// never block a delete.
+const REFERENCES = {
+  category: [
+    { field: 'parentId', target: 'category', scalar: true },
+    { field: 'subCategory', target: 'category', scalar: true, derived: true }
+  ],
+  productSpecification: [],
+  productOfferingPrice: [],
+  productOffering: [
+    { field: 'category', target: 'category' },
+    { field: 'productSpecification', target: 'productSpecification' },
+    { field: 'productOfferingPrice', target: 'productOfferingPrice' },
+    { field: 'bundledProductOffering', target: 'productOffering' }
+  ],
+  productCatalog: [
+    { field: 'category', target: 'category' }
+  ]
+};
+
+/**
+ * Create an error that the API layer reports with the given status (409 or 422)
+ */
+const referenceError = (message, status, details = {}) => {
+  const error = new Error(message);
+  error.name = 'ReferenceIntegrityError';
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * Referenced ids of one reference field, with the ref objects that carry them
+ */
+const collectReferences = (entity, reference) => {
+  const value = entity[reference.field];
+  if (value === undefined || value === null || value === '') return [];
+
+  const entries = Array.isArray(value) ? value : [value];
+  return entries
+    .map(entry => reference.scalar ? { id: entry, ref: null } : { id: entry?.id, ref: entry })
+    .filter(entry => entry.id);
+};
+
+const modelFor = (resource) => require('../models/AllTMFModels')[CATALOG_RESOURCES[resource]];
+
+/**
+ * References of `entity` that point to nothing. Only the reference fields present
+ * on `entity` are checked, so a partial update is checked for what it changes.
+ */
+const findDanglingReferences = async (resource, entity) => {
+  const dangling = [];
+
+  for (const reference of REFERENCES[resource] || []) {
+    const ids = [...new Set(collectReferences(entity, reference).map(entry => entry.id))];
+    if (ids.length === 0) continue;
+
+    const found = await modelFor(reference.target).find({ id: { $in: ids } }).distinct('id');
+    ids.filter(id => !found.includes(id)).forEach(id => dangling.push({
+      field: reference.field,
+      '@referredType': CATALOG_RESOURCES[reference.target],
+      id
+    }));
+  }
+  return dangling;
+};
+
+/**
+ * Throw a 422 ReferenceIntegrityError listing the dangling ids of `entity`, if any
+ */
+const assertReferencesExist = async (resource, entity) => {
+  const dangling = await findDanglingReferences(resource, entity);
+  if (dangling.length > 0) {
+    throw referenceError(
+      `${CATALOG_RESOURCES[resource]} references entities that do not exist: ${dangling.map(d => `${d.field} ${d.id}`).join(', ')}`,
+      422,
+      { details: dangling }
+    );
+  }
+};
+
+/**
+ * Entities holding a reference to the `resource` with the given id
+ */
+const findReferrers = async (resource, id) => {
+  const referrers = [];
+
+  for (const [source, references] of Object.entries(REFERENCES)) {
+    for (const reference of references.filter(candidate => candidate.target === resource && !candidate.derived)) {
+      const path = reference.scalar ? reference.field : `${reference.field}.id`;
+      const docs = await modelFor(source)
+        .find({ [path]: id, ...(source === resource ? { id: { $ne: id } } : {}) })
+        .select('id name')
+        .lean();
+
+      docs.forEach(doc => referrers.push({
+        '@referredType': CATALOG_RESOURCES[source],
+        id: doc.id,
+        name: doc.name,
+        field: reference.field
+      }));
+    }
+  }
+  return referrers;
+};
+
+/**
+ * Remove the references to `id` held in one referrer field. Versioned entities get a new version.
+ */
+const unlinkReference = async (source, reference, referrerId, id) => {
+  const Model = modelFor(source);
+  const doc = await Model.findOne({ id: referrerId }).lean();
+  if (!doc) return;
+
+  const value = doc[reference.field];
+  const remaining = Array.isArray(value)
+    ? value.filter(entry => (reference.scalar ? entry : entry?.id) !== id)
+    : null;
+
+  if (catalogVersioning.VERSIONED_TYPES.includes(Model.modelName)) {
+    await catalogVersioning.updateVersioned(Model.modelName, referrerId, { [reference.field]: remaining }, { strict: false });
+  } else {
+    await Model.updateOne({ id: referrerId }, { $set: { [reference.field]: remaining, lastUpdate: new Date() } });
+  }
+};
+
+/**
+ * Make the entity safe to delete. Throws a 409 ReferenceIntegrityError while it is still
+ * referenced, unless `cascade` is set, in which case the references are removed.
+ * Returns the referrers that were updated.
+ */
+const releaseReferences = async (resource, id, { cascade = false } = {}) => {
+  const referrers = await findReferrers(resource, id);
+  if (referrers.length === 0) return [];
+
+  if (!cascade) {
+    throw referenceError(
+      `${CATALOG_RESOURCES[resource]} ${id} is still referenced by ${referrers.length} entit${referrers.length === 1 ? 'y' : 'ies'}; remove the references or delete with ?cascade=true`,
+      409,
+      { referencedBy: referrers }
+    );
+  }
+
+  for (const referrer of referrers) {
+    const source = Object.keys(CATALOG_RESOURCES).find(key => CATALOG_RESOURCES[key] === referrer['@referredType']);
+    const reference = REFERENCES[source].find(candidate => candidate.field === referrer.field && candidate.target === resource);
+    await unlinkReference(source, reference, referrer.id, id);
+  }
+  return referrers;
+};
+
+/**
+ * Check every stored catalog reference, reporting the ones that point to nothing
+ */
+const scanCatalog = async () => {
+  const ids = {};
+  for (const resource of Object.keys(CATALOG_RESOURCES)) {
+    ids[resource] = new Set(await modelFor(resource).distinct('id'));
+  }
+
+  const brokenReferences = [];
+  for (const [resource, references] of Object.entries(REFERENCES)) {
+    if (references.length === 0) continue;
+
+    const entities = await modelFor(resource)
+      .find({})
+      .select(['id', 'name', ...references.map(reference => reference.field)].join(' '))
+      .lean();
+
+    entities.forEach(entity => references.forEach(reference => {
+      collectReferences(entity, reference)
+        .filter(entry => !ids[reference.target].has(entry.id))
+        .forEach(entry => brokenReferences.push({
+          '@type': CATALOG_RESOURCES[resource],
+          id: entity.id,
+          name: entity.name,
+          field: reference.field,
+          '@referredType': CATALOG_RESOURCES[reference.target],
+          referredId: entry.id
+        }));
+    }));
+  }
+
+  return {
+    scanDate: new Date().toISOString(),
+    checked: Object.fromEntries(Object.entries(ids).map(([resource, set]) => [resource, set.size])),
+    brokenReferenceCount: brokenReferences.length,
+    brokenReferences,
+    '@type': 'CatalogIntegrityReport'
+  };
+};
+
+module.exports = {
+  REFERENCES,
+  referenceError,
+  collectReferences,
+  findDanglingReferences,
+  assertReferencesExist,
+  findReferrers,
+  releaseReferences,
+  scanCatalog
+};
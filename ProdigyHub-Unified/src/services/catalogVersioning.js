@@ -0,0 +1,195 @@
+// src/services/catalogVersioning.js - Versioned updates and immutable history for TMF620 entities
+//
+// The entity collections always hold the current version. Every PATCH first copies
+// the current document into the catalogentityversions history, then writes the
+// change under a new version. History entries are never updated or removed, so an
+// order that pinned `productOffering.version` keeps resolving after later changes.
+const { v4: uuidv4 } = require('uuid');
+
+const VERSIONED_TYPES = ['ProductOffering', 'ProductSpecification', 'ProductOfferingPrice'];
+
+// Documents created before versioning have no version and count as the schema default
+const INITIAL_VERSION = '1.0';
+
+/**
+ * Create an error that the API layer reports as 409 Conflict
+ */
+const versionConflict = (message) => {
+  const error = new Error(message);
+  error.name = 'VersionConflictError';
+  error.status = 409;
+  return error;
+};
+
+/**
+ * Next version after `current`: '1.0' → '1.1', '2' → '2.1', otherwise '.1' is appended
+ */
+const nextVersion = (current = INITIAL_VERSION) => {
+  const text = String(current);
+  const match = text.match(/^(\d+)\.(\d+)$/);
+  if (match) return `${match[1]}.${parseInt(match[2]) + 1}`;
+  return `${text}.1`;
+};
+
+const toSnapshot = ({ _id, __v, ...entity }) => ({ ...entity, version: entity.version || INITIAL_VERSION });
+
+/**
+ * Copy a document into the history. An entry for the same version is kept as it is.
+ */
+const archiveVersion = async (entityType, entity, validTo = new Date()) => {
+  const { CatalogEntityVersion } = require('../models/AllTMFModels');
+  const snapshot = toSnapshot(entity);
+
+  try {
+    await CatalogEntityVersion.create({
+      id: uuidv4(),
+      entityType,
+      entityId: snapshot.id,
+      version: snapshot.version,
+      snapshot,
+      validFrom: snapshot.lastUpdate || snapshot.createdAt,
+      validTo
+    });
+  } catch (error) {
+    // Already archived, e.g. by an earlier attempt that lost a concurrent update
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Apply a PATCH as a new version. A `version` in the updates is used when it is new,
+ * otherwise the version is bumped. `options.beforeUpdate(current)` may reject the
+ * change by throwing. Returns null when the entity does not exist.
+ */
+const updateVersioned = async (entityType, id, updates, options = {}) => {
+  const models = require('../models/AllTMFModels');
+  const Model = models[entityType];
+  const { beforeUpdate, ...queryOptions } = options;
+
+  const current = await Model.findOne({ id }).lean();
+  if (!current) return null;
+
+  if (beforeUpdate) {
+    await beforeUpdate(current);
+  }
+
+  const currentVersion = current.version || INITIAL_VERSION;
+  const requestedVersion = updates.version !== undefined && updates.version !== null
+    ? String(updates.version)
+    : null;
+  const version = requestedVersion && requestedVersion !== currentVersion
+    ? requestedVersion
+    : nextVersion(currentVersion);
+
+  if (await models.CatalogEntityVersion.exists({ entityType, entityId: id, version })) {
+    throw versionConflict(`${entityType} ${id} already has a version ${version}`);
+  }
+
+  const now = new Date();
+  await archiveVersion(entityType, current, now);
+
+  // Only replace the version we archived; a concurrent PATCH makes this one retry
+  const updated = await Model.findOneAndUpdate(
+    { id, version: current.version ?? null },
+    { $set: { ...updates, version, lastUpdate: now } },
+    { new: true, runValidators: true, ...queryOptions }
+  );
+
+  if (!updated) {
+    throw versionConflict(`${entityType} ${id} was modified concurrently; retry the update`);
+  }
+  return updated;
+};
+
+/**
+ * An entity as it was at `version`, or the current document when no version is given.
+ * Returns null when neither the entity nor that version exists.
+ */
+const resolveVersion = async (entityType, id, version) => {
+  const models = require('../models/AllTMFModels');
+
+  const current = await models[entityType].findOne({ id }).lean();
+  if (version === undefined || version === null || version === '') {
+    return current ? toSnapshot(current) : null;
+  }
+  if (current && (current.version || INITIAL_VERSION) === String(version)) {
+    return toSnapshot(current);
+  }
+
+  const entry = await models.CatalogEntityVersion
+    .findOne({ entityType, entityId: id, version: String(version) })
+    .lean();
+  return entry ? entry.snapshot : null;
+};
+
+/**
+ * Every known version of an entity, oldest first, the current one last.
+ * Returns null when the entity never existed.
+ */
+const listVersions = async (entityType, id) => {
+  const models = require('../models/AllTMFModels');
+
+  const [current, history] = await Promise.all([
+    models[entityType].findOne({ id }).lean(),
+    models.CatalogEntityVersion.find({ entityType, entityId: id }).sort({ createdAt: 1 }).lean()
+  ]);
+  if (!current && history.length === 0) return null;
+
+  const versions = history.map(entry => ({
+    version: entry.version,
+    lifecycleStatus: entry.snapshot.lifecycleStatus,
+    lastUpdate: entry.snapshot.lastUpdate,
+    validFrom: entry.validFrom,
+    validTo: entry.validTo,
+    isCurrent: false,
+    href: entry.snapshot.href ? `${entry.snapshot.href}?version=${encodeURIComponent(entry.version)}` : undefined
+  }));
+
+  if (current) {
+    const currentVersion = current.version || INITIAL_VERSION;
+    versions.push({
+      version: currentVersion,
+      lifecycleStatus: current.lifecycleStatus,
+      lastUpdate: current.lastUpdate,
+      validFrom: current.lastUpdate || current.createdAt,
+      isCurrent: true,
+      href: current.href ? `${current.href}?version=${encodeURIComponent(currentVersion)}` : undefined
+    });
+  }
+
+  return versions;
+};
+
+/**
+ * Record the current catalog version on order item offering refs that do not name one,
+ * so the order keeps resolving the offering it was placed against
+ */
+const pinOfferingVersions = async (orderItems = []) => {
+  const { ProductOffering } = require('../models/AllTMFModels');
+
+  const unpinned = orderItems.filter(item => item?.productOffering?.id && !item.productOffering.version);
+  if (unpinned.length === 0) return orderItems;
+
+  const offerings = await ProductOffering
+    .find({ id: { $in: [...new Set(unpinned.map(item => item.productOffering.id))] } })
+    .select('id version')
+    .lean();
+  const versions = new Map(offerings.map(offering => [offering.id, offering.version || INITIAL_VERSION]));
+
+  unpinned.forEach(item => {
+    if (versions.has(item.productOffering.id)) {
+      item.productOffering.version = versions.get(item.productOffering.id);
+    }
+  });
+  return orderItems;
+};
+
+module.exports = {
+  VERSIONED_TYPES,
+  nextVersion,
+  archiveVersion,
+  updateVersioned,
+  resolveVersion,
+  listVersions,
+  pinOfferingVersions
+};
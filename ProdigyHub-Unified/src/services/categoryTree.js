@@ -0,0 +1,222 @@
+// src/services/categoryTree.js - TMF620 category hierarchy operations
+//
+// `parentId` is the source of truth for the tree; a parent's `subCategory` ids and
+// `isRoot` are kept in line with it. Writes that touch either side go through
+// prepareTreeUpdate (cycle and parent checks, no writes) and then syncTree, which
+// updates the parent and child categories on the other side of the change.
+const { referenceError } = require('./catalogReferences');
+
+const getCategoryModel = () => require('../models/AllTMFModels').Category;
+
+const stripInternalFields = ({ _id, __v, ...category }) => category;
+
+/**
+ * Ids of every category below `id`, breadth first. Stops at categories already seen,
+ * so cycles in stored data do not loop forever.
+ */
+const getDescendantIds = async (id) => {
+  const Category = getCategoryModel();
+  const seen = new Set([id]);
+  const descendants = [];
+  let frontier = [id];
+
+  while (frontier.length > 0) {
+    const children = await Category.find({ parentId: { $in: frontier } }).distinct('id');
+    frontier = children.filter(child => !seen.has(child));
+    frontier.forEach(child => {
+      seen.add(child);
+      descendants.push(child);
+    });
+  }
+  return descendants;
+};
+
+/**
+ * The categories above `id`, root first. Returns null when the category does not exist.
+ */
+const getAncestors = async (id) => {
+  const Category = getCategoryModel();
+
+  const category = await Category.findOne({ id }).lean();
+  if (!category) return null;
+
+  const ancestors = [];
+  const seen = new Set([id]);
+  let parentId = category.parentId;
+
+  while (parentId && !seen.has(parentId)) {
+    seen.add(parentId);
+    const parent = await Category.findOne({ id: parentId }).lean();
+    if (!parent) break;
+    ancestors.unshift(stripInternalFields(parent));
+    parentId = parent.parentId;
+  }
+  return ancestors;
+};
+
+/**
+ * A category with its descendants nested under `children`, down to `depth` levels
+ * when given. Returns null when the category does not exist.
+ */
+const getSubtree = async (id, depth) => {
+  const Category = getCategoryModel();
+
+  const root = await Category.findOne({ id }).lean();
+  if (!root) return null;
+
+  const tree = { ...stripInternalFields(root), children: [] };
+  const seen = new Set([id]);
+  let level = [tree];
+
+  for (let current = 0; level.length > 0 && (depth === undefined || current < depth); current++) {
+    const byId = new Map(level.map(node => [node.id, node]));
+    const children = await Category
+      .find({ parentId: { $in: [...byId.keys()] } })
+      .sort({ name: 1 })
+      .lean();
+
+    level = children
+      .filter(child => !seen.has(child.id))
+      .map(child => {
+        seen.add(child.id);
+        const node = { ...stripInternalFields(child), children: [] };
+        byId.get(child.parentId).children.push(node);
+        return node;
+      });
+  }
+  return tree;
+};
+
+/**
+ * Check the tree fields of a category write and derive `isRoot` from `parentId`.
+ * `current` is the stored category, or `{ id }` for a new one. Throws a 422
+ * ReferenceIntegrityError for a missing parent or a change that would create a cycle.
+ */
+const prepareTreeUpdate = async (current, updates) => {
+  const Category = getCategoryModel();
+  const prepared = { ...updates };
+  const parentId = 'parentId' in updates ? updates.parentId || null : current.parentId || null;
+
+  const cycle = (message, ids) => referenceError(
+    `Category ${current.id} ${message}; the category tree cannot contain cycles`,
+    422,
+    { details: ids.map(id => ({ field: 'parentId' in updates ? 'parentId' : 'subCategory', '@referredType': 'Category', id })) }
+  );
+
+  if ('parentId' in updates) {
+    if (parentId === current.id) {
+      throw cycle('cannot be its own parent', [parentId]);
+    }
+    if (parentId) {
+      if (!(await Category.exists({ id: parentId }))) {
+        throw referenceError(`Parent category ${parentId} does not exist`, 422, {
+          details: [{ field: 'parentId', '@referredType': 'Category', id: parentId }]
+        });
+      }
+      if ((await getDescendantIds(current.id)).includes(parentId)) {
+        throw cycle(`cannot move below its own descendant ${parentId}`, [parentId]);
+      }
+    }
+    prepared.parentId = parentId;
+    prepared.isRoot = !parentId;
+  }
+
+  if (Array.isArray(updates.subCategory)) {
+    // A new child must not be this category or any category above it
+    const above = new Set([current.id]);
+    if (parentId) {
+      above.add(parentId);
+      (await getAncestors(parentId) || []).forEach(ancestor => above.add(ancestor.id));
+    }
+    const invalid = updates.subCategory.filter(childId => above.has(childId));
+    if (invalid.length > 0) {
+      throw cycle(`cannot list its own ancestors as subCategory (${invalid.join(', ')})`, invalid);
+    }
+    prepared.subCategory = [...new Set(updates.subCategory)];
+  }
+
+  return prepared;
+};
+
+/**
+ * Bring the categories around a written category in line with it. `before` is the
+ * category as it was, or null when it was just created.
+ */
+const syncTree = async (before, after) => {
+  const Category = getCategoryModel();
+  const now = new Date();
+
+  const oldParent = before?.parentId || null;
+  const newParent = after.parentId || null;
+  if (oldParent !== newParent) {
+    if (oldParent) {
+      await Category.updateOne({ id: oldParent }, { $pull: { subCategory: after.id }, $set: { lastUpdate: now } });
+    }
+    if (newParent) {
+      await Category.updateOne({ id: newParent }, { $addToSet: { subCategory: after.id }, $set: { lastUpdate: now } });
+    }
+  }
+
+  const oldChildren = before?.subCategory || [];
+  const newChildren = after.subCategory || [];
+  const added = newChildren.filter(childId => !oldChildren.includes(childId));
+  const removed = oldChildren.filter(childId => !newChildren.includes(childId));
+
+  if (added.length > 0) {
+    // Children taken over from another parent leave that parent's subCategory
+    const moved = await Category.find({ id: { $in: added }, parentId: { $nin: [null, after.id] } }).select('id parentId').lean();
+    for (const child of moved) {
+      await Category.updateOne({ id: child.parentId }, { $pull: { subCategory: child.id }, $set: { lastUpdate: now } });
+    }
+    await Category.updateMany({ id: { $in: added } }, { $set: { parentId: after.id, isRoot: false, lastUpdate: now } });
+  }
+
+  if (removed.length > 0) {
+    await Category.updateMany({ id: { $in: removed }, parentId: after.id }, { $set: { parentId: null, isRoot: true, lastUpdate: now } });
+  }
+};
+
+/**
+ * Remove a deleted category from its parent's subCategory and make its remaining children roots
+ */
+const detachCategory = async (category) => {
+  const Category = getCategoryModel();
+  const now = new Date();
+
+  await Category.updateMany({ subCategory: category.id }, { $pull: { subCategory: category.id }, $set: { lastUpdate: now } });
+  await Category.updateMany(
+    { $or: [{ parentId: category.id }, { id: { $in: category.subCategory || [] }, parentId: null }] },
+    { $set: { parentId: null, isRoot: true, lastUpdate: now } }
+  );
+};
+
+/**
+ * Move a category and its subtree below `parentId`, or to the top level when it is null.
+ * Returns null when the category does not exist.
+ */
+const moveCategory = async (id, parentId) => {
+  const Category = getCategoryModel();
+
+  const current = await Category.findOne({ id }).lean();
+  if (!current) return null;
+
+  const updates = await prepareTreeUpdate(current, { parentId: parentId || null });
+  const moved = await Category.findOneAndUpdate(
+    { id },
+    { $set: { ...updates, lastUpdate: new Date() } },
+    { new: true, runValidators: true }
+  );
+
+  await syncTree(current, moved.toObject());
+  return moved;
+};
+
+module.exports = {
+  getDescendantIds,
+  getAncestors,
+  getSubtree,
+  prepareTreeUpdate,
+  syncTree,
+  detachCategory,
+  moveCategory
+};
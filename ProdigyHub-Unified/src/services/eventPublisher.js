@@ -0,0 +1,73 @@
+// src/services/eventPublisher.js - Persist TMF688 events and hand them to hub delivery
+const { dispatchEvent } = require('./hubDeliveryService');
+const { getExpiresAt } = require('./eventRetention');
+
+/**
+ * Plain snapshot of a resource for an event payload, without MongoDB internals
+ */
+const toEventSnapshot = (resource) => {
+  if (!resource) return resource;
+
+  const snapshot = typeof resource.toObject === 'function'
+    ? resource.toObject()
+    : JSON.parse(JSON.stringify(resource));
+
+  delete snapshot._id;
+  delete snapshot.__v;
+  return snapshot;
+};
+
+/**
+ * Store an event through the TMF688 Event model and dispatch it to subscribed hubs.
+ * Publishing never throws: a failure is logged and null is returned so the
+ * business operation that raised the event is not rolled back.
+ */
+const publishEvent = async (eventData) => {
+  try {
+    const { Event } = require('../models/AllTMFModels');
+
+    const eventTime = eventData.eventTime || new Date();
+    const event = new Event({
+      ...eventData,
+      eventTime,
+      expiresAt: await getExpiresAt({ ...eventData, eventTime }),
+      '@type': 'Event'
+    });
+    await event.save();
+
+    console.log(`📢 Event published: ${event.eventType} (${event.id})`);
+    dispatchEvent(event);
+
+    return event;
+  } catch (error) {
+    console.error(`❌ Failed to publish ${eventData.eventType}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Publish a TMF resource notification such as ProductOrderStateChangeEvent,
+ * wrapping the resource under `event.<resourceName>`.
+ */
+const publishResourceEvent = (eventType, resourceName, resource, options = {}) => {
+  const snapshot = toEventSnapshot(resource);
+
+  return publishEvent({
+    eventType,
+    domain: options.domain,
+    title: options.title || eventType,
+    description: options.description,
+    priority: options.priority,
+    correlationId: options.correlationId || snapshot?.id,
+    fieldPath: options.fieldPath,
+    relatedParty: snapshot?.relatedParty || [],
+    source: snapshot?.id ? { id: snapshot.id, href: snapshot.href, '@referredType': snapshot['@type'] } : undefined,
+    event: { [resourceName]: snapshot }
+  });
+};
+
+module.exports = {
+  toEventSnapshot,
+  publishEvent,
+  publishResourceEvent
+};
@@ -0,0 +1,73 @@
+// src/services/eventRetention.js - Per-topic retention of stored TMF688 events
+//
+// An event belongs to the topic named after its eventType, or else to the topic named
+// after its domain. That topic's retentionDays, or events.defaultRetentionDays when no
+// topic sets one, fixes the event's expiresAt and MongoDB's TTL index on expiresAt
+// removes the event afterwards. With no retention at all the event is kept.
+const config = require('../config/environment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention of `names` in order of precedence: the first name with a topic that sets
+ * retentionDays wins. When several topics share that name the longest retention applies.
+ */
+const findRetentionDays = async (names) => {
+  const { Topic } = require('../models/AllTMFModels');
+  const candidates = [...new Set(names.filter(Boolean))];
+
+  const topics = candidates.length > 0
+    ? await Topic.find({ name: { $in: candidates }, retentionDays: { $gte: 1 } }).select('name retentionDays').lean()
+    : [];
+
+  for (const name of candidates) {
+    const days = topics.filter(topic => topic.name === name).map(topic => topic.retentionDays);
+    if (days.length > 0) return Math.max(...days);
+  }
+  return config.events.defaultRetentionDays || null;
+};
+
+/**
+ * When an event expires, or null when it is kept forever
+ */
+const getExpiresAt = async (event) => {
+  const days = await findRetentionDays([event.eventType, event.domain]);
+  if (!days) return null;
+
+  const eventTime = event.eventTime ? new Date(event.eventTime) : new Date();
+  return new Date(eventTime.getTime() + days * DAY_MS);
+};
+
+/**
+ * Re-stamp expiresAt on the stored events of the topics named `names` after a topic
+ * was created, changed or deleted. Returns the number of events updated.
+ */
+const applyTopicRetention = async (names) => {
+  const { Event } = require('../models/AllTMFModels');
+  const affected = [...new Set([].concat(names).filter(Boolean))];
+  if (affected.length === 0) return 0;
+
+  // Events are grouped by the (eventType, domain) pair that decides their retention
+  const groups = await Event.aggregate([
+    { $match: { $or: [{ eventType: { $in: affected } }, { domain: { $in: affected } }] } },
+    { $group: { _id: { eventType: '$eventType', domain: '$domain' } } }
+  ]);
+
+  let updated = 0;
+  for (const { _id: { eventType, domain } } of groups) {
+    const days = await findRetentionDays([eventType, domain]);
+    const update = days
+      ? [{ $set: { expiresAt: { $add: [{ $ifNull: ['$eventTime', '$createdAt'] }, days * DAY_MS] } } }]
+      : { $unset: { expiresAt: 1 } };
+
+    const result = await Event.updateMany({ eventType, domain: domain ?? null }, update);
+    updated += result.modifiedCount;
+  }
+  return updated;
+};
+
+module.exports = {
+  findRetentionDays,
+  getExpiresAt,
+  applyTopicRetention
+};
@@ -0,0 +1,205 @@
+// src/services/hubDeliveryService.js - HTTP webhook delivery for TMF688 hub listeners
+const axios = require('axios');
+const config = require('../config/environment');
+const { parseHubQuery, matchesHubQuery } = require('./hubQueryFilter');
+const { getOutboundUrlProblem, lookupPublicAddress } = require('../shared/utils/outboundUrl');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Build the TMF688 notification body that is POSTed to a listener callback
+ */
+const buildNotification = (event) => {
+  const source = typeof event.toObject === 'function' ? event.toObject() : event;
+
+  return {
+    eventId: source.eventId || source.id,
+    eventTime: source.eventTime || new Date().toISOString(),
+    eventType: source.eventType,
+    correlationId: source.correlationId,
+    domain: source.domain,
+    fieldPath: source.fieldPath,
+    title: source.title,
+    description: source.description,
+    priority: source.priority,
+    timeOccurred: source.timeOccurred,
+    event: source.event
+  };
+};
+
+/**
+ * Turn an axios error into a short, storable message
+ */
+const describeError = (error) => {
+  if (!error) return 'Unknown error';
+  if (error.response) {
+    return `HTTP ${error.response.status} ${error.response.statusText || ''}`.trim();
+  }
+  return error.code ? `${error.code}: ${error.message}` : error.message;
+};
+
+/**
+ * Why a hub callback must not be registered, or null when it may: an http(s) url on a
+ * public host, limited to events.hubAllowedHosts when that list is set
+ */
+const getCallbackProblem = (callback) => {
+  const { hubAllowedHosts } = config.events;
+  return getOutboundUrlProblem(callback, {
+    allowedHosts: hubAllowedHosts.length > 0 ? hubAllowedHosts : null,
+    field: 'callback',
+    setting: 'HUB_CALLBACK_ALLOWED_HOSTS'
+  });
+};
+
+/**
+ * POST a notification to a single callback, retrying with exponential backoff
+ */
+const postWithRetry = async (callback, notification, options = {}) => {
+  const maxRetries = options.maxRetries ?? config.events.maxNotificationRetries;
+  const baseDelay = options.baseDelay ?? config.events.notificationRetryBaseDelay;
+  const timeout = options.timeout ?? config.events.hubCallbackTimeout;
+
+  let attempts = 0;
+  let lastError;
+
+  // Hubs stored before the callback checks existed, or an allow-list that changed since
+  const problem = getCallbackProblem(callback);
+  if (problem) {
+    return { status: 'failed', attempts, error: problem };
+  }
+
+  while (attempts <= maxRetries) {
+    attempts++;
+
+    try {
+      const response = await axios.post(callback, notification, {
+        timeout,
+        headers: { 'Content-Type': 'application/json' },
+        // The connected address is checked too, and a redirect could lead anywhere
+        lookup: lookupPublicAddress,
+        maxRedirects: 0
+      });
+
+      return { status: 'delivered', attempts, statusCode: response.status };
+    } catch (error) {
+      lastError = error;
+      console.warn(`⚠️ Delivery to ${callback} failed (attempt ${attempts}/${maxRetries + 1}): ${describeError(error)}`);
+
+      if (attempts <= maxRetries) {
+        await sleep(baseDelay * Math.pow(2, attempts - 1));
+      }
+    }
+  }
+
+  return { status: 'failed', attempts, error: describeError(lastError) };
+};
+
+/**
+ * Persist a notification that exhausted its retries so it can be inspected and replayed
+ */
+const recordDeadLetter = async (hub, notification, result) => {
+  const { DeadLetterEvent } = require('../models/AllTMFModels');
+
+  return DeadLetterEvent.create({
+    eventId: notification.eventId,
+    eventType: notification.eventType,
+    hubId: hub.id,
+    callback: hub.callback,
+    notification,
+    attempts: result.attempts,
+    lastError: result.error,
+    lastAttemptDate: new Date()
+  });
+};
+
+/**
+ * Check a hub's domain scope and subscription query against a notification
+ */
+const hubAcceptsNotification = (hub, notification) => {
+  if (hub.domain && notification.domain && hub.domain !== notification.domain) {
+    return false;
+  }
+
+  let filter = hub.queryFilter;
+  if (!filter && hub.query) {
+    try {
+      filter = parseHubQuery(hub.query);
+    } catch (error) {
+      console.warn(`⚠️ Skipping hub ${hub.id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  return matchesHubQuery(filter, notification);
+};
+
+/**
+ * Deliver an event to every subscribed hub. When no hubs are given, all registered TMF688 hubs are used.
+ */
+const deliverToHubs = async (event, hubs = null, options = {}) => {
+  if (!hubs) {
+    const { Hub } = require('../models/AllTMFModels');
+    hubs = await Hub.find({}).select('+queryFilter').lean();
+  }
+
+  const notification = buildNotification(event);
+  hubs = hubs.filter(hub => hubAcceptsNotification(hub, notification));
+
+  const settled = await Promise.allSettled(hubs.map(async (hub) => {
+    const result = await postWithRetry(hub.callback, notification, options);
+
+    if (result.status === 'failed') {
+      const deadLetter = await recordDeadLetter(hub, notification, result);
+      console.error(`❌ Notification ${notification.eventId} to hub ${hub.id} moved to dead letter ${deadLetter.id}`);
+      return { hubId: hub.id, ...result, deadLetterId: deadLetter.id };
+    }
+
+    return { hubId: hub.id, ...result };
+  }));
+
+  return settled.map((outcome, index) => outcome.status === 'fulfilled'
+    ? outcome.value
+    : { hubId: hubs[index].id, status: 'failed', error: outcome.reason.message });
+};
+
+/**
+ * Fire-and-forget delivery used after an event has been stored
+ */
+const dispatchEvent = (event, hubs = null) => {
+  if (!config.events.enableEvents) return;
+
+  deliverToHubs(event, hubs).catch(error => {
+    console.error('❌ Error dispatching event to hubs:', error);
+  });
+};
+
+/**
+ * Re-send a dead-lettered notification and record the outcome on the document
+ */
+const replayDeadLetter = async (deadLetter, options = {}) => {
+  const result = await postWithRetry(deadLetter.callback, deadLetter.notification, options);
+
+  deadLetter.attempts += result.attempts;
+  deadLetter.lastAttemptDate = new Date();
+
+  if (result.status === 'delivered') {
+    deadLetter.status = 'replayed';
+    deadLetter.replayDate = new Date();
+    deadLetter.lastError = undefined;
+  } else {
+    deadLetter.status = 'failed';
+    deadLetter.lastError = result.error;
+  }
+
+  await deadLetter.save();
+  return result;
+};
+
+module.exports = {
+  buildNotification,
+  getCallbackProblem,
+  postWithRetry,
+  deliverToHubs,
+  dispatchEvent,
+  replayDeadLetter
+};
@@ -0,0 +1,106 @@
+// src/services/hubQueryFilter.js - TMF-style subscription filters for hub listeners
+//
+// A hub query is a list of `path=value` clauses joined with `&`, for example
+// `eventType=ProductOrderStateChangeEvent&event.productOrder.state=completed`.
+// Clauses are ANDed together; a comma-separated value matches any of its entries.
+
+const PATH_PATTERN = /^@?[A-Za-z_][\w@]*(\.@?[A-Za-z_][\w@]*)*$/;
+
+/**
+ * Create an error that the API layer reports as 400 Bad Request
+ */
+const invalidQuery = (message, label = 'hub query') => {
+  const error = new Error(`Invalid ${label}: ${message}`);
+  error.name = 'HubQueryError';
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Decode a URL-encoded clause part, reporting bad escapes as query errors
+ */
+const decode = (text, label) => {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    throw invalidQuery(`'${text}' is not correctly URL-encoded`, label);
+  }
+};
+
+/**
+ * Parse a hub query string into filter clauses. Throws a HubQueryError when malformed;
+ * `label` names the query in the error message when the syntax is reused elsewhere.
+ */
+const parseHubQuery = (query, label) => {
+  if (query === undefined || query === null || query === '') {
+    return [];
+  }
+
+  if (typeof query !== 'string') {
+    throw invalidQuery('query must be a string', label);
+  }
+
+  const text = query.trim().replace(/^\?/, '');
+  if (!text) {
+    return [];
+  }
+
+  return text.split('&').map(clause => {
+    const separator = clause.indexOf('=');
+    if (separator <= 0) {
+      throw invalidQuery(`clause '${clause}' must have the form path=value`, label);
+    }
+
+    const path = decode(clause.slice(0, separator).trim(), label);
+    const rawValue = clause.slice(separator + 1).trim();
+
+    if (!PATH_PATTERN.test(path)) {
+      throw invalidQuery(`'${path}' is not a valid attribute path`, label);
+    }
+
+    if (!rawValue) {
+      throw invalidQuery(`clause '${clause}' has no value`, label);
+    }
+
+    const values = rawValue.split(',').map(value => decode(value.trim(), label));
+    if (values.some(value => value === '')) {
+      throw invalidQuery(`clause '${clause}' contains an empty value`, label);
+    }
+
+    return { path, values };
+  });
+};
+
+/**
+ * Resolve a dot-notation path, descending into every element of arrays on the way
+ */
+const resolvePath = (obj, segments) => {
+  if (obj === undefined || obj === null) return [];
+  if (segments.length === 0) return Array.isArray(obj) ? obj : [obj];
+  if (Array.isArray(obj)) return obj.flatMap(item => resolvePath(item, segments));
+
+  const [head, ...rest] = segments;
+  return resolvePath(obj[head], rest);
+};
+
+/**
+ * Check whether a notification satisfies every clause of a parsed filter
+ */
+const matchesHubQuery = (filter, notification) => {
+  if (!Array.isArray(filter) || filter.length === 0) {
+    return true;
+  }
+
+  return filter.every(({ path, values }) => {
+    const actual = resolvePath(notification, path.split('.'))
+      .filter(value => value !== undefined && value !== null && typeof value !== 'object')
+      .map(value => String(value));
+
+    return actual.some(value => values.includes(value));
+  });
+};
+
+module.exports = {
+  parseHubQuery,
+  matchesHubQuery
+};
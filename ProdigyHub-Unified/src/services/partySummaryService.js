@@ -0,0 +1,115 @@
+// src/services/partySummaryService.js - Customer 360 view of one party across the TMF APIs
+//
+// Resources are matched on relatedParty, both in the flat `relatedParty.id` form and
+// in the TMF v5 `relatedParty.partyOrPartyRole.id` form. Cancellations carry no
+// parties of their own and are found through the party's orders. Every section is
+// paginated with the same limit and offset and reports its own total count.
+const mongoose = require('mongoose');
+const { FINAL_ORDER_STATES } = require('../api/tmf622/utils/orderStateMachine');
+
+// Products in these statuses are no longer part of the party's inventory
+const CLOSED_PRODUCT_STATUSES = ['terminated', 'cancelled', 'aborted'];
+
+const DEFAULT_RECENT_DAYS = 90;
+
+const partyFilter = (partyId) => ({
+  $or: [{ 'relatedParty.id': partyId }, { 'relatedParty.partyOrPartyRole.id': partyId }]
+});
+
+const stripInternalFields = ({ _id, __v, ...resource }) => resource;
+
+/**
+ * One page of a model's documents with the total number of matches
+ */
+const pageOf = async (Model, filter, sort, { limit, offset }) => {
+  const [items, total] = await Promise.all([
+    Model.find(filter).sort(sort).skip(offset).limit(limit).lean(),
+    Model.countDocuments(filter)
+  ]);
+  return { total, items: items.map(stripInternalFields) };
+};
+
+/**
+ * Check and query qualifications as one list, newest first
+ */
+const qualificationPage = async (models, filter, { limit, offset }) => {
+  const window = { limit: offset + limit, offset: 0 };
+  const [checks, queries] = await Promise.all([
+    pageOf(models.CheckProductOfferingQualification, filter, { creationDate: -1 }, window),
+    pageOf(models.QueryProductOfferingQualification, filter, { creationDate: -1 }, window)
+  ]);
+
+  const items = [...checks.items, ...queries.items]
+    .sort((a, b) => new Date(b.creationDate || 0) - new Date(a.creationDate || 0))
+    .slice(offset, offset + limit);
+  return { total: checks.total + queries.total, items };
+};
+
+/**
+ * Location checks of the SLT engine stored by /api/slt/checkLocation
+ */
+const sltQualificationPage = async (filter, { limit, offset }) => {
+  if (!mongoose.connection.db) return { total: 0, items: [] };
+
+  const collection = mongoose.connection.db.collection('slt_qualifications');
+  const [items, total] = await Promise.all([
+    collection.find(filter).sort({ creationDate: -1 }).skip(offset).limit(limit).toArray(),
+    collection.countDocuments(filter)
+  ]);
+  return { total, items: items.map(stripInternalFields) };
+};
+
+/**
+ * Everything known about a party: its live products, open and recently closed orders,
+ * cancellations of its orders, qualifications and recent events. `recentDays` bounds
+ * the closed orders and events (default 90).
+ */
+const getPartySummary = async (partyId, options = {}) => {
+  const models = require('../models/AllTMFModels');
+  const paging = { limit: options.limit ?? 20, offset: options.offset ?? 0 };
+  const recentDays = options.recentDays ?? DEFAULT_RECENT_DAYS;
+  const since = new Date(Date.now() - recentDays * 24 * 60 * 60 * 1000);
+  const party = partyFilter(partyId);
+
+  const orderIds = await models.ProductOrder.distinct('id', party);
+
+  const [product, openProductOrder, recentProductOrder, cancelProductOrder, qualification, sltQualification, event] = await Promise.all([
+    pageOf(models.Product, { ...party, status: { $nin: CLOSED_PRODUCT_STATUSES } }, { startDate: -1, createdAt: -1 }, paging),
+    pageOf(models.ProductOrder, { ...party, state: { $nin: FINAL_ORDER_STATES } }, { orderDate: -1 }, paging),
+    pageOf(models.ProductOrder, { ...party, state: { $in: FINAL_ORDER_STATES }, updatedAt: { $gte: since } }, { updatedAt: -1 }, paging),
+    pageOf(models.CancelProductOrder, { 'productOrder.id': { $in: orderIds } }, { creationDate: -1 }, paging),
+    qualificationPage(models, party, paging),
+    sltQualificationPage(party, paging),
+    pageOf(models.Event, { ...party, eventTime: { $gte: since } }, { eventTime: -1 }, paging)
+  ]);
+
+  return {
+    partyId,
+    recentDays,
+    limit: paging.limit,
+    offset: paging.offset,
+    count: {
+      product: product.total,
+      openProductOrder: openProductOrder.total,
+      recentProductOrder: recentProductOrder.total,
+      cancelProductOrder: cancelProductOrder.total,
+      productOfferingQualification: qualification.total,
+      sltQualification: sltQualification.total,
+      event: event.total
+    },
+    product: product.items,
+    openProductOrder: openProductOrder.items,
+    recentProductOrder: recentProductOrder.items,
+    cancelProductOrder: cancelProductOrder.items,
+    productOfferingQualification: qualification.items,
+    sltQualification: sltQualification.items,
+    event: event.items,
+    generatedAt: new Date(),
+    '@type': 'PartySummary'
+  };
+};
+
+module.exports = {
+  partyFilter,
+  getPartySummary
+};
@@ -0,0 +1,266 @@
+// src/services/pricingEngine.js - Catalog price calculation for TMF620, TMF622 and TMF760
+//
+// Prices come from the ProductOfferingPrices (POPs) of each offering. A POP applies when
+// its prodSpecCharValueUse conditions match the item's characteristics. Alterations (a
+// POP with a percentage and no amount, or priceType discount/allowance) reduce the
+// prices that link to them through popRelationship; listed on the offering itself they
+// reduce every price of their priceType. Catalog amounts are duty free and taxed with
+// the POP's tax rates, or pricing.defaultTaxRate when it has none. Bundled POPs and,
+// for items without `bundles` relationships, bundled offerings roll up into the item.
+const config = require('../config/environment');
+const catalogVersioning = require('./catalogVersioning');
+const { getBundledRefs, defaultCount } = require('./catalogBundles');
+
+const ALTERATION_TYPES = ['discount', 'allowance', 'alteration'];
+
+// Deepest bundled POP or bundled offering nesting that is followed
+const MAX_PRICE_DEPTH = 10;
+
+/**
+ * Create an error that the API layer reports as 422 Unprocessable Entity
+ */
+const pricingError = (message, details) => {
+  const error = new Error(message);
+  error.name = 'PriceCalculationError';
+  error.status = 422;
+  error.details = details;
+  return error;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * 'recurring', 'oneTime' or 'usage' for the priceType spellings used in the catalog
+ */
+const normalizePriceType = (priceType) => {
+  const text = String(priceType || '').toLowerCase();
+  if (text.includes('recurring')) return 'recurring';
+  if (/one.?time/.test(text)) return 'oneTime';
+  if (text.includes('usage')) return 'usage';
+  return null;
+};
+
+const isAlteration = (pop) => {
+  return ALTERATION_TYPES.includes(String(pop.priceType || '').toLowerCase()) ||
+    (pop.percentage !== undefined && pop.percentage !== null && pop.percentage !== 0 &&
+      (pop.price?.value === undefined || pop.price?.value === null));
+};
+
+/**
+ * Characteristics of an item as `{name, value}` pairs, from any of the request shapes
+ */
+const characteristicsOf = (item) => {
+  const characteristics = item.productCharacteristic || item.characteristic || item.product?.productCharacteristic || [];
+  return Array.isArray(characteristics) ? characteristics.filter(c => c?.name) : [];
+};
+
+/**
+ * Whether every prodSpecCharValueUse condition of a POP is met by the characteristics
+ */
+const matchesCharacteristics = (pop, characteristics) => {
+  return (pop.prodSpecCharValueUse || []).every(use => {
+    const values = (use?.productSpecCharacteristicValue || []).map(value => String(value?.value));
+    if (!use?.name || values.length === 0) return true;
+
+    const characteristic = characteristics.find(c => c.name === use.name);
+    return characteristic !== undefined && values.includes(String(characteristic.value));
+  });
+};
+
+const taxRateOf = (pop) => {
+  if (Array.isArray(pop.tax) && pop.tax.length > 0) {
+    return pop.tax.reduce((sum, tax) => sum + (Number(tax?.taxRate) || 0), 0);
+  }
+  return config.pricing.defaultTaxRate;
+};
+
+const money = (unit, value) => ({ unit, value: round(value), '@type': 'Money' });
+
+const toPrice = (unit, dutyFree, taxRate) => ({
+  '@type': 'Price',
+  taxRate,
+  dutyFreeAmount: money(unit, dutyFree),
+  taxIncludedAmount: money(unit, dutyFree * (1 + taxRate / 100))
+});
+
+const popRef = (pop) => ({
+  id: pop.id,
+  href: pop.href,
+  name: pop.name,
+  '@referredType': 'ProductOfferingPrice',
+  '@type': 'ProductOfferingPriceRef'
+});
+
+/**
+ * Load POPs by id, replacing bundled POPs with the POPs they bundle
+ */
+const loadPrices = async (ids, depth = 0, seen = new Set()) => {
+  const { ProductOfferingPrice } = require('../models/AllTMFModels');
+
+  const wanted = [...new Set(ids)].filter(id => id && !seen.has(id));
+  if (wanted.length === 0 || depth > MAX_PRICE_DEPTH) return [];
+  wanted.forEach(id => seen.add(id));
+
+  const pops = await ProductOfferingPrice.find({ id: { $in: wanted } }).lean();
+  const prices = [];
+  for (const pop of pops) {
+    const bundled = (pop.bundledPopRelationship || []).map(relationship => relationship?.id).filter(Boolean);
+    if (pop.isBundle && bundled.length > 0) {
+      prices.push(...await loadPrices(bundled, depth + 1, seen));
+    } else {
+      prices.push(pop);
+    }
+  }
+  return prices;
+};
+
+/**
+ * Price lines of one offering for `quantity` units
+ */
+const priceOffering = async (offering, quantity, characteristics, { includeBundled, depth = 0 }) => {
+  const pops = (await loadPrices((offering.productOfferingPrice || []).map(ref => ref?.id)))
+    .filter(pop => matchesCharacteristics(pop, characteristics));
+
+  const bases = pops.filter(pop => !isAlteration(pop));
+  const offeringAlterations = pops.filter(isAlteration);
+
+  // Alterations only reachable through a base price's popRelationship
+  const linkedIds = bases.flatMap(base => (base.popRelationship || []).map(relationship => relationship?.id));
+  const linkedAlterations = (await loadPrices(linkedIds.filter(id => !pops.some(pop => pop.id === id))))
+    .filter(pop => isAlteration(pop) && matchesCharacteristics(pop, characteristics));
+  const alterations = [...offeringAlterations, ...linkedAlterations];
+
+  const lines = bases.map(base => {
+    const priceType = normalizePriceType(base.priceType) || 'oneTime';
+    const unit = base.price?.unit || config.pricing.defaultCurrency;
+    const taxRate = taxRateOf(base);
+    const amount = (Number(base.price?.value) || 0) * quantity;
+    const links = (base.popRelationship || []).map(relationship => relationship?.id);
+
+    const applied = alterations.filter(alteration => links.includes(alteration.id) ||
+      (offeringAlterations.includes(alteration) &&
+        [null, priceType].includes(normalizePriceType(alteration.priceType))));
+
+    let remaining = amount;
+    const priceAlteration = applied.map(alteration => {
+      const reduction = alteration.price?.value !== undefined && alteration.price?.value !== null
+        ? Math.abs(Number(alteration.price.value) || 0) * quantity
+        : amount * (Number(alteration.percentage) || 0) / 100;
+      const applies = Math.min(reduction, remaining);
+      remaining -= applies;
+
+      return {
+        '@type': 'PriceAlteration',
+        name: alteration.name,
+        priceType: alteration.priceType || priceType,
+        ...(alteration.percentage !== undefined && alteration.percentage !== null ? { percentage: alteration.percentage } : {}),
+        productOfferingPrice: popRef(alteration),
+        price: toPrice(unit, -applies, taxRate)
+      };
+    });
+
+    return {
+      '@type': 'OrderPrice',
+      name: base.name,
+      description: base.description,
+      priceType,
+      ...(priceType === 'recurring' ? { recurringChargePeriod: base.recurringChargePeriodType || 'month' } : {}),
+      ...(priceType === 'usage' && base.unitOfMeasure ? { unitOfMeasure: base.unitOfMeasure } : {}),
+      productOfferingPrice: popRef(base),
+      price: toPrice(unit, remaining, taxRate),
+      priceAlteration
+    };
+  });
+
+  if (includeBundled && depth < MAX_PRICE_DEPTH) {
+    const { ProductOffering } = require('../models/AllTMFModels');
+    for (const { ref, group } of getBundledRefs(offering)) {
+      const count = defaultCount(ref, group);
+      const child = count > 0 ? await ProductOffering.findOne({ id: ref.id }).lean() : null;
+      if (!child) continue;
+
+      const childLines = await priceOffering(child, quantity * count, characteristics, { includeBundled, depth: depth + 1 });
+      lines.push(...childLines.map(line => ({
+        ...line,
+        bundledProductOffering: line.bundledProductOffering || { id: child.id, name: child.name }
+      })));
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Totals of price lines per priceType, recurring period and currency
+ */
+const totalPrices = (lines) => {
+  const totals = new Map();
+
+  lines.forEach(line => {
+    const unit = line.price.dutyFreeAmount.unit;
+    const key = [line.priceType, line.recurringChargePeriod || '', unit].join('|');
+    const total = totals.get(key) || {
+      '@type': 'OrderPrice',
+      name: `Total ${line.priceType}${line.recurringChargePeriod ? ` per ${line.recurringChargePeriod}` : ''} (${unit})`,
+      priceType: line.priceType,
+      ...(line.recurringChargePeriod ? { recurringChargePeriod: line.recurringChargePeriod } : {}),
+      price: { '@type': 'Price', dutyFreeAmount: money(unit, 0), taxIncludedAmount: money(unit, 0) }
+    };
+
+    total.price.dutyFreeAmount.value = round(total.price.dutyFreeAmount.value + line.price.dutyFreeAmount.value);
+    total.price.taxIncludedAmount.value = round(total.price.taxIncludedAmount.value + line.price.taxIncludedAmount.value);
+    totals.set(key, total);
+  });
+
+  return [...totals.values()];
+};
+
+/**
+ * Price a list of items `{id, quantity, productOffering: {id, version}, characteristics}`.
+ * Returns each item's itemPrice and itemTotalPrice and the overall totalPrice. Unknown
+ * offerings throw a 422 PriceCalculationError unless `skipUnknown` is set.
+ */
+const calculatePrices = async (items = [], { skipUnknown = false } = {}) => {
+  const results = [];
+  const unknown = [];
+
+  for (const item of items) {
+    const offeringId = item?.productOffering?.id;
+    const offering = offeringId
+      ? await catalogVersioning.resolveVersion('ProductOffering', offeringId, item.productOffering.version)
+      : null;
+
+    if (!offering) {
+      unknown.push({ id: item?.id, productOfferingId: offeringId, reason: offeringId ? 'product offering not found' : 'productOffering.id is required' });
+      continue;
+    }
+
+    const quantity = Number(item.quantity) > 0 ? Number(item.quantity) : 1;
+    const bundledItems = (item.productOrderItemRelationship || []).some(relationship => relationship?.relationshipType === 'bundles');
+    const itemPrice = await priceOffering(offering, quantity, characteristicsOf(item), { includeBundled: !bundledItems });
+
+    results.push({
+      id: item.id,
+      quantity,
+      productOffering: { id: offering.id, name: offering.name, version: offering.version, '@type': 'ProductOfferingRef' },
+      itemPrice,
+      itemTotalPrice: totalPrices(itemPrice)
+    });
+  }
+
+  if (unknown.length > 0 && !skipUnknown) {
+    throw pricingError(`Cannot price ${unknown.length} item(s): ${unknown.map(entry => entry.reason).join('; ')}`, unknown);
+  }
+
+  return {
+    item: results,
+    totalPrice: totalPrices(results.flatMap(result => result.itemPrice))
+  };
+};
+
+module.exports = {
+  normalizePriceType,
+  characteristicsOf,
+  calculatePrices,
+  totalPrices
+};
@@ -0,0 +1,126 @@
+// src/services/productLifecycleService.js - Status changes of TMF637 inventory products
+//
+// The transition table lives in src/api/tmf637/utils/productLifecycle.js; this module
+// applies accepted changes to the products collection. Every change is appended to
+// the product's statusChange history and announced with a ProductStateChangeEvent.
+// Products that others rely on (see productRelationships) cannot be terminated.
+const {
+  STATUS_OPERATIONS,
+  lifecycleError,
+  assertStatusTransition,
+  assertOperation,
+  assertInitialStatus,
+  buildStatusChange
+} = require('../api/tmf637/utils/productLifecycle');
+const { emitProductStateChange } = require('../api/tmf637/utils/productEvents');
+const { getLiveComponents, assertNoDependents } = require('./productRelationships');
+
+// Statuses that take a product out of service; no live product may rely on it then
+const TERMINATION_STATUSES = ['pendingTerminate', 'terminated'];
+
+/**
+ * Status of a new product: `created` unless the request names a valid initial status
+ */
+const initialStatus = (status) => {
+  const value = status === undefined || status === null || status === '' ? 'created' : String(status);
+  assertInitialStatus(value);
+  return value;
+};
+
+/**
+ * Move a product to `status`. `context` carries the reason and actor of the change;
+ * `changes` are written in the same update. With `context.operation` ('suspend',
+ * 'resume', 'terminate') the operation's own start statuses apply. Throws a
+ * LifecycleError for illegal moves and returns null when the product does not exist.
+ */
+const changeProductStatus = async (productId, status, context = {}, changes = {}) => {
+  const { Product } = require('../models/AllTMFModels');
+
+  const current = await Product.findOne({ id: productId }).lean();
+  if (!current) return null;
+
+  const previousStatus = current.status || 'created';
+  if (context.operation) {
+    assertOperation(context.operation, previousStatus);
+  } else {
+    assertStatusTransition(previousStatus, status);
+  }
+  if (TERMINATION_STATUSES.includes(status) && previousStatus !== status && !context.dependentsChecked) {
+    await assertNoDependents([productId]);
+  }
+
+  const now = new Date();
+  const updates = { ...changes, status, lastUpdate: now };
+  if (previousStatus === status) {
+    return Product.findOneAndUpdate({ id: productId }, { $set: updates }, { new: true, runValidators: true });
+  }
+
+  const statusChange = buildStatusChange(previousStatus, status, { ...context, date: now });
+  updates.statusChangeReason = context.reason ?? null;
+  updates.statusChangeDate = now;
+  if (status === 'terminated' && !updates.terminationDate) {
+    updates.terminationDate = now;
+  }
+
+  // Only move the status we checked; a concurrent change makes this one retry
+  const product = await Product.findOneAndUpdate(
+    { id: productId, status: current.status },
+    { $set: updates, $push: { statusChange } },
+    { new: true, runValidators: true }
+  );
+
+  if (!product) {
+    throw lifecycleError(`Product ${productId} changed status concurrently; retry the request`, 409, {
+      currentStatus: previousStatus,
+      requestedStatus: status
+    });
+  }
+
+  emitProductStateChange(previousStatus, product, context.reason
+    ? { description: `Product status changed from ${previousStatus} to ${status}: ${context.reason}` }
+    : {});
+  return product;
+};
+
+/**
+ * Terminate a product. With `options.cascade` its live bundled components are
+ * terminated as well, deepest first. Nothing is written unless every product in the
+ * set may be terminated and no live product outside the set relies on one of them.
+ */
+const terminateProduct = async (productId, context = {}, options = {}) => {
+  const { Product } = require('../models/AllTMFModels');
+
+  const current = await Product.findOne({ id: productId }).select('id status').lean();
+  if (!current) return null;
+
+  const components = options.cascade ? await getLiveComponents(productId) : [];
+  [...components, current].forEach(product => assertOperation('terminate', product.status || 'created'));
+  await assertNoDependents([...components.map(component => component.id), productId]);
+
+  const terminateContext = { ...context, operation: 'terminate', dependentsChecked: true };
+  for (const component of components) {
+    await changeProductStatus(component.id, 'terminated', {
+      ...terminateContext,
+      reason: context.reason || `Terminated with bundle ${productId}`
+    });
+  }
+  return changeProductStatus(productId, 'terminated', terminateContext);
+};
+
+/**
+ * Apply a suspend, resume or terminate operation to a product. `options.cascade`
+ * extends a termination to the product's bundled components.
+ */
+const applyStatusOperation = (productId, operation, context = {}, options = {}) => {
+  if (operation === 'terminate') {
+    return terminateProduct(productId, context, options);
+  }
+  return changeProductStatus(productId, STATUS_OPERATIONS[operation].status, { ...context, operation });
+};
+
+module.exports = {
+  initialStatus,
+  changeProductStatus,
+  terminateProduct,
+  applyStatusOperation
+};
@@ -0,0 +1,258 @@
+// src/services/productRelationships.js - TMF637 product relationship graph
+//
+// `productRelationship` entries are typed: a bundle lists its components as
+// `bundled`, a product that needs another one to work lists it as `reliesOn`, and a
+// replaced product points at its successor with `substitutedBy`. Targets must be
+// existing products, and bundled and reliesOn links may not form cycles. A product
+// with live dependents (products that rely on it) cannot be terminated.
+const { referenceError } = require('./catalogReferences');
+
+const RELATIONSHIP_TYPES = ['bundled', 'reliesOn', 'substitutedBy'];
+
+// Relationship types whose links may not loop back to the product
+const ACYCLIC_TYPES = ['bundled', 'reliesOn'];
+
+// Statuses of products that no longer count as dependents or components
+const CLOSED_STATUSES = ['terminated', 'cancelled', 'aborted'];
+
+const SUMMARY_FIELDS = 'id href name status isBundle productOffering productRelationship';
+
+const getProductModel = () => require('../models/AllTMFModels').Product;
+
+const summarize = ({ id, href, name, status, isBundle, productOffering }) => ({
+  id, href, name, status, isBundle, productOffering
+});
+
+const isLive = (product) => !CLOSED_STATUSES.includes(product.status);
+
+/**
+ * A relationship as stored: TMF637 v4 `{ product: { id } }` entries are flattened to `{ id }`
+ */
+const normalizeRelationship = (relationship) => ({
+  id: relationship?.id ?? relationship?.product?.id,
+  href: relationship?.href ?? relationship?.product?.href,
+  name: relationship?.name ?? relationship?.product?.name,
+  relationshipType: relationship?.relationshipType,
+  '@type': 'ProductRelationship'
+});
+
+const relationshipsOf = (product, type) => (product?.productRelationship || [])
+  .map(normalizeRelationship)
+  .filter(relationship => relationship.id && (!type || relationship.relationshipType === type));
+
+/**
+ * Ids reachable from `ids` by following `type` relationships, breadth first. Stops at
+ * products already seen, so cycles in stored data do not loop forever.
+ */
+const getReachableIds = async (ids, type) => {
+  const Product = getProductModel();
+  const seen = new Set(ids);
+  const reachable = [];
+  let frontier = [...ids];
+
+  while (frontier.length > 0) {
+    const products = await Product.find({ id: { $in: frontier } }).select('id productRelationship').lean();
+    frontier = [...new Set(products.flatMap(product => relationshipsOf(product, type).map(relationship => relationship.id)))]
+      .filter(id => !seen.has(id));
+    frontier.forEach(id => {
+      seen.add(id);
+      reachable.push(id);
+    });
+  }
+  return reachable;
+};
+
+/**
+ * Check and normalize the relationships a product is written with. Throws a 422
+ * ReferenceIntegrityError listing every invalid entry. Returns the relationships to
+ * store and the `isBundle` flag they imply.
+ */
+const prepareRelationships = async (productId, relationships) => {
+  const Product = getProductModel();
+  const normalized = (Array.isArray(relationships) ? relationships : []).map(normalizeRelationship);
+  const details = [];
+
+  normalized.forEach((relationship, index) => {
+    if (!relationship.id) {
+      details.push({ index, reason: 'relationship has no product id' });
+    } else if (!RELATIONSHIP_TYPES.includes(relationship.relationshipType)) {
+      details.push({ index, id: relationship.id, reason: `relationshipType must be one of: ${RELATIONSHIP_TYPES.join(', ')}` });
+    } else if (relationship.id === productId) {
+      details.push({ index, id: relationship.id, reason: 'a product cannot relate to itself' });
+    }
+  });
+
+  const ids = [...new Set(normalized.map(relationship => relationship.id).filter(Boolean))];
+  const found = ids.length > 0 ? await Product.find({ id: { $in: ids } }).select('id href name').lean() : [];
+  const products = new Map(found.map(product => [product.id, product]));
+
+  normalized.forEach((relationship, index) => {
+    if (relationship.id && !products.has(relationship.id)) {
+      details.push({ index, id: relationship.id, reason: `product ${relationship.id} does not exist` });
+    }
+  });
+
+  if (productId) {
+    for (const type of ACYCLIC_TYPES) {
+      const targets = normalized.filter(relationship => relationship.relationshipType === type && products.has(relationship.id));
+      if (targets.length === 0) continue;
+
+      const reachable = await getReachableIds(targets.map(relationship => relationship.id), type);
+      if (reachable.includes(productId)) {
+        details.push({ relationshipType: type, reason: `${type} relationships would form a cycle through product ${productId}` });
+      }
+    }
+  }
+
+  if (details.length > 0) {
+    throw referenceError('Product has invalid productRelationship entries', 422, { details });
+  }
+
+  const productRelationship = normalized.map(relationship => ({
+    ...relationship,
+    href: relationship.href || products.get(relationship.id).href,
+    name: relationship.name || products.get(relationship.id).name
+  }));
+
+  return {
+    productRelationship,
+    isBundle: productRelationship.some(relationship => relationship.relationshipType === 'bundled')
+  };
+};
+
+/**
+ * A product with its bundled components nested under `children`, down to `depth` levels
+ * when given. Every node lists the products it relies on. Returns null when the product
+ * does not exist.
+ */
+const getComponentTree = async (id, depth) => {
+  const Product = getProductModel();
+
+  const root = await Product.findOne({ id }).select(SUMMARY_FIELDS).lean();
+  if (!root) return null;
+
+  const toNode = (product) => ({
+    ...summarize(product),
+    reliesOn: relationshipsOf(product, 'reliesOn'),
+    children: []
+  });
+
+  const tree = toNode(root);
+  const seen = new Set([id]);
+  let level = [{ node: tree, product: root }];
+
+  for (let current = 0; level.length > 0 && (depth === undefined || current < depth); current++) {
+    const childIds = level.flatMap(({ product }) => relationshipsOf(product, 'bundled').map(relationship => relationship.id));
+    const children = await Product.find({ id: { $in: [...new Set(childIds)] } }).select(SUMMARY_FIELDS).lean();
+    const byId = new Map(children.map(child => [child.id, child]));
+
+    const next = [];
+    level.forEach(({ node, product }) => {
+      relationshipsOf(product, 'bundled').forEach(relationship => {
+        const child = byId.get(relationship.id);
+        if (!child || seen.has(child.id)) return;
+        seen.add(child.id);
+
+        const childNode = toNode(child);
+        node.children.push(childNode);
+        next.push({ node: childNode, product: child });
+      });
+    });
+    level = next;
+  }
+  return tree;
+};
+
+/**
+ * Products that rely on `id`, directly or through other products, with the product
+ * each one relies on. `options.liveOnly` leaves out closed products. Returns null
+ * when the product does not exist.
+ */
+const getDependents = async (id, options = {}) => {
+  const Product = getProductModel();
+
+  if (!(await Product.exists({ id }))) return null;
+
+  const dependents = [];
+  const seen = new Set([id]);
+  let frontier = [id];
+
+  while (frontier.length > 0) {
+    const products = await Product
+      .find({ productRelationship: { $elemMatch: { id: { $in: frontier }, relationshipType: 'reliesOn' } } })
+      .select(SUMMARY_FIELDS)
+      .lean();
+
+    frontier = [];
+    // Closed products are no dependents, and nothing depends on the product through them
+    products.filter(product => !seen.has(product.id) && (!options.liveOnly || isLive(product))).forEach(product => {
+      seen.add(product.id);
+      frontier.push(product.id);
+      dependents.push({
+        ...summarize(product),
+        reliesOn: relationshipsOf(product, 'reliesOn').filter(relationship => seen.has(relationship.id))
+      });
+    });
+  }
+
+  return dependents;
+};
+
+/**
+ * Live bundled components of `id` at every level as `{ id, status }`, deepest first
+ */
+const getLiveComponents = async (id) => {
+  const Product = getProductModel();
+
+  const ids = await getReachableIds([id], 'bundled');
+  const products = await Product.find({ id: { $in: ids } }).select('id status').lean();
+  const live = new Map(products.filter(isLive).map(product => [product.id, product]));
+  return ids.filter(componentId => live.has(componentId)).reverse().map(componentId => live.get(componentId));
+};
+
+/**
+ * Throw a 409 ReferenceIntegrityError when live products outside `ids` rely on any of them
+ */
+const assertNoDependents = async (ids) => {
+  const closing = new Set(ids);
+  const blocking = [];
+
+  for (const id of ids) {
+    const dependents = await getDependents(id, { liveOnly: true }) || [];
+    dependents
+      .filter(dependent => !closing.has(dependent.id) && !blocking.some(entry => entry.id === dependent.id))
+      .forEach(dependent => blocking.push({ id: dependent.id, name: dependent.name, status: dependent.status, '@referredType': 'Product' }));
+  }
+
+  if (blocking.length > 0) {
+    throw referenceError(
+      `Product ${ids[ids.length - 1]} cannot be terminated while ${blocking.length} live product(s) rely on it`,
+      409,
+      { referencedBy: blocking }
+    );
+  }
+};
+
+/**
+ * Remove relationships pointing at a deleted product from the products that hold them
+ */
+const unlinkProduct = async (id) => {
+  const Product = getProductModel();
+
+  const result = await Product.updateMany(
+    { 'productRelationship.id': id },
+    { $pull: { productRelationship: { id } }, $set: { lastUpdate: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  RELATIONSHIP_TYPES,
+  normalizeRelationship,
+  prepareRelationships,
+  getComponentTree,
+  getDependents,
+  getLiveComponents,
+  assertNoDependents,
+  unlinkProduct
+};
@@ -0,0 +1,229 @@
+// src/services/qualificationWorker.js - Background processing of TMF679 qualifications with instantSyncQualification=false
+const config = require('../config/environment');
+const { publishResourceEvent } = require('./eventPublisher');
+const sltQualificationService = require('./sltQualificationService');
+
+const RESOURCE_NAMES = {
+  CheckProductOfferingQualification: 'checkProductOfferingQualification',
+  QueryProductOfferingQualification: 'queryProductOfferingQualification'
+};
+
+const EVALUATORS = {
+  CheckProductOfferingQualification: sltQualificationService.qualifyCheckProductOfferingQualification,
+  QueryProductOfferingQualification: sltQualificationService.qualifyQueryProductOfferingQualification
+};
+
+// States in which a qualification no longer needs processing
+const FINAL_STATES = ['done', 'terminatedWithError', 'cancelled', 'rejected'];
+
+let pollTimer = null;
+let processing = false;
+
+const getModel = (qualificationType) => require('../models/AllTMFModels')[qualificationType];
+
+/**
+ * Publish the TMF679 state change event of a qualification
+ */
+const emitStateChange = (qualificationType, qualification) => {
+  return publishResourceEvent(
+    `${qualificationType}StateChangeEvent`,
+    RESOURCE_NAMES[qualificationType],
+    qualification,
+    {
+      domain: 'productOfferingQualification',
+      description: `${qualificationType} ${qualification.id} is ${qualification.state}`
+    }
+  );
+};
+
+/**
+ * Completion date promised to the client: the requested date, or now plus the default window
+ */
+const expectedCompletionDate = (qualification) => {
+  if (qualification.requestedQualificationCompletionDate) {
+    return new Date(qualification.requestedQualificationCompletionDate);
+  }
+  return new Date(Date.now() + config.qualification.defaultCompletionWindow);
+};
+
+/**
+ * Queue a saved qualification for background evaluation
+ */
+const enqueue = async (qualificationType, qualification) => {
+  const { QualificationJob } = require('../models/AllTMFModels');
+
+  const job = await QualificationJob.create({
+    qualificationId: qualification.id,
+    qualificationType,
+    dueDate: expectedCompletionDate(qualification),
+    deadlineRequested: Boolean(qualification.requestedQualificationCompletionDate)
+  });
+
+  if (pollTimer) {
+    setImmediate(poll);
+  }
+
+  return job;
+};
+
+/**
+ * Cancel the pending jobs of a qualification. A job already running notices the
+ * cancelled state before it stores its result.
+ */
+const cancel = async (qualificationId) => {
+  const { QualificationJob } = require('../models/AllTMFModels');
+
+  return QualificationJob.updateMany(
+    { qualificationId, status: 'queued' },
+    { $set: { status: 'cancelled', finishedAt: new Date() } }
+  );
+};
+
+const finishJob = (job, status, lastError) => {
+  job.status = status;
+  job.finishedAt = new Date();
+  if (lastError) job.lastError = lastError;
+  return job.save();
+};
+
+/**
+ * Move a qualification to terminatedWithError with an explanatory note
+ */
+const terminate = async (job, qualification, message) => {
+  qualification.state = 'terminatedWithError';
+  qualification.note.push({ text: message, author: 'system' });
+  await qualification.save();
+  await emitStateChange(job.qualificationType, qualification);
+  await finishJob(job, 'failed', message);
+};
+
+/**
+ * Requeue jobs left running by a worker that stopped mid-way, e.g. on a restart
+ */
+const recoverStaleJobs = async () => {
+  const { QualificationJob } = require('../models/AllTMFModels');
+
+  const staleBefore = new Date(Date.now() - config.qualification.staleJobTimeout);
+  const result = await QualificationJob.updateMany(
+    { status: 'running', startedAt: { $lt: staleBefore } },
+    { $set: { status: 'queued' } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`♻️ Requeued ${result.modifiedCount} stale qualification job(s)`);
+  }
+};
+
+/**
+ * Evaluate the qualification of one claimed job
+ */
+const processJob = async (job) => {
+  const Model = getModel(job.qualificationType);
+  const qualification = await Model.findOne({ id: job.qualificationId });
+
+  if (!qualification || qualification.state === 'cancelled') {
+    return finishJob(job, 'cancelled');
+  }
+  if (FINAL_STATES.includes(qualification.state)) {
+    return finishJob(job, 'completed');
+  }
+
+  if (job.deadlineRequested && job.dueDate < new Date()) {
+    return terminate(job, qualification, 'requestedQualificationCompletionDate passed before the qualification could be processed');
+  }
+
+  if (qualification.state !== 'inProgress') {
+    qualification.state = 'inProgress';
+    await qualification.save();
+    await emitStateChange(job.qualificationType, qualification);
+  }
+
+  try {
+    const result = await EVALUATORS[job.qualificationType](qualification.toObject());
+
+    // The client may have cancelled while the evaluation ran
+    const current = await Model.findOne({ id: job.qualificationId }).select('state').lean();
+    if (!current || current.state === 'cancelled') {
+      return finishJob(job, 'cancelled');
+    }
+
+    qualification.set({ effectiveQualificationDate: new Date(), ...result });
+    await qualification.save();
+    await emitStateChange(job.qualificationType, qualification);
+    await finishJob(job, 'completed');
+  } catch (error) {
+    console.error(`❌ Qualification job ${job.id} failed (attempt ${job.attempts}):`, error.message);
+
+    if (job.attempts < config.qualification.maxAttempts) {
+      job.status = 'queued';
+      job.lastError = error.message;
+      return job.save();
+    }
+
+    return terminate(job, qualification, `Qualification failed: ${error.message}`);
+  }
+};
+
+/**
+ * Claim and process the next queued job, earliest due date first.
+ * Returns the job, or null when the queue is empty.
+ */
+const processNext = async () => {
+  const { QualificationJob } = require('../models/AllTMFModels');
+
+  const job = await QualificationJob.findOneAndUpdate(
+    { status: 'queued' },
+    { $set: { status: 'running', startedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { dueDate: 1, createdAt: 1 }, new: true }
+  );
+
+  if (job) {
+    await processJob(job);
+  }
+  return job;
+};
+
+const poll = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    await recoverStaleJobs();
+    while (pollTimer && await processNext()) {
+      // Drain the queue before waiting for the next tick
+    }
+  } catch (error) {
+    console.error('❌ Qualification worker error:', error.message);
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Start polling the job queue. Call after the database is connected.
+ */
+const start = () => {
+  if (pollTimer || !config.qualification.enableWorker) return;
+
+  pollTimer = setInterval(poll, config.qualification.workerPollInterval);
+  setImmediate(poll);
+  console.log('✅ Qualification worker started');
+};
+
+const stop = () => {
+  if (!pollTimer) return;
+
+  clearInterval(pollTimer);
+  pollTimer = null;
+  console.log('✅ Qualification worker stopped');
+};
+
+module.exports = {
+  start,
+  stop,
+  enqueue,
+  cancel,
+  processNext,
+  expectedCompletionDate,
+  emitStateChange
+};
@@ -0,0 +1,313 @@
+// src/services/sltBulkQualificationService.js - Resumable bulk location qualification jobs for /api/slt
+const { checkInfrastructureAvailability } = require('./sltQualificationService');
+const { getCoordinates } = require('../api/tmf679/utils/sltAvailability');
+const { toRequestedTechnologies } = require('../api/tmf679/utils/sltPackages');
+const config = require('../config/environment');
+
+const DEFAULT_CONCURRENCY = config.sltBulk.concurrency;
+const MAX_CONCURRENCY = 20;
+
+// Rows are inserted in batches so large uploads do not build one huge insert
+const INSERT_BATCH_SIZE = 1000;
+
+// Jobs being processed by this process, so a resume never runs a job twice
+const activeJobs = new Set();
+
+// Columns of the downloadable result file, in order
+const BULK_RESULT_COLUMNS = [
+  { header: 'index', value: 'index' },
+  { header: 'reference', value: 'reference' },
+  { header: 'address', value: item => item.location?.address },
+  { header: 'district', value: item => item.location?.district },
+  { header: 'province', value: item => item.location?.province },
+  { header: 'state', value: 'state' },
+  { header: 'qualificationResult', value: 'qualificationResult' },
+  { header: 'fiberAvailable', value: item => item.fiber?.available },
+  { header: 'fiberMaxSpeed', value: item => item.fiber?.maxSpeed },
+  { header: 'adslAvailable', value: item => item.adsl?.available },
+  { header: 'adslMaxSpeed', value: item => item.adsl?.maxSpeed },
+  { header: 'mobileAvailable', value: item => item.mobile?.available },
+  { header: 'qualificationId', value: 'qualificationId' },
+  { header: 'error', value: 'error' }
+];
+
+/**
+ * Normalise an uploaded record (JSON location, { location, requestedServices } or CSV row)
+ */
+const toBulkRow = (record = {}) => {
+  const source = record.location || record;
+  const lat = source.coordinates?.lat ?? source.lat ?? source.latitude;
+  const lng = source.coordinates?.lng ?? source.lng ?? source.longitude;
+
+  let requestedServices = record.requestedServices ?? source.requestedServices ?? [];
+  if (typeof requestedServices === 'string') {
+    requestedServices = requestedServices.split(/[;|]/).map(service => service.trim()).filter(Boolean);
+  }
+
+  return {
+    reference: record.reference || record.id,
+    location: {
+      address: source.address,
+      district: source.district,
+      province: source.province,
+      postalCode: source.postalCode,
+      coordinates: lat !== undefined && lng !== undefined
+        ? { lat: Number(lat), lng: Number(lng) }
+        : undefined
+    },
+    requestedServices
+  };
+};
+
+/**
+ * Outcome of a bulk row: requested technology available → qualified, any other fixed
+ * line technology → conditional. Without requested services fixed line qualifies and
+ * mobile-only coverage is conditional.
+ */
+const resolveBulkResult = (infrastructure, requestedTechnologies) => {
+  const fixedLine = infrastructure.fiber.available || infrastructure.adsl.available;
+
+  if (requestedTechnologies.length === 0) {
+    if (fixedLine) return 'qualified';
+    return infrastructure.mobile.available ? 'conditional' : 'unqualified';
+  }
+
+  if (requestedTechnologies.some(technology => infrastructure[technology]?.available)) {
+    return 'qualified';
+  }
+  return fixedLine || infrastructure.mobile.available ? 'conditional' : 'unqualified';
+};
+
+/**
+ * Qualify one row and record it as an SLT qualification grouped under the job
+ */
+const evaluateRow = async (job, item, collections) => {
+  const { location } = item;
+  if (!location.district) {
+    throw new Error('Location must include a district');
+  }
+  if (location.coordinates && !getCoordinates(location)) {
+    throw new Error('Location coordinates must include a valid lat and lng');
+  }
+
+  const infrastructure = await checkInfrastructureAvailability(location, collections);
+  const qualificationResult = resolveBulkResult(infrastructure, toRequestedTechnologies(item.requestedServices));
+
+  const qualificationId = `${job.id}-${item.index}`;
+  const now = new Date().toISOString();
+  await collections.qualifications.updateOne(
+    { id: qualificationId },
+    {
+      $set: {
+        id: qualificationId,
+        href: `/api/slt/qualifications/${qualificationId}`,
+        state: 'done',
+        creationDate: now,
+        completionDate: now,
+        location,
+        infrastructure,
+        requestedServices: item.requestedServices.length > 0 ? item.requestedServices : ['Bulk Check'],
+        qualificationResult,
+        isBulkCheck: true,
+        bulkJobId: job.id,
+        '@type': 'SLTLocationQualification'
+      }
+    },
+    { upsert: true }
+  );
+
+  return {
+    qualificationId,
+    qualificationResult,
+    fiber: { available: infrastructure.fiber.available, maxSpeed: infrastructure.fiber.maxSpeed },
+    adsl: { available: infrastructure.adsl.available, maxSpeed: infrastructure.adsl.maxSpeed },
+    mobile: { available: infrastructure.mobile.available }
+  };
+};
+
+/**
+ * Recompute job counters from its rows, so progress stays exact across restarts
+ */
+const recountProgress = async (jobId, collections) => {
+  const counts = await collections.bulkJobItems.aggregate([
+    { $match: { bulkJobId: jobId } },
+    { $group: { _id: '$state', count: { $sum: 1 } } }
+  ]).toArray();
+
+  const byState = Object.fromEntries(counts.map(entry => [entry._id, entry.count]));
+  const progress = {
+    successfulChecks: byState.done || 0,
+    failedChecks: byState.failed || 0
+  };
+  progress.processedLocations = progress.successfulChecks + progress.failedChecks;
+
+  await collections.bulkJobs.updateOne({ id: jobId }, { $set: progress });
+  return progress;
+};
+
+/**
+ * Mark a job stopped by a database error as failed. Rows it had claimed go back to
+ * pending, so the counters only include rows that were actually evaluated.
+ */
+const failBulkJob = async (jobId, error, collections) => {
+  await collections.bulkJobItems.updateMany(
+    { bulkJobId: jobId, state: 'inProgress' },
+    { $set: { state: 'pending' } }
+  );
+  await recountProgress(jobId, collections);
+  await collections.bulkJobs.updateOne(
+    { id: jobId },
+    { $set: { state: 'failed', errorMessage: error.message, completionDate: new Date().toISOString() } }
+  );
+};
+
+/**
+ * Process the pending rows of a job with bounded concurrency until none are left
+ */
+const runBulkJob = async (jobId, collections) => {
+  if (activeJobs.has(jobId)) return;
+  activeJobs.add(jobId);
+
+  try {
+    const job = await collections.bulkJobs.findOne({ id: jobId, state: { $in: ['acknowledged', 'inProgress'] } });
+    if (!job) return;
+
+    await collections.bulkJobs.updateOne(
+      { id: jobId },
+      { $set: { state: 'inProgress', startDate: job.startDate || new Date().toISOString() } }
+    );
+
+    const worker = async () => {
+      for (;;) {
+        const item = await collections.bulkJobItems.findOneAndUpdate(
+          { bulkJobId: jobId, state: 'pending' },
+          { $set: { state: 'inProgress' } },
+          { sort: { index: 1 }, returnDocument: 'after' }
+        );
+        if (!item) return;
+
+        let update;
+        let counter;
+        try {
+          update = { state: 'done', ...await evaluateRow(job, item, collections) };
+          counter = 'successfulChecks';
+        } catch (error) {
+          update = { state: 'failed', error: error.message };
+          counter = 'failedChecks';
+        }
+
+        await collections.bulkJobItems.updateOne(
+          { _id: item._id },
+          { $set: { ...update, completionDate: new Date().toISOString() } }
+        );
+        await collections.bulkJobs.updateOne(
+          { id: jobId },
+          { $inc: { processedLocations: 1, [counter]: 1 } }
+        );
+      }
+    };
+
+    // A worker only stops early on a database error; the others finish their rows first
+    const outcomes = await Promise.allSettled(Array.from({ length: job.concurrency || DEFAULT_CONCURRENCY }, worker));
+    const fatal = outcomes.find(outcome => outcome.status === 'rejected');
+    if (fatal) throw fatal.reason;
+
+    await recountProgress(jobId, collections);
+    await collections.bulkJobs.updateOne(
+      { id: jobId },
+      { $set: { state: 'done', completionDate: new Date().toISOString() } }
+    );
+    console.log(`✅ SLT bulk job ${jobId} completed`);
+  } catch (error) {
+    console.error(`❌ SLT bulk job ${jobId} failed:`, error.message);
+    await failBulkJob(jobId, error, collections).catch(failError => {
+      console.error(`❌ Could not mark SLT bulk job ${jobId} as failed:`, failError.message);
+    });
+  } finally {
+    activeJobs.delete(jobId);
+  }
+};
+
+/**
+ * Store a bulk job and its rows, then start processing in the background
+ */
+const createBulkJob = async (records, options, collections) => {
+  const jobId = `SLT-BULK-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+  const concurrency = Math.min(Math.max(parseInt(options.concurrency) || DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY);
+
+  // Rows go in first: a job document is only visible once all its rows exist
+  for (let start = 0; start < records.length; start += INSERT_BATCH_SIZE) {
+    const batch = records.slice(start, start + INSERT_BATCH_SIZE).map((record, offset) => ({
+      bulkJobId: jobId,
+      index: start + offset,
+      ...toBulkRow(record),
+      state: 'pending'
+    }));
+    await collections.bulkJobItems.insertMany(batch, { ordered: false });
+  }
+
+  const job = {
+    id: jobId,
+    href: `/api/slt/bulkJobs/${jobId}`,
+    state: 'acknowledged',
+    source: options.source,
+    concurrency,
+    totalLocations: records.length,
+    processedLocations: 0,
+    successfulChecks: 0,
+    failedChecks: 0,
+    creationDate: new Date().toISOString(),
+    '@type': 'SLTBulkQualificationJob'
+  };
+  await collections.bulkJobs.insertOne(job);
+
+  runBulkJob(jobId, collections);
+  return job;
+};
+
+/**
+ * Resume jobs left unfinished by a previous process. Rows that were mid-evaluation are retried.
+ */
+const resumeBulkJobs = async (collections) => {
+  const jobs = await collections.bulkJobs.find({ state: { $in: ['acknowledged', 'inProgress'] } }).toArray();
+
+  for (const job of jobs) {
+    if (activeJobs.has(job.id)) continue;
+
+    await collections.bulkJobItems.updateMany(
+      { bulkJobId: job.id, state: 'inProgress' },
+      { $set: { state: 'pending' } }
+    );
+    await recountProgress(job.id, collections);
+
+    console.log(`♻️ Resuming SLT bulk job ${job.id}`);
+    runBulkJob(job.id, collections);
+  }
+
+  return jobs.length;
+};
+
+/**
+ * Job representation with a computed progress block
+ */
+const formatBulkJob = (job) => {
+  const { _id, ...rest } = job;
+  return {
+    ...rest,
+    progress: {
+      processed: job.processedLocations,
+      total: job.totalLocations,
+      percentComplete: job.totalLocations > 0
+        ? Math.floor((job.processedLocations / job.totalLocations) * 100)
+        : 100
+    }
+  };
+};
+
+module.exports = {
+  BULK_RESULT_COLUMNS,
+  createBulkJob,
+  runBulkJob,
+  resumeBulkJobs,
+  formatBulkJob
+};
@@ -0,0 +1,313 @@
+// src/services/sltQualificationService.js - SLT infrastructure engine shared by /api/slt and TMF679
+const mongoose = require('mongoose');
+const { evaluateAvailability, getCoordinates } = require('../api/tmf679/utils/sltAvailability');
+const { LAUNCHED_STATUSES } = require('../api/tmf620/utils/catalogLifecycle');
+const {
+  isSellableNow,
+  inferTechnology,
+  buildPackage,
+  rankPackages
+} = require('../api/tmf679/utils/sltPackages');
+
+// Number of alternatives proposed for an offering that cannot be delivered
+const MAX_ALTERNATE_PROPOSALS = 3;
+
+/**
+ * SLT collections on the shared mongoose connection
+ */
+const getDefaultCollections = () => ({
+  infrastructure: mongoose.connection.db.collection('infrastructure_data'),
+  coverage: mongoose.connection.db.collection('coverage_data')
+});
+
+/**
+ * Coverage polygons containing the location, per technology. A technology counts as
+ * mapped when the district has polygons for it or the point falls inside one.
+ */
+const findCoverageAreas = async (location, coverageCollection) => {
+  const point = getCoordinates(location);
+  if (!point) {
+    return { fiberAreas: null, adslAreas: null };
+  }
+
+  const [matches, mappedTechnologies] = await Promise.all([
+    coverageCollection.find({
+      area: { $geoIntersects: { $geometry: { type: 'Point', coordinates: [point.lng, point.lat] } } }
+    }).toArray(),
+    coverageCollection.distinct('technology', { district: location.district, area: { $exists: true } })
+  ]);
+
+  const areasFor = (technology) => {
+    const technologyMatches = matches.filter(area => area.technology === technology);
+    return {
+      mapped: mappedTechnologies.includes(technology) || technologyMatches.length > 0,
+      matches: technologyMatches
+    };
+  };
+
+  return { fiberAreas: areasFor('fiber'), adslAreas: areasFor('adsl') };
+};
+
+/**
+ * Deterministic availability for a location, driven by infrastructure_data and coverage_data
+ */
+const checkInfrastructureAvailability = async (location, collections = getDefaultCollections()) => {
+  try {
+    const [infrastructure, fiberCoverage, adslCoverage, areas] = await Promise.all([
+      collections.infrastructure.findOne({ district: location.district }),
+      collections.coverage.findOne({ district: location.district, technology: 'fiber', area: { $exists: false } }),
+      collections.coverage.findOne({ district: location.district, technology: 'adsl', area: { $exists: false } }),
+      findCoverageAreas(location, collections.coverage)
+    ]);
+
+    return evaluateAvailability(location, { infrastructure, fiberCoverage, adslCoverage, ...areas });
+  } catch (error) {
+    console.error('Error checking infrastructure:', error);
+    throw error;
+  }
+};
+
+/**
+ * Current, sellable TMF620 offerings for the technologies available at a location
+ */
+const findCatalogPackages = async (infrastructure, requestedTechnologies = []) => {
+  const { ProductOffering, ProductOfferingPrice } = require('../models/AllTMFModels');
+  const now = new Date();
+
+  const offerings = await ProductOffering.find({
+    isSellable: { $ne: false },
+    lifecycleStatus: { $in: LAUNCHED_STATUSES }
+  }).lean();
+
+  const candidates = offerings
+    .filter(offering => isSellableNow(offering, now))
+    .map(offering => ({ offering, technology: inferTechnology(offering) }))
+    .filter(({ technology }) => technology && infrastructure[technology]?.available);
+
+  const priceIds = candidates.flatMap(({ offering }) => (offering.productOfferingPrice || []).map(ref => ref.id));
+  const prices = priceIds.length > 0
+    ? await ProductOfferingPrice.find({ id: { $in: priceIds } }).lean()
+    : [];
+  const pricesById = new Map(prices.filter(price => isSellableNow(price, now)).map(price => [price.id, price]));
+
+  const packages = candidates.map(({ offering, technology }) => {
+    const offeringPrices = (offering.productOfferingPrice || [])
+      .map(ref => pricesById.get(ref.id))
+      .filter(Boolean);
+    return buildPackage(offering, technology, offeringPrices, infrastructure[technology]);
+  });
+
+  return rankPackages(packages, requestedTechnologies);
+};
+
+/**
+ * Pick the place of a TMF679 item: item.place or item.product.place, preferring the installation address
+ */
+const getItemPlace = (item) => {
+  const places = [item.place, item.product?.place]
+    .flatMap(place => Array.isArray(place) ? place : [place])
+    .filter(Boolean);
+
+  return places.find(place => /install/i.test(place.role || '')) || places[0] || null;
+};
+
+/**
+ * Convert a RelatedPlaceRefOrValue or GeographicAddress into an SLT location
+ */
+const placeToLocation = (place) => {
+  const address = place.place || place;
+
+  const geometry = address.geographicLocation?.geometry?.[0];
+  const coordinates = getCoordinates(address) ||
+    (geometry ? getCoordinates({ lat: geometry.y, lng: geometry.x }) : null);
+
+  const location = {
+    address: address.address ||
+      [address.streetNr, address.streetName, address.streetType, address.city].filter(Boolean).join(' ') ||
+      address.name,
+    district: address.district || address.city || address.locality,
+    province: address.stateOrProvince || address.province,
+    postalCode: address.postcode || address.postalCode,
+    coordinates: coordinates || undefined
+  };
+
+  return location.district || coordinates ? location : null;
+};
+
+/**
+ * Reason entry in TMF679 form
+ */
+const unavailabilityReason = (code, label) => ({
+  code,
+  label,
+  '@type': 'EligibilityUnavailabilityReason'
+});
+
+/**
+ * Evaluate one TMF679 item against the catalog and, when it has a place, the infrastructure there
+ */
+const evaluateItem = async (item, qualification, availabilityFor) => {
+  const { ProductOffering } = require('../models/AllTMFModels');
+  const place = getItemPlace(item);
+
+  const result = { qualificationItemResult: 'unqualified', reasons: [], alternates: [] };
+
+  const catalogOffering = item.productOffering?.id
+    ? await ProductOffering.findOne({ id: item.productOffering.id }).lean()
+    : null;
+
+  if (item.productOffering?.id && !catalogOffering) {
+    result.reasons.push(unavailabilityReason('SLT-OFFERING-NOT-FOUND', `Product offering ${item.productOffering.id} does not exist in the catalog`));
+    return result;
+  }
+
+  if (catalogOffering && !isSellableNow(catalogOffering)) {
+    result.reasons.push(unavailabilityReason('SLT-OFFERING-NOT-SELLABLE', `Product offering ${catalogOffering.id} is not currently sellable`));
+    return result;
+  }
+
+  // Without a place only the catalog can be checked
+  if (!place) {
+    result.qualificationItemResult = 'qualified';
+    return result;
+  }
+
+  const location = placeToLocation(place);
+  if (!location) {
+    result.reasons.push(unavailabilityReason('SLT-PLACE-UNRESOLVED', 'The place has no district, city or coordinates to qualify against'));
+    return result;
+  }
+
+  const offering = catalogOffering || item.productOffering || {};
+  const technology = inferTechnology(offering);
+  const infrastructure = await availabilityFor(location);
+
+  // Offerings that do not depend on access infrastructure qualify anywhere we have a place for
+  if (!technology || infrastructure[technology].available) {
+    result.qualificationItemResult = 'qualified';
+    return result;
+  }
+
+  result.reasons.push(unavailabilityReason(
+    `SLT-${technology.toUpperCase()}-UNAVAILABLE`,
+    infrastructure[technology].reasons.join('; ')
+  ));
+
+  if (qualification.provideAlternative) {
+    const packages = await findCatalogPackages(infrastructure);
+    result.alternates = packages
+      .filter(pkg => pkg.productOffering.id !== offering.id)
+      .slice(0, MAX_ALTERNATE_PROPOSALS)
+      .map((pkg, index) => ({
+        id: `${item.id || 'item'}-alt-${index + 1}`,
+        productOffering: pkg.productOffering,
+        '@type': 'AlternateProductOfferingProposal'
+      }));
+
+    if (result.alternates.length > 0) {
+      result.qualificationItemResult = 'alternate';
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Qualify the items of a CheckProductOfferingQualification with the SLT engine and
+ * return the fields to store on the qualification. Items without a place are checked
+ * against the catalog only. Honours provideAlternative, provideOnlyAvailable and
+ * provideResultReason.
+ */
+const qualifyCheckProductOfferingQualification = async (qualification, collections) => {
+  const items = qualification.checkProductOfferingQualificationItem || [];
+
+  // Several items usually share one address; evaluate it once
+  const availabilityCache = new Map();
+  const availabilityFor = (location) => {
+    const key = JSON.stringify([location.district, location.coordinates]);
+    if (!availabilityCache.has(key)) {
+      availabilityCache.set(key, checkInfrastructureAvailability(location, collections));
+    }
+    return availabilityCache.get(key);
+  };
+
+  const evaluatedResults = [];
+  const evaluatedItems = [];
+
+  for (const item of items) {
+    const result = await evaluateItem(item, qualification, availabilityFor);
+    evaluatedResults.push(result.qualificationItemResult);
+
+    if (qualification.provideOnlyAvailable && result.qualificationItemResult !== 'qualified') {
+      continue;
+    }
+
+    const evaluated = { ...item, state: 'done', qualificationItemResult: result.qualificationItemResult };
+    if (qualification.provideResultReason && result.reasons.length > 0) {
+      evaluated.eligibilityUnavailabilityReason = result.reasons;
+    }
+    if (result.alternates.length > 0) {
+      evaluated.alternateProductOfferingProposal = result.alternates;
+    }
+    evaluatedItems.push(evaluated);
+  }
+
+  let qualificationResult = 'unqualified';
+  if (evaluatedResults.every(result => result === 'qualified')) {
+    qualificationResult = 'qualified';
+  } else if (evaluatedResults.includes('alternate')) {
+    qualificationResult = 'alternate';
+  }
+
+  return {
+    checkProductOfferingQualificationItem: evaluatedItems,
+    qualificationResult,
+    state: 'done',
+    effectiveQualificationDate: new Date()
+  };
+};
+
+/**
+ * Answer a QueryProductOfferingQualification with the offerings deliverable at the
+ * searchCriteria place, or every sellable access offering when no place is given
+ */
+const qualifyQueryProductOfferingQualification = async (qualification, collections) => {
+  const criteria = qualification.searchCriteria || {};
+  const place = getItemPlace(criteria);
+
+  let infrastructure = { fiber: { available: true }, adsl: { available: true }, mobile: { available: true } };
+  if (place) {
+    const location = placeToLocation(place);
+    if (!location) {
+      return {
+        qualifiedProductOfferingItem: [],
+        state: 'terminatedWithError',
+        note: [
+          ...(qualification.note || []),
+          { text: 'searchCriteria place has no district, city or coordinates to qualify against', author: 'system' }
+        ]
+      };
+    }
+    infrastructure = await checkInfrastructureAvailability(location, collections);
+  }
+
+  const packages = await findCatalogPackages(infrastructure);
+
+  return {
+    qualifiedProductOfferingItem: packages.map(pkg => ({
+      id: String(pkg.rank),
+      productOffering: pkg.productOffering,
+      '@type': 'QualifiedProductOfferingItem'
+    })),
+    state: 'done',
+    effectiveQualificationDate: new Date()
+  };
+};
+
+module.exports = {
+  checkInfrastructureAvailability,
+  findCatalogPackages,
+  placeToLocation,
+  qualifyCheckProductOfferingQualification,
+  qualifyQueryProductOfferingQualification
+};
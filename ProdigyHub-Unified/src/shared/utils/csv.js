@@ -0,0 +1,94 @@
+// src/shared/utils/csv.js
+
+/**
+ * Split CSV text into rows of raw values (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  // Blank lines carry no record
+  return rows.filter(values => values.some(entry => entry.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header line into objects keyed by header name
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(String(text).replace(/^﻿/, ''));
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return rows.map(values => columns.reduce((record, column, index) => {
+    const entry = (values[index] ?? '').trim();
+    if (column && entry !== '') record[column] = entry;
+    return record;
+  }, {}));
+};
+
+/**
+ * Quote a value for CSV output when it contains a delimiter, quote or line break
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format records as CSV. Columns are { header, value } where value is a key or a function of the record.
+ * Pass includeHeader: false to append further batches of a streamed file.
+ */
+const toCsv = (records, columns, { includeHeader = true } = {}) => {
+  const lines = includeHeader ? [columns.map(column => escapeCsvValue(column.header)).join(',')] : [];
+
+  records.forEach(record => {
+    lines.push(columns.map(column => escapeCsvValue(
+      typeof column.value === 'function' ? column.value(record) : record[column.value]
+    )).join(','));
+  });
+
+  return lines.length > 0 ? lines.join('\r\n') + '\r\n' : '';
+};
+
+module.exports = {
+  parseCsv,
+  escapeCsvValue,
+  toCsv
+};
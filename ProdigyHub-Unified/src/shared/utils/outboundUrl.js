@@ -0,0 +1,74 @@
+// src/shared/utils/outboundUrl.js
+const dns = require('dns').promises;
+const net = require('net');
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not publicly routable
+ */
+const isPrivateAddress = (address) => {
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    const dotted = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) return isPrivateAddress(dotted[1]);
+    const hex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (hex) {
+      const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+      return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168);
+};
+
+/**
+ * Why the server must not request `value`, or null when it may. The url must be http(s),
+ * its host must not be a private address literal and, when `allowedHosts` is given, it
+ * must be one of them. `field` and `setting` name the url and the allow-list in messages.
+ */
+const getOutboundUrlProblem = (value, { allowedHosts = null, field = 'url', setting } = {}) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return `${field} is not a valid URL`;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return `${field} must be an http or https URL`;
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts && !allowedHosts.includes(host)) {
+    return `${field} host '${host}' is not allowed; allowed hosts are set with ${setting}`;
+  }
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    return `${field} host '${host}' is a private or loopback address`;
+  }
+  return null;
+};
+
+/**
+ * DNS lookup for outbound requests (axios `lookup` option) that refuses hosts resolving
+ * to private addresses, checked on the address the request actually connects to
+ */
+const lookupPublicAddress = async (hostname) => {
+  const addresses = await dns.lookup(hostname, { all: true });
+  const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+
+  if (blocked) {
+    throw new Error(`host '${hostname}' resolves to private or loopback address ${blocked.address}`);
+  }
+  return addresses[0];
+};
+
+module.exports = {
+  isPrivateAddress,
+  getOutboundUrlProblem,
+  lookupPublicAddress
+};
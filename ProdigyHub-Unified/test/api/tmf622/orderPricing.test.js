@@ -0,0 +1,92 @@
+// test/api/tmf622/orderPricing.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useCatalog } = require('../../helpers/catalogStub');
+const { priceOrderItems, discrepancyNote } = require('../../../src/api/tmf622/utils/orderPricing');
+
+const monthly = {
+  id: 'POP-MONTHLY', name: 'Monthly fee', priceType: 'recurring', recurringChargePeriodType: 'month',
+  price: { value: 1000, unit: 'LKR' }, tax: [{ taxRate: 10 }]
+};
+const fibre = { id: 'PO-FIBRE', name: 'Fibre 100', productOfferingPrice: [{ id: 'POP-MONTHLY' }] };
+
+const clientPrice = (value, priceType = 'recurring') => ({
+  priceType,
+  ...(priceType === 'recurring' ? { recurringChargePeriod: 'month' } : {}),
+  price: { taxIncludedAmount: { unit: 'LKR', value } }
+});
+
+const orderItem = (id, extra = {}) => ({ id, action: 'add', productOffering: { id: 'PO-FIBRE' }, ...extra });
+
+beforeEach(() => useCatalog({ offerings: [fibre], prices: [monthly] }));
+afterEach(() => mock.restoreAll());
+
+describe('priceOrderItems', () => {
+  it('replaces client prices with catalog prices and totals the order', async () => {
+    const { productOrderItem, orderTotalPrice, priceDiscrepancy } = await priceOrderItems([
+      orderItem('1', { quantity: 2, itemPrice: [clientPrice(1)] })
+    ]);
+
+    assert.equal(productOrderItem[0].itemPrice[0].price.taxIncludedAmount.value, 2200);
+    assert.equal(productOrderItem[0].itemTotalPrice[0].price.taxIncludedAmount.value, 2200);
+    assert.equal(orderTotalPrice[0].price.taxIncludedAmount.value, 2200);
+    assert.equal(priceDiscrepancy.length, 1);
+  });
+
+  it('accepts client prices equal to the catalog total or unit price', async () => {
+    const { priceDiscrepancy } = await priceOrderItems([
+      orderItem('1', { quantity: 2, itemPrice: [clientPrice(2200)] }),
+      orderItem('2', { quantity: 2, itemPrice: [clientPrice(1100)] })
+    ], [clientPrice(4400)]);
+
+    assert.deepEqual(priceDiscrepancy, []);
+  });
+
+  it('reports each differing client price with both values', async () => {
+    const { priceDiscrepancy } = await priceOrderItems([orderItem('1', { itemPrice: [clientPrice(900)] })], [clientPrice(900)]);
+
+    assert.deepEqual(priceDiscrepancy, [
+      { productOrderItemId: '1', priceType: 'recurring', recurringChargePeriod: 'month', unit: 'LKR', clientValue: 900, catalogValue: 1100 },
+      { priceType: 'recurring', recurringChargePeriod: 'month', unit: 'LKR', clientValue: 900, catalogValue: 1100 }
+    ]);
+  });
+
+  it('compares a client total without a known priceType with every price in its currency', async () => {
+    const { priceDiscrepancy } = await priceOrderItems([orderItem('1')], [clientPrice(1100, 'total')]);
+
+    assert.deepEqual(priceDiscrepancy, []);
+  });
+
+  it('does not price delete and noChange items', async () => {
+    const { productOrderItem, orderTotalPrice } = await priceOrderItems([
+      orderItem('1', { action: 'delete' }),
+      orderItem('2', { action: 'noChange' })
+    ]);
+
+    assert.deepEqual(productOrderItem.map(item => item.itemPrice), [[], []]);
+    assert.deepEqual(orderTotalPrice, []);
+  });
+
+  it('leaves items with unknown offerings unpriced instead of failing the order', async () => {
+    const { productOrderItem } = await priceOrderItems([
+      orderItem('1', { productOffering: { id: 'PO-MISSING' } }),
+      orderItem('2')
+    ]);
+
+    assert.deepEqual(productOrderItem[0].itemPrice, []);
+    assert.equal(productOrderItem[1].itemPrice.length, 1);
+  });
+});
+
+describe('discrepancyNote', () => {
+  it('names the items whose prices were replaced', () => {
+    const note = discrepancyNote([{ productOrderItemId: '1' }, { productOrderItemId: '1' }, { productOrderItemId: '3' }]);
+
+    assert.equal(note.author, 'system');
+    assert.match(note.text, /for item\(s\) 1, 3; catalog prices were applied$/);
+  });
+
+  it('mentions the order total when no item differs', () => {
+    assert.match(discrepancyNote([{ priceType: 'recurring' }]).text, /for the order total/);
+  });
+});
@@ -0,0 +1,153 @@
+// test/api/tmf622/orderStateMachine.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  assertOrderTransition,
+  assertItemTransition,
+  deriveOrderState,
+  planStateUpdate,
+  resolveActor
+} = require('../../../src/api/tmf622/utils/orderStateMachine');
+
+const items = (...states) => states.map((state, index) => ({ id: String(index + 1), state }));
+
+describe('order transitions', () => {
+  it('allows moves from the transition table and staying in place', () => {
+    assert.doesNotThrow(() => assertOrderTransition('acknowledged', 'inProgress'));
+    assert.doesNotThrow(() => assertOrderTransition('inProgress', 'completed'));
+    assert.doesNotThrow(() => assertOrderTransition('completed', 'completed'));
+  });
+
+  it('rejects illegal moves with a 409 StateTransitionError', () => {
+    assert.throws(() => assertOrderTransition('acknowledged', 'completed'), {
+      name: 'StateTransitionError',
+      status: 409,
+      currentState: 'acknowledged',
+      requestedState: 'completed'
+    });
+  });
+
+  it('treats final states as final', () => {
+    assert.throws(() => assertOrderTransition('completed', 'inProgress'), {
+      message: /none \(final state\)/,
+      allowedStates: []
+    });
+  });
+
+  it('does not let a single item become partial', () => {
+    assert.doesNotThrow(() => assertOrderTransition('inProgress', 'partial'));
+    assert.throws(() => assertItemTransition('1', 'inProgress', 'partial'), { productOrderItemId: '1' });
+  });
+});
+
+describe('deriveOrderState', () => {
+  it('keeps the order state while every item is acknowledged', () => {
+    assert.equal(deriveOrderState(items('acknowledged', 'acknowledged'), 'held'), 'held');
+  });
+
+  it('follows the most active item state', () => {
+    assert.equal(deriveOrderState(items('held', 'inProgress'), 'acknowledged'), 'inProgress');
+    assert.equal(deriveOrderState(items('held', 'pending'), 'acknowledged'), 'held');
+    assert.equal(deriveOrderState(items('pending', 'completed'), 'acknowledged'), 'pending');
+  });
+
+  it('ends as the shared final item state, partial or failed', () => {
+    assert.equal(deriveOrderState(items('completed', 'completed'), 'inProgress'), 'completed');
+    assert.equal(deriveOrderState(items('completed', 'failed'), 'inProgress'), 'partial');
+    assert.equal(deriveOrderState(items('failed', 'rejected'), 'inProgress'), 'failed');
+  });
+
+  it('keeps final and cancellation order states', () => {
+    assert.equal(deriveOrderState(items('inProgress'), 'completed'), 'completed');
+    assert.equal(deriveOrderState(items('inProgress'), 'assessingCancellation'), 'assessingCancellation');
+  });
+});
+
+describe('planStateUpdate', () => {
+  const order = { state: 'inProgress', productOrderItem: items('inProgress', 'inProgress') };
+
+  it('records an explicit order move in the history', () => {
+    const plan = planStateUpdate({ state: 'acknowledged', productOrderItem: items('acknowledged') },
+      { state: 'inProgress' }, { actor: 'alice', reason: 'started' });
+
+    assert.equal(plan.state, 'inProgress');
+    assert.equal(plan.stateChange.length, 1);
+
+    const [change] = plan.stateChange;
+    assert.equal(change.previousState, 'acknowledged');
+    assert.equal(change.state, 'inProgress');
+    assert.equal(change.actor, 'alice');
+    assert.equal(change.reason, 'started');
+    assert.ok(change.timestamp instanceof Date);
+  });
+
+  it('derives the order state when only items move', () => {
+    const plan = planStateUpdate(order, {
+      productOrderItem: [{ id: '1', state: 'completed' }, { id: '2', state: 'failed' }]
+    });
+
+    assert.equal(plan.state, 'partial');
+    assert.deepEqual(plan.stateChange.map(change => [change.productOrderItemId, change.state]), [
+      ['1', 'completed'],
+      ['2', 'failed'],
+      [undefined, 'partial']
+    ]);
+    assert.equal(plan.stateChange[2].reason, 'Derived from productOrderItem states');
+  });
+
+  it('merges item updates into the stored items', () => {
+    const plan = planStateUpdate({ state: 'inProgress', productOrderItem: [{ id: '1', state: 'inProgress', quantity: 2 }] },
+      { productOrderItem: [{ id: '1', state: 'held' }] });
+
+    assert.deepEqual(plan.productOrderItem, [{ id: '1', state: 'held', quantity: 2 }]);
+    assert.equal(plan.state, 'held');
+  });
+
+  it('only accepts new items as acknowledged', () => {
+    assert.throws(() => planStateUpdate(order, { productOrderItem: [{ id: '9', state: 'inProgress' }] }), {
+      name: 'StateTransitionError',
+      productOrderItemId: '9'
+    });
+  });
+
+  it('rejects illegal item moves', () => {
+    assert.throws(() => planStateUpdate(order, { productOrderItem: [{ id: '1', state: 'acknowledged' }] }), {
+      status: 409,
+      productOrderItemId: '1'
+    });
+  });
+
+  it('rejects an order state that contradicts the item states', () => {
+    assert.throws(() => planStateUpdate(order, { state: 'completed' }), {
+      name: 'StateTransitionError',
+      requestedState: 'completed',
+      allowedStates: ['inProgress']
+    });
+    assert.throws(() => planStateUpdate(order, {
+      state: 'failed',
+      productOrderItem: [{ id: '1', state: 'completed' }, { id: '2', state: 'failed' }]
+    }), { allowedStates: ['partial'] });
+  });
+
+  it('accepts an order state that matches the item states', () => {
+    const plan = planStateUpdate(order, {
+      state: 'completed',
+      productOrderItem: [{ id: '1', state: 'completed' }, { id: '2', state: 'completed' }]
+    });
+    assert.equal(plan.state, 'completed');
+  });
+
+  it('lets whole-order moves ignore the item states', () => {
+    assert.equal(planStateUpdate(order, { state: 'assessingCancellation' }).state, 'assessingCancellation');
+    assert.equal(planStateUpdate({ state: 'acknowledged', productOrderItem: items('acknowledged') }, { state: 'rejected' }).state, 'rejected');
+  });
+});
+
+describe('resolveActor', () => {
+  it('prefers the authenticated user over the X-Actor header', () => {
+    const get = () => 'header-actor';
+    assert.equal(resolveActor({ user: { name: 'alice' }, get }), 'alice');
+    assert.equal(resolveActor({ get }), 'header-actor');
+    assert.equal(resolveActor({ get: () => undefined }), 'anonymous');
+  });
+});
@@ -0,0 +1,173 @@
+// test/api/tmf679/sltAvailability.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  evaluateAvailability,
+  estimateAdslSpeed,
+  haversineDistance,
+  getCoordinates,
+  parseSpeedMbps
+} = require('../../../src/api/tmf679/utils/sltAvailability');
+
+const EXCHANGE = { lat: 6.9271, lng: 79.8612 };
+
+// A location `degrees` of latitude north of the exchange; 0.01° is about 1112 m
+const northOfExchange = (degrees, extra = {}) => ({
+  district: 'Colombo',
+  province: 'Western',
+  coordinates: { lat: EXCHANGE.lat + degrees, lng: EXCHANGE.lng },
+  ...extra
+});
+
+const infrastructure = (extra = {}) => ({
+  district: 'Colombo',
+  fiber: { available: true, technology: 'FTTH', maxSpeed: '1 Gbps', monthlyFee: 3500 },
+  adsl: { available: true, technology: 'ADSL2+', maxSpeed: '24 Mbps', monthlyFee: 1800 },
+  adslExchanges: [{ name: 'Colombo Central', location: EXCHANGE, technology: 'ADSL2+' }],
+  ...extra
+});
+
+describe('helpers', () => {
+  it('reads coordinates in either spelling and rejects invalid ones', () => {
+    assert.deepEqual(getCoordinates({ coordinates: { lat: '6.9', lng: '79.8' } }), { lat: 6.9, lng: 79.8 });
+    assert.deepEqual(getCoordinates({ latitude: 6.9, longitude: 79.8 }), { lat: 6.9, lng: 79.8 });
+    assert.equal(getCoordinates({ coordinates: { lat: 91, lng: 0 } }), null);
+    assert.equal(getCoordinates({ district: 'Colombo' }), null);
+  });
+
+  it('measures great-circle distances in meters', () => {
+    const distance = haversineDistance(EXCHANGE, { lat: EXCHANGE.lat + 0.01, lng: EXCHANGE.lng });
+    assert.ok(Math.abs(distance - 1112) < 1, `got ${distance}`);
+  });
+
+  it('parses speeds to Mbps', () => {
+    assert.equal(parseSpeedMbps('24 Mbps'), 24);
+    assert.equal(parseSpeedMbps('1 Gbps'), 1000);
+    assert.equal(parseSpeedMbps('512 kbps'), 0.512);
+    assert.equal(parseSpeedMbps(16), 16);
+    assert.equal(parseSpeedMbps('fast'), null);
+  });
+
+  it('estimates ADSL speed from the line length, technology and cap', () => {
+    assert.equal(estimateAdslSpeed(800), 24);
+    assert.equal(estimateAdslSpeed(2900), 10);
+    assert.equal(estimateAdslSpeed(800, 'ADSL'), 8);
+    assert.equal(estimateAdslSpeed(800, 'ADSL2+', 16), 16);
+    assert.equal(estimateAdslSpeed(6000), 0);
+  });
+});
+
+describe('evaluateAvailability', () => {
+  it('gives the same verdict for the same location every time', () => {
+    const location = northOfExchange(0.02);
+    const data = { infrastructure: infrastructure() };
+
+    assert.deepEqual(evaluateAvailability(location, data), evaluateAvailability(location, data));
+  });
+
+  it('derives ADSL speed and line quality from the distance to the nearest exchange', () => {
+    const data = {
+      infrastructure: infrastructure({
+        adslExchanges: [
+          { name: 'Far away', location: { lat: EXCHANGE.lat + 1, lng: EXCHANGE.lng } },
+          { name: 'Colombo Central', location: EXCHANGE, technology: 'ADSL2+' }
+        ]
+      })
+    };
+
+    const near = evaluateAvailability(northOfExchange(0.005), data).adsl;
+    assert.equal(near.available, true);
+    assert.equal(near.exchange, 'Colombo Central');
+    assert.equal(near.maxSpeed, '24 Mbps');
+    assert.equal(near.lineQuality, 'excellent');
+    assert.equal(near.confidence, 'high');
+
+    const further = evaluateAvailability(northOfExchange(0.02), data).adsl;
+    assert.equal(further.maxSpeed, '10 Mbps');
+    assert.equal(further.lineQuality, 'good');
+    assert.ok(further.estimatedLineLength > further.distanceFromExchange);
+  });
+
+  it('refuses ADSL beyond the line length limit or the exchange radius', () => {
+    const tooFar = evaluateAvailability(northOfExchange(0.05), { infrastructure: infrastructure() }).adsl;
+    assert.equal(tooFar.available, false);
+    assert.match(tooFar.reasons.join(' '), /exceeds the 5500 m ADSL limit/);
+
+    const outsideRadius = evaluateAvailability(northOfExchange(0.02), {
+      infrastructure: infrastructure({ adslExchanges: [{ name: 'Small', location: EXCHANGE, coverageRadius: 1000 }] })
+    }).adsl;
+    assert.equal(outsideRadius.available, false);
+    assert.match(outsideRadius.reasons.join(' '), /1000 m coverage radius/);
+  });
+
+  it('lets mapped coverage polygons decide fiber and ADSL', () => {
+    const location = northOfExchange(0.05);
+    const fiberArea = { name: 'Colombo 03 FTTH', technology: 'fiber', maxSpeed: '300 Mbps' };
+
+    const inside = evaluateAvailability(location, {
+      infrastructure: infrastructure(),
+      fiberAreas: { mapped: true, matches: [fiberArea] },
+      adslAreas: { mapped: true, matches: [{ name: 'Colombo ADSL', technology: 'adsl' }] }
+    });
+    assert.equal(inside.fiber.available, true);
+    assert.equal(inside.fiber.maxSpeed, '300 Mbps');
+    assert.equal(inside.fiber.coverage, 'full');
+    // Inside a mapped ADSL area a long line still gets the slowest rate
+    assert.equal(inside.adsl.available, true);
+    assert.equal(inside.adsl.maxSpeed, '2 Mbps');
+
+    const outside = evaluateAvailability(location, {
+      infrastructure: infrastructure(),
+      fiberAreas: { mapped: true, matches: [] },
+      adslAreas: { mapped: true, matches: [] }
+    });
+    assert.equal(outside.fiber.available, false);
+    assert.equal(outside.adsl.available, false);
+    assert.match(outside.fiber.reasons[0], /outside every mapped fiber coverage area in Colombo/);
+  });
+
+  it('falls back to district coverage without coordinates', () => {
+    const location = { district: 'Kurunegala', province: 'North Western' };
+
+    const covered = evaluateAvailability(location, {
+      infrastructure: infrastructure({ adslExchanges: [] }),
+      fiberCoverage: { coverage: 95 },
+      adslCoverage: { coverage: 80 }
+    });
+    assert.equal(covered.fiber.available, true);
+    assert.equal(covered.fiber.coverage, 'full');
+    assert.equal(covered.adsl.available, true);
+    assert.equal(covered.adsl.confidence, 'medium');
+    assert.equal(covered.adsl.maxSpeed, '24 Mbps');
+
+    const sparse = evaluateAvailability(location, {
+      infrastructure: infrastructure({ adslExchanges: [] }),
+      fiberCoverage: { coverage: 20 },
+      adslCoverage: { coverage: 30 }
+    });
+    assert.equal(sparse.fiber.available, false);
+    assert.equal(sparse.adsl.available, false);
+  });
+
+  it('reports technologies that are not deployed or not recorded', () => {
+    const notDeployed = evaluateAvailability(northOfExchange(0.005), {
+      infrastructure: infrastructure({ fiber: { available: false }, adsl: { available: false } })
+    });
+    assert.equal(notDeployed.fiber.available, false);
+    assert.equal(notDeployed.adsl.available, false);
+
+    const unknown = evaluateAvailability({ district: 'Mullaitivu', province: 'Northern' }, {});
+    assert.equal(unknown.fiber.available, false);
+    assert.equal(unknown.adsl.available, false);
+    assert.match(unknown.fiber.reasons[0], /No fiber infrastructure recorded for Mullaitivu/);
+  });
+
+  it('always offers mobile, with 5G in urban districts', () => {
+    assert.deepEqual(evaluateAvailability({ district: 'Colombo', province: 'Western' }, {}).mobile.technologies, ['4G', '5G']);
+
+    const rural = evaluateAvailability({ district: 'Badulla', province: 'Uva' }, {}).mobile;
+    assert.equal(rural.available, true);
+    assert.deepEqual(rural.technologies, ['4G']);
+    assert.equal(rural.coverage, 'Fair');
+  });
+});
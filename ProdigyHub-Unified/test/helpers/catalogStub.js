@@ -0,0 +1,18 @@
+// test/helpers/catalogStub.js - In-memory TMF620 offerings and prices for pricing tests
+const { mock } = require('node:test');
+const models = require('../../src/models/AllTMFModels');
+
+/**
+ * Answer the ProductOffering and ProductOfferingPrice queries of the pricing engine
+ * from the given entities. Undo with mock.restoreAll().
+ */
+const useCatalog = ({ offerings = [], prices = [] }) => {
+  mock.method(models.ProductOffering, 'findOne', ({ id }) => ({
+    lean: async () => offerings.find(offering => offering.id === id) || null
+  }));
+  mock.method(models.ProductOfferingPrice, 'find', ({ id }) => ({
+    lean: async () => prices.filter(price => id.$in.includes(price.id))
+  }));
+};
+
+module.exports = { useCatalog };
@@ -0,0 +1,179 @@
+// test/services/pricingEngine.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useCatalog } = require('../helpers/catalogStub');
+const { calculatePrices, normalizePriceType, totalPrices } = require('../../src/services/pricingEngine');
+
+const tax = (taxRate) => [{ taxRate }];
+
+const monthly = {
+  id: 'POP-MONTHLY', name: 'Monthly fee', priceType: 'recurring', recurringChargePeriodType: 'month',
+  price: { value: 1000, unit: 'LKR' }, tax: tax(10)
+};
+const setup = {
+  id: 'POP-SETUP', name: 'Setup fee', priceType: 'one time',
+  price: { value: 500, unit: 'LKR' }, tax: tax(10)
+};
+const fibre = {
+  id: 'PO-FIBRE', name: 'Fibre 100',
+  productOfferingPrice: [{ id: 'POP-MONTHLY' }, { id: 'POP-SETUP' }]
+};
+
+const item = (productOfferingId, extra = {}) => ({ id: '1', productOffering: { id: productOfferingId }, ...extra });
+
+// [priceType, dutyFree, taxIncluded] of each price line, to compare amounts at a glance
+const amounts = (lines) => lines.map(line => [
+  line.priceType, line.price.dutyFreeAmount.value, line.price.taxIncludedAmount.value
+]);
+
+afterEach(() => mock.restoreAll());
+
+describe('normalizePriceType', () => {
+  it('maps catalog spellings to recurring, oneTime and usage', () => {
+    assert.equal(normalizePriceType('Recurring'), 'recurring');
+    assert.equal(normalizePriceType('one time'), 'oneTime');
+    assert.equal(normalizePriceType('one-time'), 'oneTime');
+    assert.equal(normalizePriceType('usage'), 'usage');
+    assert.equal(normalizePriceType('discount'), null);
+  });
+});
+
+describe('calculatePrices', () => {
+  it('prices each POP for the item quantity with its tax rate', async () => {
+    useCatalog({ offerings: [fibre], prices: [monthly, setup] });
+
+    const { item: [result], totalPrice } = await calculatePrices([item('PO-FIBRE', { quantity: 2 })]);
+
+    assert.equal(result.quantity, 2);
+    assert.deepEqual(amounts(result.itemPrice), [['recurring', 2000, 2200], ['oneTime', 1000, 1100]]);
+    assert.equal(result.itemPrice[0].recurringChargePeriod, 'month');
+    assert.equal(result.itemPrice[0].productOfferingPrice.id, 'POP-MONTHLY');
+    assert.deepEqual(amounts(totalPrice), [['recurring', 2000, 2200], ['oneTime', 1000, 1100]]);
+  });
+
+  it('applies offering alterations to the prices of their priceType only', async () => {
+    const promo = { id: 'POP-PROMO', name: 'Promo', priceType: 'recurring', percentage: 20 };
+    useCatalog({
+      offerings: [{ ...fibre, productOfferingPrice: [...fibre.productOfferingPrice, { id: 'POP-PROMO' }] }],
+      prices: [monthly, setup, promo]
+    });
+
+    const { item: [result] } = await calculatePrices([item('PO-FIBRE')]);
+
+    assert.deepEqual(amounts(result.itemPrice), [['recurring', 800, 880], ['oneTime', 500, 550]]);
+    assert.equal(result.itemPrice[0].priceAlteration.length, 1);
+    assert.equal(result.itemPrice[0].priceAlteration[0].price.dutyFreeAmount.value, -200);
+    assert.equal(result.itemPrice[1].priceAlteration.length, 0);
+  });
+
+  it('applies alterations linked through popRelationship and never goes below zero', async () => {
+    const allowance = { id: 'POP-ALLOWANCE', name: 'Loyalty', priceType: 'allowance', price: { value: 150, unit: 'LKR' } };
+    const waiver = { id: 'POP-WAIVER', name: 'Setup waiver', priceType: 'discount', price: { value: 9999, unit: 'LKR' } };
+    useCatalog({
+      offerings: [fibre],
+      prices: [
+        { ...monthly, popRelationship: [{ id: 'POP-ALLOWANCE' }] },
+        { ...setup, popRelationship: [{ id: 'POP-WAIVER' }] },
+        allowance,
+        waiver
+      ]
+    });
+
+    const { item: [result] } = await calculatePrices([item('PO-FIBRE', { quantity: 2 })]);
+
+    assert.deepEqual(amounts(result.itemPrice), [['recurring', 1700, 1870], ['oneTime', 0, 0]]);
+    assert.equal(result.itemPrice[1].priceAlteration[0].price.dutyFreeAmount.value, -1000);
+  });
+
+  it('only uses POPs whose characteristic conditions the item meets', async () => {
+    const speedPrice = (id, speed, value) => ({
+      id, name: speed, priceType: 'recurring', price: { value, unit: 'LKR' }, tax: tax(0),
+      prodSpecCharValueUse: [{ name: 'Speed', productSpecCharacteristicValue: [{ value: speed }] }]
+    });
+    useCatalog({
+      offerings: [{ id: 'PO-SPEED', productOfferingPrice: [{ id: 'POP-100' }, { id: 'POP-50' }] }],
+      prices: [speedPrice('POP-100', '100Mbps', 1000), speedPrice('POP-50', '50Mbps', 600)]
+    });
+
+    const { item: [result] } = await calculatePrices([
+      item('PO-SPEED', { productCharacteristic: [{ name: 'Speed', value: '50Mbps' }] })
+    ]);
+
+    assert.deepEqual(result.itemPrice.map(line => line.productOfferingPrice.id), ['POP-50']);
+  });
+
+  it('replaces a bundled POP with the POPs it bundles', async () => {
+    const bundle = { id: 'POP-BUNDLE', isBundle: true, bundledPopRelationship: [{ id: 'POP-MONTHLY' }, { id: 'POP-SETUP' }] };
+    useCatalog({
+      offerings: [{ id: 'PO-BUNDLED-POP', productOfferingPrice: [{ id: 'POP-BUNDLE' }] }],
+      prices: [bundle, monthly, setup]
+    });
+
+    const { item: [result] } = await calculatePrices([item('PO-BUNDLED-POP')]);
+
+    assert.deepEqual(result.itemPrice.map(line => line.productOfferingPrice.id), ['POP-MONTHLY', 'POP-SETUP']);
+  });
+
+  it('rolls up bundled offerings by their default count unless the order has bundle items', async () => {
+    const triplePlay = {
+      id: 'PO-TRIPLE', name: 'Triple play', productOfferingPrice: [],
+      bundledProductOffering: [{ id: 'PO-FIBRE', bundledProductOfferingOption: { numberRelOfferDefault: 2 } }]
+    };
+    useCatalog({ offerings: [triplePlay, fibre], prices: [monthly, setup] });
+
+    const { item: [rolledUp] } = await calculatePrices([item('PO-TRIPLE')]);
+    assert.deepEqual(amounts(rolledUp.itemPrice), [['recurring', 2000, 2200], ['oneTime', 1000, 1100]]);
+    assert.deepEqual(rolledUp.itemPrice[0].bundledProductOffering, { id: 'PO-FIBRE', name: 'Fibre 100' });
+
+    const { item: [withChildren] } = await calculatePrices([
+      item('PO-TRIPLE', { productOrderItemRelationship: [{ id: '2', relationshipType: 'bundles' }] })
+    ]);
+    assert.deepEqual(withChildren.itemPrice, []);
+  });
+
+  it('keeps totals per currency', async () => {
+    const usd = { id: 'POP-USD', name: 'Roaming', priceType: 'recurring', price: { value: 10, unit: 'USD' }, tax: tax(0) };
+    useCatalog({
+      offerings: [fibre, { id: 'PO-ROAMING', productOfferingPrice: [{ id: 'POP-USD' }] }],
+      prices: [monthly, setup, usd]
+    });
+
+    const { totalPrice } = await calculatePrices([item('PO-FIBRE'), { ...item('PO-ROAMING'), id: '2' }]);
+    const recurring = totalPrice.filter(total => total.priceType === 'recurring');
+
+    assert.deepEqual(recurring.map(total => [total.price.dutyFreeAmount.unit, total.price.dutyFreeAmount.value]), [
+      ['LKR', 1000],
+      ['USD', 10]
+    ]);
+  });
+
+  it('rejects unknown offerings with a 422 PriceCalculationError unless skipUnknown is set', async () => {
+    useCatalog({ offerings: [fibre], prices: [monthly, setup] });
+
+    await assert.rejects(calculatePrices([item('PO-MISSING')]), {
+      name: 'PriceCalculationError',
+      status: 422,
+      details: [{ id: '1', productOfferingId: 'PO-MISSING', reason: 'product offering not found' }]
+    });
+
+    const { item: results } = await calculatePrices([item('PO-MISSING'), { ...item('PO-FIBRE'), id: '2' }], { skipUnknown: true });
+    assert.deepEqual(results.map(result => result.id), ['2']);
+  });
+});
+
+describe('totalPrices', () => {
+  it('adds lines of the same priceType, period and currency', () => {
+    const line = (priceType, value, recurringChargePeriod) => ({
+      priceType,
+      ...(recurringChargePeriod ? { recurringChargePeriod } : {}),
+      price: { dutyFreeAmount: { unit: 'LKR', value }, taxIncludedAmount: { unit: 'LKR', value } }
+    });
+
+    const totals = totalPrices([line('recurring', 100.1, 'month'), line('recurring', 200.2, 'month'), line('recurring', 50, 'year')]);
+
+    assert.deepEqual(totals.map(total => [total.name, total.price.dutyFreeAmount.value]), [
+      ['Total recurring per month (LKR)', 300.3],
+      ['Total recurring per year (LKR)', 50]
+    ]);
+  });
+});